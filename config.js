@@ -1,234 +1,287 @@
+// Pages are listed in routes.js
 module.exports = {
   staging: {
-    baseUrl: "https://live-web-uis.pantheonsite.io",
-    urls: [
-      "/",
-      "/about/",
-      "/academic-calendar/",
-      "/accreditations-accolades/",
-      "/admissions/",
-      "/apply/",
-      "/articles/",
-      "/articles/page/2/",
-      "/degrees/",
-      "/degrees/business/",
-      "/degrees/business/articles/",
-      "/degrees/business/articles/page/2/",
-      "/degrees/business/graduate-certificates/",
-      "/degrees/business/graduate-certificates/applied-finance-cert/",
-      "/degrees/business/graduate-certificates/data-analytics-in-accounting/",
-      "/degrees/business/graduate-certificates/healthcare-mgmt/",
-      "/degrees/business/graduate-certificates/human-resource-managment/",
-      "/degrees/business/graduate-certificates/supply-chain-operations-management/",
-      "/degrees/business/masters/",
-      "/degrees/business/masters/articles/",
-      "/degrees/business/masters/finance/",
-      "/degrees/business/masters/finance/behavioral-finance-for-financial-planning/",
-      "/degrees/business/masters/finance/impact-of-generative-ai/",
-      "/degrees/business/masters/finance/personal-finance-and-financial-psychology-making-positive-financial-decisions/",
-      "/degrees/business/masters/finance/types-of-digital-currency/",
-      "/degrees/business/masters/healthcare-informatics/",
-      "/degrees/business/masters/healthcare-informatics/careers/",
-      "/degrees/business/masters/healthcare-informatics/fda-approval-process/",
-      "/degrees/business/masters/hr-management/",
-      "/degrees/business/masters/hr-management/future-of-human-resources/",
-      "/degrees/business/masters/hr-management/masters-degree-human-resources/",
-      "/degrees/business/masters/hr-management/strategic-human-resource-planning-management/",
-      "/degrees/business/masters/hr-management/strategic-planning-for-hr-managers/",
-      "/degrees/business/mba/",
-      "/degrees/business/mba/accounting-data-analytics/",
-      "/degrees/business/mba/accounting-data-analytics/accounting-data-analytics-careers/",
-      "/degrees/business/mba/accounting-data-analytics/business-intelligence-trends/",
-      "/degrees/business/mba/accounting-data-analytics/preparing-for-the-cpa-exam/",
-      "/degrees/business/mba/applied-finance/",
-      "/degrees/business/mba/applied-finance/career-paths-for-mba-in-applied-finance-graduates/",
-      "/degrees/business/mba/applied-finance/current-trends-in-finance-field/",
-      "/degrees/business/mba/applied-finance/personal-finance-considerations-for-small-businesses/",
-      "/degrees/business/mba/articles/",
-      "/degrees/business/mba/business-analytics-program/",
-      "/degrees/business/mba/business-analytics-program/business-intelligence-is-transforming-industries/",
-      "/degrees/business/mba/business-analytics-program/ethical-practices-business-analytics-professionals/",
-      "/degrees/business/mba/cybersecurity-administration-program/",
-      "/degrees/business/mba/cybersecurity-administration-program/manager-responsibilities/",
-      "/degrees/business/mba/cybersecurity-management-program/",
-      "/degrees/business/mba/cybersecurity-management-program/cybersecurity-experts-chatgpt-vulnerability-detection/",
-      "/degrees/business/mba/cybersecurity-management-program/what-jobs-can-i-get/",
-      "/degrees/business/mba/cybersecurity-management-program/why-go-online/",
-      "/degrees/business/mba/general/",
-      "/degrees/business/mba/general/investing-101-mba-grads/",
-      "/degrees/business/mba/general/why-earn-an-mba-degree/",
-      "/degrees/business/mba/general/work-from-home-as-manager/",
-      "/degrees/business/mba/healthcare-analytics/",
-      "/degrees/business/mba/healthcare-analytics/essential-analytical-skills/",
-      "/degrees/business/mba/healthcare-analytics/precision-medicine-and-ai/",
-      "/degrees/business/mba/healthcare-management/",
-      "/degrees/business/mba/healthcare-management/health-equity-policy-and-advocacy/",
-      "/degrees/business/mba/healthcare-management/marketing-meets-healthcare-mgmt/",
-      "/degrees/business/mba/healthcare-management/patient-care-effective-operations-management/",
-      "/degrees/business/mba/human-resources/",
-      "/degrees/business/mba/human-resources/impact-covid-19-recruitment-talent-acquisition/",
-      "/degrees/business/mba/it-project-management-program/",
-      "/degrees/business/mba/it-project-management-program/career-opportunities-information-technology/",
-      "/degrees/business/mba/it-project-management-program/strategic-planning/",
-      "/degrees/business/mba/operations-supply-chain-management/",
-      "/degrees/business/mba/operations-supply-chain-management/impact-natural-resources-supply-chain/",
-      "/degrees/business/mba/process-management/",
-      "/degrees/business/mba/process-management/project-management-and-process-management/",
-      "/degrees/technology/",
-      "/degrees/technology/articles/",
-      "/degrees/technology/graduate-certificate/",
-      "/degrees/technology/graduate-certificate/business-analytics/",
-      "/degrees/technology/graduate-certificate/business-applications-of-ai/",
-      "/degrees/technology/graduate-certificate/business-process-management/",
-      "/degrees/technology/graduate-certificate/cybersecurity-administration/",
-      "/degrees/technology/graduate-certificate/cybersecurity-management/",
-      "/degrees/technology/graduate-certificate/cybersecurity-policy/",
-      "/degrees/technology/graduate-certificate/digital-forensics/",
-      "/degrees/technology/graduate-certificate/health-information-privacy-and-security/",
-      "/degrees/technology/graduate-certificate/healthcare-analytics-cert/",
-      "/degrees/technology/graduate-certificate/it-project-management/",
-      "/degrees/technology/graduate-certificate/project-management-for-healthcare-informatics/",
-      "/degrees/technology/masters-cybersecurity-management/",
-      "/degrees/technology/masters-cybersecurity-management/incident-response-for-cyberattacks/",
-      "/degrees/technology/masters-cybersecurity-management/jobs-cybersecurity-degree/",
-      "/degrees/technology/masters-cybersecurity-management/network-security/",
-      "/degrees/technology/masters-management-information-systems/",
-      "/degrees/technology/masters-management-information-systems/articles/",
-      "/degrees/technology/masters-management-information-systems/business-analytics-mis/",
-      "/degrees/technology/masters-management-information-systems/business-analytics-mis/data-driven-decision-making/",
-      "/degrees/technology/masters-management-information-systems/business-analytics-mis/future-of-artificial-intelligence/",
-      "/degrees/technology/masters-management-information-systems/business-analytics-mis/leverage-programming-languages/",
-      "/degrees/technology/masters-management-information-systems/general-mis/",
-      "/degrees/technology/masters-management-information-systems/general-mis/competitive-advantages-business-mis/",
-      "/degrees/technology/masters-management-information-systems/general-mis/gain-a-competitive-advantage-using-mis/",
-      "/degrees/technology/masters-management-information-systems/general-mis/information-systems-and-supply-chain/",
-      "/degrees/technology/masters-management-information-systems/general-mis/managing-information-optimize-supply-chain/",
-      "/degrees/technology/masters-management-information-systems/general-mis/what-jobs-ms-mis-degree/",
-      "/degrees/technology/masters-management-information-systems/it-project-management-mis/",
-      "/degrees/technology/masters-management-information-systems/it-project-management-mis/impact-of-artificial-intelligence/",
-      "/degrees/technology/masters-management-information-systems/it-project-management-mis/it-risk-project-management/",
-      "/degrees/technology/masters-management-information-systems/process-management-mis/",
-      "/degrees/technology/masters-management-information-systems/process-management-mis/digital-transformation-in-business-process-management/",
-      "/degrees/technology/masters-management-information-systems/process-management-mis/purpose-and-value-of-process-mining/",
-      "/online-experience/",
-      "/student-services/",
-      "/tuition/"
-    ]
+    baseUrl: "https://live-web-uis.pantheonsite.io"
   },
   prod: {
-    baseUrl: "https://onlinecbm.uis.edu",
-    urls: [
-      "https://onlinecbm.uis.edu/",
-      "https://onlinecbm.uis.edu/about/",
-      "https://onlinecbm.uis.edu/academic-calendar/",
-      "https://onlinecbm.uis.edu/accreditations-accolades/",
-      "https://onlinecbm.uis.edu/admissions/",
-      "https://onlinecbm.uis.edu/apply/",
-      "https://onlinecbm.uis.edu/articles/",
-      "https://onlinecbm.uis.edu/articles/page/2/",
-      "https://onlinecbm.uis.edu/degrees/",
-      "https://onlinecbm.uis.edu/degrees/business/",
-      "https://onlinecbm.uis.edu/degrees/business/articles/",
-      "https://onlinecbm.uis.edu/degrees/business/articles/page/2/",
-      "https://onlinecbm.uis.edu/degrees/business/graduate-certificates/",
-      "https://onlinecbm.uis.edu/degrees/business/graduate-certificates/applied-finance-cert/",
-      "https://onlinecbm.uis.edu/degrees/business/graduate-certificates/data-analytics-in-accounting/",
-      "https://onlinecbm.uis.edu/degrees/business/graduate-certificates/healthcare-mgmt/",
-      "https://onlinecbm.uis.edu/degrees/business/graduate-certificates/human-resource-managment/",
-      "https://onlinecbm.uis.edu/degrees/business/graduate-certificates/supply-chain-operations-management/",
-      "https://onlinecbm.uis.edu/degrees/business/masters/",
-      "https://onlinecbm.uis.edu/degrees/business/masters/articles/",
-      "https://onlinecbm.uis.edu/degrees/business/masters/finance/",
-      "https://onlinecbm.uis.edu/degrees/business/masters/finance/behavioral-finance-for-financial-planning/",
-      "https://onlinecbm.uis.edu/degrees/business/masters/finance/impact-of-generative-ai/",
-      "https://onlinecbm.uis.edu/degrees/business/masters/finance/personal-finance-and-financial-psychology-making-positive-financial-decisions/",
-      "https://onlinecbm.uis.edu/degrees/business/masters/finance/types-of-digital-currency/",
-      "https://onlinecbm.uis.edu/degrees/business/masters/healthcare-informatics/",
-      "https://onlinecbm.uis.edu/degrees/business/masters/healthcare-informatics/careers/",
-      "https://onlinecbm.uis.edu/degrees/business/masters/healthcare-informatics/fda-approval-process/",
-      "https://onlinecbm.uis.edu/degrees/business/masters/hr-management/",
-      "https://onlinecbm.uis.edu/degrees/business/masters/hr-management/future-of-human-resources/",
-      "https://onlinecbm.uis.edu/degrees/business/masters/hr-management/masters-degree-human-resources/",
-      "https://onlinecbm.uis.edu/degrees/business/masters/hr-management/strategic-human-resource-planning-management/",
-      "https://onlinecbm.uis.edu/degrees/business/masters/hr-management/strategic-planning-for-hr-managers/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/accounting-data-analytics/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/accounting-data-analytics/accounting-data-analytics-careers/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/accounting-data-analytics/business-intelligence-trends/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/accounting-data-analytics/preparing-for-the-cpa-exam/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/applied-finance/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/applied-finance/career-paths-for-mba-in-applied-finance-graduates/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/applied-finance/current-trends-in-finance-field/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/applied-finance/personal-finance-considerations-for-small-businesses/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/articles/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/business-analytics-program/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/business-analytics-program/business-intelligence-is-transforming-industries/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/business-analytics-program/ethical-practices-business-analytics-professionals/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/cybersecurity-administration-program/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/cybersecurity-administration-program/manager-responsibilities/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/cybersecurity-management-program/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/cybersecurity-management-program/cybersecurity-experts-chatgpt-vulnerability-detection/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/cybersecurity-management-program/what-jobs-can-i-get/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/cybersecurity-management-program/why-go-online/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/general/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/general/investing-101-mba-grads/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/general/why-earn-an-mba-degree/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/general/work-from-home-as-manager/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/healthcare-analytics/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/healthcare-analytics/essential-analytical-skills/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/healthcare-analytics/precision-medicine-and-ai/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/healthcare-management/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/healthcare-management/health-equity-policy-and-advocacy/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/healthcare-management/marketing-meets-healthcare-mgmt/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/healthcare-management/patient-care-effective-operations-management/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/human-resources/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/human-resources/impact-covid-19-recruitment-talent-acquisition/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/it-project-management-program/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/it-project-management-program/career-opportunities-information-technology/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/it-project-management-program/strategic-planning/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/operations-supply-chain-management/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/operations-supply-chain-management/impact-natural-resources-supply-chain/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/process-management/",
-      "https://onlinecbm.uis.edu/degrees/business/mba/process-management/project-management-and-process-management/",
-      "https://onlinecbm.uis.edu/degrees/technology/",
-      "https://onlinecbm.uis.edu/degrees/technology/articles/",
-      "https://onlinecbm.uis.edu/degrees/technology/graduate-certificate/",
-      "https://onlinecbm.uis.edu/degrees/technology/graduate-certificate/business-analytics/",
-      "https://onlinecbm.uis.edu/degrees/technology/graduate-certificate/business-applications-of-ai/",
-      "https://onlinecbm.uis.edu/degrees/technology/graduate-certificate/business-process-management/",
-      "https://onlinecbm.uis.edu/degrees/technology/graduate-certificate/cybersecurity-administration/",
-      "https://onlinecbm.uis.edu/degrees/technology/graduate-certificate/cybersecurity-management/",
-      "https://onlinecbm.uis.edu/degrees/technology/graduate-certificate/cybersecurity-policy/",
-      "https://onlinecbm.uis.edu/degrees/technology/graduate-certificate/digital-forensics/",
-      "https://onlinecbm.uis.edu/degrees/technology/graduate-certificate/health-information-privacy-and-security/",
-      "https://onlinecbm.uis.edu/degrees/technology/graduate-certificate/healthcare-analytics-cert/",
-      "https://onlinecbm.uis.edu/degrees/technology/graduate-certificate/it-project-management/",
-      "https://onlinecbm.uis.edu/degrees/technology/graduate-certificate/project-management-for-healthcare-informatics/",
-      "https://onlinecbm.uis.edu/degrees/technology/masters-cybersecurity-management/",
-      "https://onlinecbm.uis.edu/degrees/technology/masters-cybersecurity-management/incident-response-for-cyberattacks/",
-      "https://onlinecbm.uis.edu/degrees/technology/masters-cybersecurity-management/jobs-cybersecurity-degree/",
-      "https://onlinecbm.uis.edu/degrees/technology/masters-cybersecurity-management/network-security/",
-      "https://onlinecbm.uis.edu/degrees/technology/masters-management-information-systems/",
-      "https://onlinecbm.uis.edu/degrees/technology/masters-management-information-systems/articles/",
-      "https://onlinecbm.uis.edu/degrees/technology/masters-management-information-systems/business-analytics-mis/",
-      "https://onlinecbm.uis.edu/degrees/technology/masters-management-information-systems/business-analytics-mis/data-driven-decision-making/",
-      "https://onlinecbm.uis.edu/degrees/technology/masters-management-information-systems/business-analytics-mis/future-of-artificial-intelligence/",
-      "https://onlinecbm.uis.edu/degrees/technology/masters-management-information-systems/business-analytics-mis/leverage-programming-languages/",
-      "https://onlinecbm.uis.edu/degrees/technology/masters-management-information-systems/general-mis/",
-      "https://onlinecbm.uis.edu/degrees/technology/masters-management-information-systems/general-mis/competitive-advantages-business-mis/",
-      "https://onlinecbm.uis.edu/degrees/technology/masters-management-information-systems/general-mis/gain-a-competitive-advantage-using-mis/",
-      "https://onlinecbm.uis.edu/degrees/technology/masters-management-information-systems/general-mis/information-systems-and-supply-chain/",
-      "https://onlinecbm.uis.edu/degrees/technology/masters-management-information-systems/general-mis/managing-information-optimize-supply-chain/",
-      "https://onlinecbm.uis.edu/degrees/technology/masters-management-information-systems/general-mis/what-jobs-ms-mis-degree/",
-      "https://onlinecbm.uis.edu/degrees/technology/masters-management-information-systems/it-project-management-mis/",
-      "https://onlinecbm.uis.edu/degrees/technology/masters-management-information-systems/it-project-management-mis/impact-of-artificial-intelligence/",
-      "https://onlinecbm.uis.edu/degrees/technology/masters-management-information-systems/it-project-management-mis/it-risk-project-management/",
-      "https://onlinecbm.uis.edu/degrees/technology/masters-management-information-systems/process-management-mis/",
-      "https://onlinecbm.uis.edu/degrees/technology/masters-management-information-systems/process-management-mis/digital-transformation-in-business-process-management/",
-      "https://onlinecbm.uis.edu/degrees/technology/masters-management-information-systems/process-management-mis/purpose-and-value-of-process-mining/",
-      "https://onlinecbm.uis.edu/online-experience/",
-      "https://onlinecbm.uis.edu/student-services/",
-      "https://onlinecbm.uis.edu/tuition/"
-    ]
-  }
+    baseUrl: "https://onlinecbm.uis.edu"
+  },
+  // Pixel comparison settings: pixelmatch color threshold (0-1), the height of
+  // the tiles full-page screenshots are compared in, at native resolution, and
+  // the default similarity percentage a page needs to pass (routes.js can
+  // override it per page).
+  // `strategy` picks the score pages pass or fail on (routes.js can override
+  // it per page) and `strategies` lists the scores reported alongside it:
+  // "pixelmatch" (share of matching pixels; anti-aliasing is ignored unless
+  // `includeAA` is set), "ssim" (structural similarity over `ssimWindow`-pixel
+  // windows) and "shift-tolerant" (follows content moved up or down by up to
+  // `maxShift` pixels).
+  // Changed pixels are grouped into `regions`: pixels are bucketed into
+  // `cellSize` squares, changed cells up to `gap` cells apart are merged, and
+  // the `maxRegions` largest with at least `minPixels` changes are numbered on
+  // the annotated diff and matched to the page elements under them.
+  comparison: {
+    passThreshold: 95,
+    threshold: 0.1,
+    tileHeight: 1000,
+    strategy: "pixelmatch",
+    strategies: ["pixelmatch", "ssim", "shift-tolerant"],
+    includeAA: false,
+    ssimWindow: 8,
+    maxShift: 400,
+    regions: {
+      cellSize: 16,
+      gap: 2,
+      minPixels: 20,
+      maxRegions: 20,
+    },
+  },
+  // When the run fails: pages below their similarity threshold count as
+  // failures, as do capture errors when `failOnError` is set. Up to
+  // `maxFailures` failing pages are tolerated across the run.
+  passCriteria: {
+    maxFailures: 0,
+    failOnError: true,
+  },
+  // Approved baselines. scripts/baselines.js copies approved screenshots into
+  // `dir` and records them in `manifest`; both are committed. Run with
+  // VISUAL_BASELINE=staging (or prod) to compare that environment against its
+  // approved baseline instead of against the other environment
+  // (`npm run test:baseline` runs only those tests and needs it set).
+  baselines: {
+    dir: "baselines",
+    manifest: "baselines/manifest.json",
+  },
+  // Run history. Every full run is archived under `dir`/<run id> (set
+  // VISUAL_RUN_ID to choose the id) with its results and reports. Set
+  // `archiveScreenshots` to also copy every screenshot and diff the reports
+  // show; that is several GB per run across all browsers and devices. Only the
+  // newest `maxRuns` runs are kept; `dir`/index.html shows trends across them.
+  history: {
+    dir: "visual-history",
+    maxRuns: 30,
+    archiveScreenshots: false,
+  },
+  // Dynamic content to mask before capture and exclude from the pixel diff.
+  // `selectors` are painted over in the screenshots; `regions` are rectangles
+  // in CSS pixels ({ x, y, width, height }) measured from the top of the page.
+  // Per-page masks go in routes.js and add to these.
+  masks: {
+    selectors: [
+      ".elementor-widget-testimonial-carousel",
+      ".elementor-widget-image-carousel",
+      "iframe[src*='youtube.com']",
+      "iframe[src*='vimeo.com']",
+      "video",
+    ],
+    regions: [],
+  },
+  // Page stabilization before capture. Buttons matching `dismissSelectors`
+  // (cookie consent etc.) are clicked and `hideSelectors` (chat launchers etc.)
+  // are hidden. Timeouts are in milliseconds; a step that times out is
+  // recorded in the results and the capture continues.
+  stabilization: {
+    navigationTimeout: 60000,
+    networkIdleTimeout: 10000,
+    fontsTimeout: 5000,
+    lazyLoadTimeout: 15000,
+    imagesTimeout: 10000,
+    widgetsTimeout: 3000,
+    dismissSelectors: [
+      "#onetrust-accept-btn-handler",
+      "#cookie_action_close_header",
+    ],
+    hideSelectors: [
+      "#hubspot-messages-iframe-container",
+      "#drift-frame-controller",
+      "#drift-frame-chat",
+    ],
+  },
+  // Text and outline diff: unchanged stretches of text are cut to `context`
+  // words around each change, and pages needing more than `maxEdits` word
+  // edits are reported as rewritten instead of diffed.
+  contentDiff: {
+    context: 6,
+    maxEdits: 2000,
+  },
+  // Accessibility audit, run in the browser on each page's staging and prod
+  // capture when `enabled`. `rules` picks from image-alt, form-label,
+  // heading-order, color-contrast, landmarks and focusable-name; text needs
+  // `minContrast` (`minLargeTextContrast` for large text). Issues only on
+  // staging are reported as introduced by the release.
+  accessibility: {
+    enabled: true,
+    rules: [
+      "image-alt",
+      "form-label",
+      "heading-order",
+      "color-contrast",
+      "landmarks",
+      "focusable-name",
+    ],
+    minContrast: 4.5,
+    minLargeTextContrast: 3,
+  },
+  // SEO metadata check. Every page's title, description, canonical, robots,
+  // Open Graph (og:* and article:*) and Twitter tags, hreflang and JSON-LD
+  // are diffed between staging and prod. A page fails when a `requiredFields`
+  // entry is missing, its canonical or og:url is on another host, a field on
+  // prod is missing on staging, or prod has noindex outside the
+  // `noindexAllowed` paths (regular expressions). Fields matching an
+  // `ignoreFields` expression are not diffed.
+  seo: {
+    requiredFields: ["title", "description", "canonical"],
+    noindexAllowed: [],
+    ignoreFields: [
+      "^og:updated_time$",
+      "^article:modified_time$",
+      "\\.dateModified$",
+    ],
+  },
+  // Navigation menu check. The menu under the first element matching
+  // `menuSelector` on each environment's homepage is compared with its
+  // snapshot in `dir`/<env>.json and with the other environment, and each of
+  // its links is requested (see linkCheck). Run with VISUAL_UPDATE_MENUS=1 to
+  // record or replace the snapshots, then commit `dir`; until then the snapshot
+  // comparison is skipped and reported as missing.
+  navigation: {
+    menuSelector: "ul.max-mega-menu",
+    dir: "menu-snapshots",
+  },
+  // Mobile menu tests, run on each of `devices` on staging and prod: the
+  // hamburger at `toggleSelector` on `path` must open `menuSelector`, expand
+  // the first top-level `parentSelector` item's `submenuSelector`, follow a
+  // submenu link, close again, and work from the keyboard (Escape closes it).
+  mobileNav: {
+    devices: ["Phone"],
+    path: "/",
+    toggleSelector: ".mega-menu-toggle",
+    menuSelector: "ul.max-mega-menu",
+    parentSelector: "li.mega-menu-item-has-children",
+    submenuSelector: "ul.mega-sub-menu",
+    linkSelector: "a.mega-menu-link",
+  },
+  // Interactive states captured on staging and prod and compared like full
+  // pages. Each state opens `path` on `device`, runs its `steps` in order
+  // (each one of hover, click, focus, fill with `value`, press or waitFor,
+  // given a selector or, for press, a key) and screenshots `target`, or the
+  // viewport when it is not set. `threshold` is the similarity percentage a
+  // state needs to pass (default: comparison.passThreshold).
+  interactiveStates: {
+    states: [
+      {
+        name: "Mega-menu open",
+        path: "/",
+        device: "Desktop",
+        steps: [
+          {
+            hover:
+              "ul.max-mega-menu > li.mega-menu-item-has-children > a.mega-menu-link",
+          },
+          { waitFor: "ul.max-mega-menu > li.mega-toggle-on > ul.mega-sub-menu" },
+        ],
+      },
+      {
+        name: "Mobile menu open",
+        path: "/",
+        device: "Phone",
+        steps: [
+          { click: ".mega-menu-toggle" },
+          { waitFor: "ul.max-mega-menu > li.mega-menu-item" },
+        ],
+      },
+      {
+        name: "Request-info field focused",
+        path: "/",
+        device: "Desktop",
+        steps: [{ focus: "#input_2_2" }],
+        target: "#gform_wrapper_2",
+      },
+      {
+        name: "Request-info validation errors",
+        path: "/",
+        device: "Desktop",
+        steps: [{ click: "#gform_submit_button_2" }, { waitFor: ".gfield_error" }],
+        target: "#gform_wrapper_2",
+      },
+    ],
+  },
+  // Form tests (forms.js). Submissions are intercepted and checked without
+  // reaching the CRM unless `liveSubmissions` is set; VISUAL_LIVE_FORMS=1
+  // enables live submissions for a single run. The validation tests submit
+  // for real, so they are skipped unless live submissions are enabled.
+  forms: {
+    liveSubmissions: false,
+  },
+  // Program-of-interest check: the select marked `program` in forms.js is
+  // compared between staging and prod and against the program pages, i.e.
+  // the routes.js pages matching `pagePatterns` (regular expressions) or
+  // tagged `tag`. Options are paired with pages by name when at least
+  // `matchThreshold` (0-1) of their words agree; `aliases` pins a page path
+  // to an option label the matching misses, and `ignoreOptions` lists option
+  // labels that have no page of their own.
+  programCatalog: {
+    pagePatterns: [
+      "^/degrees/[^/]+/(graduate-certificates?|masters|mba)/(?!articles/)[^/]+/$",
+      "^/degrees/[^/]+/masters-[^/]+/$",
+      "^/degrees/technology/masters-management-information-systems/(?!articles/)[^/]+/$",
+    ],
+    tag: "program",
+    matchThreshold: 0.6,
+    aliases: {},
+    ignoreOptions: [],
+  },
+  // Broken image and asset check across every routes.js page on one
+  // environment (set VISUAL_ASSET_ENV=prod to check prod). Each distinct asset
+  // URL is requested once, with up to `concurrency` requests in flight;
+  // `exclude` holds regular expressions for asset URLs to skip.
+  assetCheck: {
+    environment: "staging",
+    concurrency: 8,
+    requestTimeout: 15000,
+    exclude: [],
+  },
+  // Link check across every routes.js page on each of `environments` (set
+  // VISUAL_LINK_ENV=staging to check one). Same-host links are resolved with
+  // their redirect chains; other hosts only when `checkExternal` is set.
+  // Pages must not link to their `leakHosts` (subdomains included), directly
+  // or through a redirect.
+  linkCheck: {
+    environments: ["staging", "prod"],
+    concurrency: 8,
+    requestTimeout: 15000,
+    maxRedirects: 10,
+    checkExternal: false,
+    leakHosts: {
+      staging: ["onlinecbm.uis.edu"],
+      prod: ["pantheonsite.io"],
+    },
+    exclude: [],
+  },
+  // Route discovery (scripts/discoverRoutes.js). Sitemaps are tried in order;
+  // `exclude` holds regular expressions for paths to leave out.
+  discovery: {
+    sitemapPaths: ["/sitemap_index.xml", "/sitemap.xml"],
+    exclude: ["^/wp-", "^/author/", "^/category/", "^/tag/", "/feed/$"],
+    maxCrawlPages: 500,
+  },
+  // Devices the visual comparison runs against. `descriptor` names a Playwright
+  // device (https://playwright.dev/docs/emulation#devices); any other keys are
+  // passed to browser.newContext() and override the descriptor.
+  // Set VISUAL_DEVICES=Desktop,Phone to run a subset.
+  devices: [
+    {
+      name: "Desktop",
+      descriptor: "Desktop Chrome",
+      viewport: { width: 1280, height: 800 },
+    },
+    {
+      name: "Tablet",
+      descriptor: "iPad (gen 7)",
+    },
+    {
+      name: "Phone",
+      descriptor: "iPhone 13",
+    },
+  ]
 };
\ No newline at end of file
@@ -0,0 +1,113 @@
+// Gravity Forms flows for the form tests, validated at load time by
+// utils/formManifest.js. Each entry is an object:
+//
+//   name          test title (required, unique)
+//   formId        Gravity Forms form id (required)
+//   path          page path the form is on, e.g. "/apply/" (required)
+//   query         query string to open the first page with, e.g.
+//                 "utm_source=qa&utm_campaign=forms" to exercise UTM tracking
+//   start         { path, click } to reach the form by clicking `click` on
+//                 the page at `path` instead of opening `path` directly
+//   fields        fields to fill, in order (required). Each has:
+//                   id        Gravity Forms field id; the input is
+//                             #input_<formId>_<id> unless `selector` is set
+//                   selector  CSS selector for the input
+//                   label     name used in logs (default: "Field <id>")
+//                   type      "text" (default), "email", "tel", "textarea",
+//                             "select", "checkbox" or "radio"
+//                   value     value to enter or option value to select;
+//                             "{timestamp}" is replaced with a per-run number
+//                   index     option index to select, or choice index for
+//                             checkbox/radio (#choice_<formId>_<id>_<index>)
+//                   format    "email" or "phone", for the invalid-value
+//                             validation tests (email fields default to
+//                             "email"). Set "phone" only on Phone fields with
+//                             the standard (###) ###-#### mask; Gravity Forms
+//                             does not validate other phone or text fields.
+//                   program   true on the program-of-interest select, whose
+//                             options are checked against the degree catalog
+//                             (see config.programCatalog)
+//   submit        submit button selector (default: #gform_submit_button_<formId>)
+//   payload       extra fields the submitted payload must carry, by field
+//                 name, e.g. hidden UTM or program-code fields:
+//                 { input_9: "qa" }
+//   confirmation  what a successful live submission shows (required):
+//                   urlPattern  regular expression the URL must match
+//                   selector    element holding the confirmation message
+//                   text        expected message text
+//
+// Request-info forms on other pages are added here; each runs as its own test,
+// plus a validation test per required field (submitted empty) and per field
+// with a `format` (submitted with a malformed value). Validation tests submit
+// for real, so they only run when live submissions are enabled.
+// Submissions are dry runs unless live submissions are enabled (see
+// config.forms): the Gravity Forms POST is intercepted, its payload checked
+// against the filled fields, the form's hidden fields and `payload`, and a
+// stub confirmation is returned instead of creating a lead.
+module.exports = [
+  {
+    name: "Homepage request-info form",
+    formId: 2,
+    path: "/",
+    fields: [
+      {
+        id: 1,
+        label: "Program of Interest",
+        type: "select",
+        index: 1,
+        program: true,
+      },
+      { id: 2, label: "First Name", value: "John{timestamp}" },
+      { id: 3, label: "Last Name", value: "Doe" },
+      {
+        id: 6,
+        label: "Email",
+        type: "email",
+        value: "johndoe{timestamp}@example.com",
+      },
+      { id: 4, label: "Phone", type: "tel", value: "5551234567" },
+      { id: 5, label: "ZIP Code", value: "12345" },
+      { id: 7, label: "How did you hear about us?", type: "select", index: 2 },
+    ],
+    confirmation: {
+      selector: "h1.header2",
+      text: "Thanks for your submission!",
+    },
+  },
+  {
+    name: "Apply Now form",
+    formId: 5,
+    path: "/apply/",
+    start: { path: "/", click: "#mega-menu-item-7481 a.mega-menu-link" },
+    fields: [
+      {
+        id: 1,
+        label: "Program of Interest",
+        type: "select",
+        value: "UIS-C-GDGTFRNS",
+        program: true,
+      },
+      { id: 2, label: "First Name", value: "Jane" },
+      { id: 3, label: "Last Name", value: "Doe" },
+      {
+        id: 4,
+        label: "Email",
+        type: "email",
+        value: "janedoe{timestamp}@example.com",
+      },
+      { id: 5, label: "Phone", type: "tel", value: "5551234567" },
+      { id: 6, label: "ZIP Code", value: "67890" },
+      {
+        id: 7,
+        label: "How did you hear about us?",
+        type: "select",
+        value: "Email",
+      },
+    ],
+    confirmation: {
+      urlPattern: "apply2/\\?d=.+",
+      selector: ".elementor-element-375b1cc6 h1.header2",
+      text: "Great! Now, take the next step to complete your application.",
+    },
+  },
+];
@@ -0,0 +1,9 @@
+const { clearPartialResults } = require("./utils/results.js");
+
+// Start unsharded runs from a clean slate. Sharded runs keep existing partial
+// results so shards run one after another on the same machine add up.
+module.exports = async (config) => {
+  if (!config.shard) {
+    clearPartialResults();
+  }
+};
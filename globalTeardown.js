@@ -0,0 +1,21 @@
+const { readPartialResults } = require("./utils/results.js");
+const { generateReports } = require("./utils/report.js");
+const { archiveRun } = require("./utils/history.js");
+
+// Merge the partial visual comparison results written by the tests into the
+// HTML reports. A sharded run reports on what this machine has so far;
+// scripts/mergeVisualResults.js rebuilds the reports once all shards are in.
+// The failure budget is enforced by tests/failureBudget.spec.js.
+// Only unsharded runs are archived to the run history; sharded runs are
+// archived by the merge script.
+module.exports = async (config) => {
+  const deviceRuns = readPartialResults();
+  if (deviceRuns.length === 0) {
+    return;
+  }
+
+  const data = await generateReports(deviceRuns);
+  if (!config.shard) {
+    console.log(`Run archived: ${archiveRun(data)}`);
+  }
+};
@@ -14,6 +14,9 @@ import { defineConfig, devices } from '@playwright/test';
  */
 export default defineConfig({
   testDir: './tests',
+  /* Clear and merge the per-page visual comparison results. See utils/results.js */
+  globalSetup: './globalSetup.js',
+  globalTeardown: './globalTeardown.js',
   /* Run tests in files in parallel */
   fullyParallel: true,
   /* Fail the build on CI if you accidentally left test.only in the source code. */
@@ -33,21 +36,40 @@ export default defineConfig({
     trace: 'on-first-retry',
   },
 
-  /* Configure projects for major browsers */
+  /* Configure projects for major browsers. Each hands over to the
+     failure-budget project once its tests are done. */
   projects: [
     {
       name: 'chromium',
       use: { ...devices['Desktop Chrome'] },
+      testIgnore: [/failureBudget\.spec\.js/, /unit\//],
+      teardown: 'failure-budget',
     },
 
     {
       name: 'firefox',
       use: { ...devices['Desktop Firefox'] },
+      testIgnore: [/failureBudget\.spec\.js/, /unit\//],
+      teardown: 'failure-budget',
     },
 
     {
       name: 'webkit',
       use: { ...devices['Desktop Safari'] },
+      testIgnore: [/failureBudget\.spec\.js/, /unit\//],
+      teardown: 'failure-budget',
+    },
+
+    /* Browser-free checks of the helpers in utils/ */
+    {
+      name: 'unit',
+      testMatch: /unit\/.*\.spec\.js/,
+    },
+
+    /* Check passCriteria.maxFailures across every page compared in the run */
+    {
+      name: 'failure-budget',
+      testMatch: /failureBudget\.spec\.js/,
     },
 
     /* Test against mobile viewports. */
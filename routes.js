@@ -0,0 +1,407 @@
+// Route manifest for the staging-vs-prod checks, validated at load time by
+// utils/routeManifest.js. Each entry is a path string or an object:
+//
+//   path         page path on staging, e.g. "/degrees/" (required)
+//   prodPath     page path on prod when it differs from `path`
+//   tags         labels for filtering, e.g. ["degrees", "business"]
+//   threshold    minimum similarity percentage to pass (default: config.js)
+//   strategy     comparison strategy whose score decides pass/fail:
+//                "pixelmatch", "ssim" or "shift-tolerant" (default: config.js)
+//   masks        { selectors, regions } masked in addition to config.masks
+//   wait         { selectors, delay, timeout } to wait for before capture
+//   skip         true, or a reason string, to skip the page everywhere
+//   skipDevices  device names from config.js to skip the page on
+//
+// scripts/discoverRoutes.js --write rewrites the list below.
+module.exports = [
+  { path: "/", tags: ["core"] },
+  { path: "/about/", tags: ["core"] },
+  { path: "/academic-calendar/", tags: ["core"] },
+  { path: "/accreditations-accolades/", tags: ["core"] },
+  { path: "/admissions/", tags: ["core"] },
+  { path: "/apply/", tags: ["core"] },
+  { path: "/articles/", tags: ["core", "listing"] },
+  { path: "/articles/page/2/", tags: ["core", "listing"] },
+  { path: "/degrees/", tags: ["degrees"] },
+  { path: "/degrees/business/", tags: ["degrees", "business"] },
+  {
+    path: "/degrees/business/articles/",
+    tags: ["degrees", "business", "listing"],
+  },
+  {
+    path: "/degrees/business/articles/page/2/",
+    tags: ["degrees", "business", "listing"],
+  },
+  {
+    path: "/degrees/business/graduate-certificates/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/graduate-certificates/applied-finance-cert/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/graduate-certificates/data-analytics-in-accounting/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/graduate-certificates/healthcare-mgmt/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/graduate-certificates/human-resource-managment/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/graduate-certificates/supply-chain-operations-management/",
+    tags: ["degrees", "business"],
+  },
+  { path: "/degrees/business/masters/", tags: ["degrees", "business"] },
+  {
+    path: "/degrees/business/masters/articles/",
+    tags: ["degrees", "business", "listing"],
+  },
+  { path: "/degrees/business/masters/finance/", tags: ["degrees", "business"] },
+  {
+    path: "/degrees/business/masters/finance/behavioral-finance-for-financial-planning/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/masters/finance/impact-of-generative-ai/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/masters/finance/personal-finance-and-financial-psychology-making-positive-financial-decisions/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/masters/finance/types-of-digital-currency/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/masters/healthcare-informatics/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/masters/healthcare-informatics/careers/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/masters/healthcare-informatics/fda-approval-process/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/masters/hr-management/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/masters/hr-management/future-of-human-resources/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/masters/hr-management/masters-degree-human-resources/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/masters/hr-management/strategic-human-resource-planning-management/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/masters/hr-management/strategic-planning-for-hr-managers/",
+    tags: ["degrees", "business"],
+  },
+  { path: "/degrees/business/mba/", tags: ["degrees", "business"] },
+  {
+    path: "/degrees/business/mba/accounting-data-analytics/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/accounting-data-analytics/accounting-data-analytics-careers/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/accounting-data-analytics/business-intelligence-trends/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/accounting-data-analytics/preparing-for-the-cpa-exam/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/applied-finance/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/applied-finance/career-paths-for-mba-in-applied-finance-graduates/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/applied-finance/current-trends-in-finance-field/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/applied-finance/personal-finance-considerations-for-small-businesses/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/articles/",
+    tags: ["degrees", "business", "listing"],
+  },
+  {
+    path: "/degrees/business/mba/business-analytics-program/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/business-analytics-program/business-intelligence-is-transforming-industries/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/business-analytics-program/ethical-practices-business-analytics-professionals/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/cybersecurity-administration-program/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/cybersecurity-administration-program/manager-responsibilities/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/cybersecurity-management-program/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/cybersecurity-management-program/cybersecurity-experts-chatgpt-vulnerability-detection/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/cybersecurity-management-program/what-jobs-can-i-get/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/cybersecurity-management-program/why-go-online/",
+    tags: ["degrees", "business"],
+  },
+  { path: "/degrees/business/mba/general/", tags: ["degrees", "business"] },
+  {
+    path: "/degrees/business/mba/general/investing-101-mba-grads/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/general/why-earn-an-mba-degree/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/general/work-from-home-as-manager/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/healthcare-analytics/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/healthcare-analytics/essential-analytical-skills/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/healthcare-analytics/precision-medicine-and-ai/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/healthcare-management/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/healthcare-management/health-equity-policy-and-advocacy/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/healthcare-management/marketing-meets-healthcare-mgmt/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/healthcare-management/patient-care-effective-operations-management/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/human-resources/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/human-resources/impact-covid-19-recruitment-talent-acquisition/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/it-project-management-program/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/it-project-management-program/career-opportunities-information-technology/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/it-project-management-program/strategic-planning/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/operations-supply-chain-management/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/operations-supply-chain-management/impact-natural-resources-supply-chain/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/process-management/",
+    tags: ["degrees", "business"],
+  },
+  {
+    path: "/degrees/business/mba/process-management/project-management-and-process-management/",
+    tags: ["degrees", "business"],
+  },
+  { path: "/degrees/technology/", tags: ["degrees", "technology"] },
+  {
+    path: "/degrees/technology/articles/",
+    tags: ["degrees", "technology", "listing"],
+  },
+  {
+    path: "/degrees/technology/graduate-certificate/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/graduate-certificate/business-analytics/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/graduate-certificate/business-applications-of-ai/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/graduate-certificate/business-process-management/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/graduate-certificate/cybersecurity-administration/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/graduate-certificate/cybersecurity-management/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/graduate-certificate/cybersecurity-policy/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/graduate-certificate/digital-forensics/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/graduate-certificate/health-information-privacy-and-security/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/graduate-certificate/healthcare-analytics-cert/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/graduate-certificate/it-project-management/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/graduate-certificate/project-management-for-healthcare-informatics/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/masters-cybersecurity-management/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/masters-cybersecurity-management/incident-response-for-cyberattacks/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/masters-cybersecurity-management/jobs-cybersecurity-degree/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/masters-cybersecurity-management/network-security/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/masters-management-information-systems/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/masters-management-information-systems/articles/",
+    tags: ["degrees", "technology", "listing"],
+  },
+  {
+    path: "/degrees/technology/masters-management-information-systems/business-analytics-mis/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/masters-management-information-systems/business-analytics-mis/data-driven-decision-making/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/masters-management-information-systems/business-analytics-mis/future-of-artificial-intelligence/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/masters-management-information-systems/business-analytics-mis/leverage-programming-languages/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/masters-management-information-systems/general-mis/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/masters-management-information-systems/general-mis/competitive-advantages-business-mis/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/masters-management-information-systems/general-mis/gain-a-competitive-advantage-using-mis/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/masters-management-information-systems/general-mis/information-systems-and-supply-chain/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/masters-management-information-systems/general-mis/managing-information-optimize-supply-chain/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/masters-management-information-systems/general-mis/what-jobs-ms-mis-degree/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/masters-management-information-systems/it-project-management-mis/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/masters-management-information-systems/it-project-management-mis/impact-of-artificial-intelligence/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/masters-management-information-systems/it-project-management-mis/it-risk-project-management/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/masters-management-information-systems/process-management-mis/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/masters-management-information-systems/process-management-mis/digital-transformation-in-business-process-management/",
+    tags: ["degrees", "technology"],
+  },
+  {
+    path: "/degrees/technology/masters-management-information-systems/process-management-mis/purpose-and-value-of-process-mining/",
+    tags: ["degrees", "technology"],
+  },
+  { path: "/online-experience/", tags: ["core"] },
+  { path: "/student-services/", tags: ["core"] },
+  { path: "/tuition/", tags: ["core"] },
+];
@@ -0,0 +1,239 @@
+// Manage the approved baselines in baselines/ (see `baselines` in config.js).
+//
+// Usage:
+//   node scripts/baselines.js list [--env staging] [--project chromium]
+//                                  [--device Desktop]
+//   node scripts/baselines.js approve --env staging|prod|all
+//                                     [--project chromium] [--device Desktop]
+//                                     [--page /about/ ...] [--note "..."]
+//   node scripts/baselines.js reject --env staging|prod|all
+//                                    [--project chromium] [--device Desktop]
+//                                    --page /about/ [...] [--note "..."]
+//   node scripts/baselines.js apply baseline-decisions-chromium-Desktop.json
+//   node scripts/baselines.js check
+//
+// `approve` copies the latest captures in screenshots/ into the baseline store
+// (every page captured on the device when no --page is given). --project
+// names a Playwright project (browser); without it, every project with
+// captures in screenshots/ is included. `reject` records that the latest
+// captures were reviewed and not accepted. `apply` takes the decisions
+// exported from the HTML report. Commit baselines/ after approving so the
+// next runs compare against it. `check` fails unless VISUAL_BASELINE names an
+// environment; `npm run test:baseline` runs it first.
+const fs = require("fs");
+const config = require("../config.js");
+const { getRoutes } = require("../utils/routeManifest.js");
+const { getScreenshotDir } = require("../utils/results.js");
+const { ENVIRONMENTS } = require("../utils/environments.js");
+const {
+  getCapturePath,
+  readManifest,
+  writeManifest,
+  getDeviceBaselines,
+  getBaselineEnvironment,
+  approveBaseline,
+  rejectBaseline,
+  applyDecisions,
+} = require("../utils/baselines.js");
+
+// Parse `--name value` options; repeated options collect into a list
+function parseArgs(args) {
+  const options = { positional: [] };
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith("--")) {
+      options.positional.push(args[i]);
+      continue;
+    }
+    const name = args[i].slice(2);
+    const value = args[i + 1];
+    if (value === undefined || value.startsWith("--")) {
+      throw new Error(`Missing value for --${name}`);
+    }
+    options[name] = [...(options[name] || []), value];
+    i++;
+  }
+  return options;
+}
+
+// Environments selected by --env ("all" or omitted means both)
+function selectEnvironments(options) {
+  const requested = options.env || ["all"];
+  if (requested.includes("all")) {
+    return ENVIRONMENTS;
+  }
+  const unknown = requested.find((env) => !ENVIRONMENTS.includes(env));
+  if (unknown) {
+    throw new Error(`Unknown environment "${unknown}"`);
+  }
+  return requested;
+}
+
+// Devices selected by --device (all configured devices when omitted)
+function selectDevices(options) {
+  const names = config.devices.map((device) => device.name);
+  const requested = options.device || names;
+  const unknown = requested.find((name) => !names.includes(name));
+  if (unknown) {
+    throw new Error(
+      `Unknown device "${unknown}"; expected ${names.join(", ")}`
+    );
+  }
+  return requested;
+}
+
+// Projects selected by --project, else every project with captures of a
+// configured device in screenshots/
+function selectProjects(options) {
+  if (options.project) {
+    return options.project;
+  }
+  if (!fs.existsSync("screenshots")) {
+    return [];
+  }
+  return fs
+    .readdirSync("screenshots", { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .filter((project) =>
+      config.devices.some((device) =>
+        fs.existsSync(getScreenshotDir(project, device.name))
+      )
+    );
+}
+
+// Every (environment, project, device, page) the command applies to. Without
+// --page, only pages with a capture on disk are included.
+function selectTargets(options) {
+  const targets = [];
+  for (const environment of selectEnvironments(options)) {
+    for (const project of selectProjects(options)) {
+      for (const deviceName of selectDevices(options)) {
+        const pagePaths =
+          options.page ||
+          getRoutes()
+            .map((route) => route.path)
+            .filter((pagePath) =>
+              fs.existsSync(
+                getCapturePath(environment, project, deviceName, pagePath)
+              )
+            );
+        pagePaths.forEach((pagePath) =>
+          targets.push({ environment, project, deviceName, pagePath })
+        );
+      }
+    }
+  }
+  return targets;
+}
+
+// Print the approved baselines
+function list(manifest, options) {
+  let count = 0;
+  for (const environment of selectEnvironments(options)) {
+    const projects =
+      options.project || Object.keys(manifest.baselines[environment] || {});
+    for (const project of projects) {
+      for (const deviceName of selectDevices(options)) {
+        const pages = getDeviceBaselines(
+          manifest,
+          environment,
+          project,
+          deviceName
+        );
+        Object.entries(pages).forEach(([pagePath, entry]) => {
+          count++;
+          console.log(
+            `${environment} ${project} ${deviceName} ${pagePath}  approved ${
+              entry.approvedAt
+            }${entry.approvedBy ? ` by ${entry.approvedBy}` : ""}${
+              entry.note ? ` (${entry.note})` : ""
+            }`
+          );
+        });
+      }
+    }
+  }
+  console.log(`${count} approved baselines`);
+}
+
+(async () => {
+  const [command, ...args] = process.argv.slice(2);
+  const options = parseArgs(args);
+  const reviewer = process.env.USER || process.env.USERNAME || null;
+  const note = options.note ? options.note.join(" ") : null;
+  const manifest = readManifest();
+
+  if (command === "list") {
+    list(manifest, options);
+    return;
+  }
+
+  if (command === "approve" || command === "reject") {
+    if (command === "reject" && !options.page) {
+      throw new Error("reject needs at least one --page");
+    }
+    const targets = selectTargets(options);
+    targets.forEach((target) => {
+      if (command === "approve") {
+        approveBaseline(manifest, { ...target, approvedBy: reviewer, note });
+      } else {
+        rejectBaseline(manifest, { ...target, rejectedBy: reviewer, note });
+      }
+      console.log(
+        `${command === "approve" ? "Approved" : "Rejected"} ${
+          target.environment
+        } ${target.project} ${target.deviceName} ${target.pagePath}`
+      );
+    });
+    writeManifest(manifest);
+    console.log(
+      `${targets.length} pages ${
+        command === "approve" ? "approved" : "rejected"
+      }`
+    );
+    return;
+  }
+
+  if (command === "check") {
+    const environment = getBaselineEnvironment();
+    if (!environment) {
+      throw new Error(
+        `VISUAL_BASELINE is not set, so no test compares with a baseline. Set it to ${ENVIRONMENTS.join(
+          " or "
+        )}, e.g. VISUAL_BASELINE=staging npm run test:baseline`
+      );
+    }
+    console.log(`Comparing ${environment} with its approved baselines`);
+    return;
+  }
+
+  if (command === "apply") {
+    if (options.positional.length === 0) {
+      throw new Error("apply needs at least one decisions file");
+    }
+    // One batch, so a bad decision in any file stops before anything is copied
+    const decisions = options.positional.flatMap(
+      (decisionsPath) =>
+        JSON.parse(fs.readFileSync(decisionsPath, "utf8")).decisions || []
+    );
+    const applied = applyDecisions(manifest, { decisions }, reviewer);
+    console.log(
+      `${applied.approved} approved, ${applied.rejected} rejected${
+        applied.skipped > 0
+          ? `, ${applied.skipped} interactive states skipped`
+          : ""
+      }`
+    );
+    writeManifest(manifest);
+    return;
+  }
+
+  throw new Error(
+    `Unknown command "${
+      command || ""
+    }"; expected list, approve, reject, apply or check`
+  );
+})().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,100 @@
+// Discover the pages each environment publishes and reconcile them with the
+// route manifest in routes.js.
+//
+// Usage: node scripts/discoverRoutes.js [--crawl] [--write]
+//
+//   --crawl  also follow internal links from the home page, to find pages the
+//            sitemaps leave out
+//   --write  update routes.js to the pages present on both environments:
+//            existing entries keep their settings, new pages are appended and
+//            pages missing from either environment are removed
+//
+// The full reconciliation is saved to visual-results/route-discovery.json.
+const fs = require("fs");
+const path = require("path");
+const config = require("../config.js");
+const { RESULTS_DIR } = require("../utils/results.js");
+const { getRoutes, formatRoute } = require("../utils/routeManifest.js");
+const {
+  discoverPaths,
+  reconcileRoutes,
+} = require("../utils/routeDiscovery.js");
+
+const ROUTES_PATH = path.join(__dirname, "..", "routes.js");
+
+// Rewrite the array in routes.js, keeping the header comment
+function writeRoutes(entries) {
+  const source = fs.readFileSync(ROUTES_PATH, "utf8");
+  const start = source.indexOf("module.exports = [");
+  if (start === -1) {
+    throw new Error('Could not find "module.exports = [" in routes.js');
+  }
+  const body = entries.map((entry) => `  ${formatRoute(entry)},`).join("\n");
+  fs.writeFileSync(
+    ROUTES_PATH,
+    `${source.slice(0, start)}module.exports = [\n${body}\n];\n`
+  );
+}
+
+// Print one section of the reconciliation
+function printList(title, paths) {
+  console.log(`\n${title} (${paths.length})`);
+  paths.forEach((pagePath) => console.log(`  ${pagePath}`));
+}
+
+(async () => {
+  const crawl = process.argv.includes("--crawl");
+  const write = process.argv.includes("--write");
+
+  const staging = await discoverPaths(config.staging.baseUrl, { crawl });
+  console.log(
+    `Staging: ${staging.paths.length} pages from ${staging.sitemapUrl}`
+  );
+  const prod = await discoverPaths(config.prod.baseUrl, { crawl });
+  console.log(`Prod: ${prod.paths.length} pages from ${prod.sitemapUrl}`);
+
+  const reconciliation = reconcileRoutes(
+    staging.paths,
+    prod.paths,
+    getRoutes()
+  );
+  printList("Only on staging", reconciliation.stagingOnly);
+  printList("Only on prod", reconciliation.prodOnly);
+  printList("On both but not in routes.js", reconciliation.missingFromConfig);
+  printList("In routes.js but not on both", reconciliation.staleInConfig);
+
+  const reportPath = path.join(RESULTS_DIR, "route-discovery.json");
+  fs.mkdirSync(RESULTS_DIR, { recursive: true });
+  fs.writeFileSync(
+    reportPath,
+    JSON.stringify(
+      {
+        generatedAt: new Date().toISOString(),
+        crawl,
+        staging,
+        prod,
+        ...reconciliation,
+      },
+      null,
+      2
+    )
+  );
+  console.log(`\nReconciliation saved to ${reportPath}`);
+
+  if (write) {
+    const stale = new Set(reconciliation.staleInConfig);
+    const entries = require("../routes.js")
+      .map((entry) => (typeof entry === "string" ? { path: entry } : entry))
+      .filter((entry) => !stale.has(entry.path));
+    reconciliation.missingFromConfig.forEach((pagePath) =>
+      entries.push({ path: pagePath })
+    );
+    writeRoutes(entries);
+    console.log(
+      `Updated routes.js: ${reconciliation.missingFromConfig.length} added, ${stale.size} removed`
+    );
+  }
+})().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
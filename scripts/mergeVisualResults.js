@@ -0,0 +1,45 @@
+// Merge partial visual comparison results from every shard into the reports.
+//
+// Usage: node scripts/mergeVisualResults.js [partialsDir]
+//
+// Copy each shard's visual-results/partials and screenshots directories into
+// this checkout (the per-page file names never collide) and run this once.
+// The merged run is archived to the run history (set VISUAL_RUN_ID to use the
+// CI build number as its id).
+// Exits with status 1 when the merged run misses the pass criteria in config.js.
+const fs = require("fs");
+const {
+  PARTIALS_DIR,
+  readPartialResults,
+  describeRun,
+} = require("../utils/results.js");
+const { generateReports } = require("../utils/report.js");
+const { formatFailingPages } = require("../utils/passCriteria.js");
+const { archiveRun } = require("../utils/history.js");
+
+(async () => {
+  const partialsDir = process.argv[2] || PARTIALS_DIR;
+  if (!fs.existsSync(partialsDir)) {
+    console.error(`No partial results found in ${partialsDir}`);
+    process.exit(1);
+  }
+
+  const deviceRuns = readPartialResults(partialsDir);
+  const data = await generateReports(deviceRuns);
+  deviceRuns.forEach((run) =>
+    console.log(
+      `${describeRun(run)}: merged ${run.results.length} page results`
+    )
+  );
+  console.log(`Run archived: ${archiveRun(data)}`);
+
+  const { verdict } = data;
+  if (!verdict.passed) {
+    console.error(
+      `${verdict.failingPages.length} pages failed the visual comparison (${
+        verdict.criteria.maxFailures
+      } allowed):\n${formatFailingPages(verdict.failingPages)}`
+    );
+    process.exit(1);
+  }
+})();
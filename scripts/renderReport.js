@@ -0,0 +1,14 @@
+// Re-render the HTML reports from saved JSON results, without re-capturing.
+//
+// Usage: node scripts/renderReport.js [visual_comparison_report.json]
+const fs = require("fs");
+const { REPORT_DATA_PATH, regenerateReports } = require("../utils/report.js");
+
+(async () => {
+  const dataPath = process.argv[2] || REPORT_DATA_PATH;
+  if (!fs.existsSync(dataPath)) {
+    console.error(`No results found at ${dataPath}`);
+    process.exit(1);
+  }
+  await regenerateReports(dataPath);
+})();
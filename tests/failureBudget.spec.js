@@ -0,0 +1,49 @@
+const { test, expect } = require("@playwright/test");
+const { readPartialResults, describeRun } = require("../utils/results.js");
+const { getPassCriteria, evaluateRun } = require("../utils/passCriteria.js");
+const { getPassThreshold } = require("../utils/report.js");
+
+// Runs as the teardown of the browser projects (see playwright.config.js), so
+// every page result of the run has been written by then. Without a failure
+// budget (passCriteria.maxFailures of 0) each page test fails on its own and
+// there is nothing to check here. A shard never sees more failures than the
+// full run, so failing on a shard is safe; scripts/mergeVisualResults.js
+// checks the merged run.
+test("Visual comparison failure budget", async () => {
+  const criteria = getPassCriteria();
+  test.skip(
+    criteria.maxFailures === 0,
+    "No failure budget; each page test enforces the pass criteria"
+  );
+
+  const deviceRuns = readPartialResults();
+  test.skip(deviceRuns.length === 0, "No page results in this run");
+
+  const verdict = evaluateRun(
+    deviceRuns.map((run) => ({
+      ...run,
+      results: run.results.map((result) => ({
+        ...result,
+        threshold: getPassThreshold(result),
+      })),
+    })),
+    criteria
+  );
+  test.info().annotations.push({
+    type: "failure-budget",
+    description: `${verdict.failingPages.length} failing pages, ${criteria.maxFailures} allowed`,
+  });
+  if (verdict.passed) {
+    return;
+  }
+
+  verdict.failingPages.forEach((page) =>
+    expect
+      .soft(page.problems, `${describeRun(page)} ${page.pagePath}`)
+      .toEqual([])
+  );
+  expect(
+    verdict.failingPages.length,
+    `pages failing the visual comparison (${criteria.maxFailures} allowed)`
+  ).toBeLessThanOrEqual(criteria.maxFailures);
+});
@@ -0,0 +1,166 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, expect } = require("@playwright/test");
+const {
+  getCapturePath,
+  hashFile,
+  approveBaseline,
+  rejectBaseline,
+  applyDecisions,
+} = require("../../utils/baselines.js");
+
+// Captures and baselines are stored relative to the working directory, so each
+// test runs in a scratch directory of its own
+let originalCwd;
+test.beforeEach(() => {
+  originalCwd = process.cwd();
+  process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), "baselines-")));
+});
+test.afterEach(() => {
+  const scratchDir = process.cwd();
+  process.chdir(originalCwd);
+  fs.rmSync(scratchDir, { recursive: true, force: true });
+});
+
+// Write a fake capture of a page, as the visual tests would
+function capture(
+  environment,
+  pagePath,
+  contents = `${environment} ${pagePath}`
+) {
+  const capturePath = getCapturePath(
+    environment,
+    "chromium",
+    "Desktop",
+    pagePath
+  );
+  fs.mkdirSync(path.dirname(capturePath), { recursive: true });
+  fs.writeFileSync(capturePath, contents);
+  return capturePath;
+}
+
+function emptyManifest() {
+  return { version: 1, baselines: {}, rejections: [] };
+}
+
+// A decision as exported from the HTML report
+function decision(overrides = {}) {
+  return {
+    project: "chromium",
+    deviceName: "Desktop",
+    pagePath: "/about/",
+    environments: ["staging"],
+    decision: "approve",
+    note: null,
+    ...overrides,
+  };
+}
+
+test.describe("approveBaseline", () => {
+  test("copies the capture and records its hash", () => {
+    const capturePath = capture("staging", "/about/");
+    const manifest = emptyManifest();
+
+    const entry = approveBaseline(manifest, {
+      environment: "staging",
+      project: "chromium",
+      deviceName: "Desktop",
+      pagePath: "/about/",
+      approvedBy: "qa",
+    });
+
+    expect(entry.file).toBe("baselines/staging/chromium/Desktop/_about_.png");
+    expect(fs.readFileSync(entry.file, "utf8")).toBe("staging /about/");
+    expect(entry.sha256).toBe(hashFile(capturePath));
+    expect(entry.approvedBy).toBe("qa");
+    expect(manifest.baselines.staging.chromium.Desktop["/about/"]).toBe(entry);
+  });
+
+  test("fails without a capture", () => {
+    expect(() =>
+      approveBaseline(emptyManifest(), {
+        environment: "prod",
+        project: "chromium",
+        deviceName: "Desktop",
+        pagePath: "/about/",
+      })
+    ).toThrow(/^No prod capture for Desktop on chromium \/about\//);
+  });
+});
+
+test.describe("rejectBaseline", () => {
+  test("records the rejected capture and keeps the baseline", () => {
+    const capturePath = capture("staging", "/about/");
+    const manifest = emptyManifest();
+
+    const rejection = rejectBaseline(manifest, {
+      environment: "staging",
+      project: "chromium",
+      deviceName: "Desktop",
+      pagePath: "/about/",
+      rejectedBy: "qa",
+      note: "header shifted",
+    });
+
+    expect(rejection).toMatchObject({
+      environment: "staging",
+      pagePath: "/about/",
+      sha256: hashFile(capturePath),
+      rejectedBy: "qa",
+      note: "header shifted",
+    });
+    expect(manifest.rejections).toEqual([rejection]);
+    expect(manifest.baselines).toEqual({});
+    expect(fs.existsSync("baselines")).toBe(false);
+  });
+});
+
+test.describe("applyDecisions", () => {
+  test("approves, rejects and skips interactive states", () => {
+    capture("staging", "/about/");
+    capture("prod", "/about/");
+    capture("staging", "/apply/");
+    const manifest = emptyManifest();
+
+    const applied = applyDecisions(
+      manifest,
+      {
+        decisions: [
+          decision({ environments: ["staging", "prod"] }),
+          decision({ pagePath: "/apply/", decision: "reject" }),
+          decision({ pagePath: "/#open-menu" }),
+        ],
+      },
+      "qa"
+    );
+
+    expect(applied).toEqual({ approved: 2, rejected: 1, skipped: 1 });
+    expect(
+      Object.keys(manifest.baselines).map(
+        (environment) =>
+          manifest.baselines[environment].chromium.Desktop["/about/"].approvedBy
+      )
+    ).toEqual(["qa", "qa"]);
+    expect(manifest.rejections.map((rejection) => rejection.pagePath)).toEqual([
+      "/apply/",
+    ]);
+  });
+
+  test("copies nothing when any decision is invalid", () => {
+    capture("staging", "/about/");
+    const invalidBatches = [
+      [decision(), decision({ pagePath: "/apply/" })],
+      [decision(), decision({ decision: "maybe" })],
+      [decision(), decision({ environments: ["qa"] })],
+      [decision(), decision({ project: undefined })],
+    ];
+
+    for (const decisions of invalidBatches) {
+      const manifest = emptyManifest();
+      expect(() => applyDecisions(manifest, { decisions })).toThrow();
+      expect(manifest).toEqual(emptyManifest());
+      expect(fs.existsSync("baselines")).toBe(false);
+    }
+  });
+});
@@ -0,0 +1,144 @@
+const { test, expect } = require("@playwright/test");
+const {
+  findDiffRegions,
+  describeRegions,
+} = require("../../utils/diffRegions.js");
+
+// An isChanged callback for a `width`-wide image where the given rectangles
+// ({ x, y, width, height }) changed
+function changedIn(width, rectangles) {
+  return (pixel) => {
+    const x = pixel % width;
+    const y = Math.floor(pixel / width);
+    return rectangles.some(
+      (rect) =>
+        x >= rect.x &&
+        x < rect.x + rect.width &&
+        y >= rect.y &&
+        y < rect.y + rect.height
+    );
+  };
+}
+
+test.describe("findDiffRegions", () => {
+  test("boxes separate changes on cell boundaries, top to bottom", () => {
+    const regions = findDiffRegions(
+      200,
+      200,
+      changedIn(200, [
+        { x: 150, y: 150, width: 10, height: 10 },
+        { x: 5, y: 5, width: 20, height: 8 },
+      ])
+    );
+
+    expect(regions).toEqual([
+      { id: 1, x: 0, y: 0, width: 32, height: 16, changedPixels: 160 },
+      { id: 2, x: 144, y: 144, width: 16, height: 16, changedPixels: 100 },
+    ]);
+  });
+
+  test("joins changes within `gap` cells and clips to the image", () => {
+    const isChanged = changedIn(100, [
+      { x: 0, y: 0, width: 10, height: 10 },
+      { x: 40, y: 0, width: 10, height: 10 },
+    ]);
+
+    expect(findDiffRegions(100, 20, isChanged)).toEqual([
+      { id: 1, x: 0, y: 0, width: 64, height: 16, changedPixels: 200 },
+    ]);
+    expect(findDiffRegions(100, 20, isChanged, { gap: 1 })).toHaveLength(2);
+    expect(
+      findDiffRegions(
+        50,
+        10,
+        changedIn(50, [{ x: 0, y: 0, width: 50, height: 10 }])
+      )
+    ).toEqual([
+      { id: 1, x: 0, y: 0, width: 50, height: 10, changedPixels: 500 },
+    ]);
+  });
+
+  test("drops small regions and keeps the largest", () => {
+    const isChanged = changedIn(400, [
+      { x: 0, y: 0, width: 4, height: 4 },
+      { x: 100, y: 0, width: 10, height: 10 },
+      { x: 200, y: 0, width: 12, height: 12 },
+    ]);
+
+    expect(
+      findDiffRegions(400, 20, isChanged).map((region) => region.x)
+    ).toEqual([96, 192]);
+    expect(
+      findDiffRegions(400, 20, isChanged, { maxRegions: 1 })
+    ).toMatchObject([{ id: 1, x: 192, changedPixels: 144 }]);
+  });
+});
+
+test.describe("describeRegions", () => {
+  // Elements as captured by utils/elementRects.js: `parent` is an index
+  const element = (overrides) => ({
+    tag: "div",
+    id: null,
+    classes: [],
+    text: "",
+    alt: null,
+    label: null,
+    parent: -1,
+    ...overrides,
+  });
+
+  test("names the deepest elements under each region from both sides", () => {
+    const staging = [
+      element({ tag: "main", x: 0, y: 0, width: 800, height: 600 }),
+      element({
+        tag: "h1",
+        text: "Apply today",
+        x: 0,
+        y: 0,
+        width: 400,
+        height: 50,
+        parent: 0,
+      }),
+      element({
+        tag: "div",
+        classes: ["hero", "dark"],
+        x: 0,
+        y: 100,
+        width: 800,
+        height: 300,
+        parent: 0,
+      }),
+    ];
+    const prod = [
+      element({
+        tag: "a",
+        label: "Apply now",
+        x: 0,
+        y: 0,
+        width: 200,
+        height: 40,
+      }),
+    ];
+
+    const [heading, hero, offPage] = describeRegions(
+      [
+        { id: 1, x: 0, y: 0, width: 300, height: 40 },
+        { id: 2, x: 100, y: 200, width: 50, height: 50 },
+        { id: 3, x: 2000, y: 2000, width: 10, height: 10 },
+      ],
+      { staging, prod }
+    );
+
+    expect(heading.elements).toEqual({
+      staging: ['heading h1 "Apply today"'],
+      prod: ['link "Apply now"'],
+    });
+    expect(heading.summary).toBe('heading h1 "Apply today", link "Apply now"');
+    expect(hero.summary).toBe("div.hero.dark");
+    expect(offPage).toMatchObject({
+      id: 3,
+      elements: { staging: [], prod: [] },
+      summary: "unknown element",
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const { test, expect } = require("@playwright/test");
+const {
+  FormManifestError,
+  validateForms,
+} = require("../../utils/formManifest.js");
+
+// A minimal valid form entry, with `overrides` applied
+function form(overrides = {}) {
+  return {
+    name: "Request info",
+    formId: 2,
+    path: "/",
+    fields: [{ id: 2, label: "First Name", value: "John" }],
+    confirmation: { selector: ".gform_confirmation_message" },
+    ...overrides,
+  };
+}
+
+// The problems validateForms reports for `entries`
+function problemsOf(entries) {
+  try {
+    validateForms(entries);
+  } catch (error) {
+    expect(error).toBeInstanceOf(FormManifestError);
+    return error.problems;
+  }
+  return [];
+}
+
+test.describe("validateForms", () => {
+  test("fills in selectors, types, formats and defaults", () => {
+    const [normalized] = validateForms([
+      form({
+        fields: [
+          { id: 1, label: "Program", type: "select", index: 1, program: true },
+          { id: 4, label: "Email", type: "email", value: "a@example.com" },
+          {
+            selector: "#phone",
+            label: "Phone",
+            value: "5551234567",
+            format: "phone",
+          },
+          { id: 5, type: "tel", value: "5551234567" },
+          { id: 7, type: "checkbox", index: 0 },
+        ],
+        confirmation: { urlPattern: "/thank-you/" },
+      }),
+    ]);
+
+    expect(normalized.fields.map((field) => field.selector)).toEqual([
+      "#input_2_1",
+      "#input_2_4",
+      "#phone",
+      "#input_2_5",
+      "#choice_2_7_0",
+    ]);
+    expect(normalized.fields.map((field) => field.format)).toEqual([
+      null,
+      "email",
+      "phone",
+      null,
+      null,
+    ]);
+    expect(normalized.fields[4].label).toBe("Field 7");
+    expect(normalized.fields[0].program).toBe(true);
+    expect(normalized.submit).toBe("#gform_submit_button_2");
+    expect(normalized.query).toBe("");
+    expect(normalized.payload).toEqual({});
+    expect(normalized.confirmation.urlPattern).toEqual(/\/thank-you\//);
+  });
+
+  test("rejects anything but an array", () => {
+    expect(problemsOf({})).toEqual(["forms.js must export an array"]);
+  });
+
+  test("reports every problem with its form and field", () => {
+    expect(
+      problemsOf([
+        form({
+          formId: 0,
+          path: "/apply",
+          query: "?utm_source=qa",
+          colour: "red",
+          fields: [
+            { label: "No id" },
+            { id: 3, type: "select" },
+            { id: 4, value: "x", format: "zip" },
+          ],
+          payload: { input_9: 9 },
+          confirmation: { text: "Thanks" },
+        }),
+      ])
+    ).toEqual([
+      'forms[0] (Request info): unknown key "colour"',
+      'forms[0] (Request info): "formId" must be a positive integer',
+      'forms[0] (Request info): "path" must be a page path starting and ending with "/"',
+      'forms[0] (Request info): "query" must be a query string without the leading "?"',
+      'forms[0] (Request info): fields[0]: needs an "id" or a "selector"',
+      'forms[0] (Request info): fields[0]: "value" must be a string',
+      'forms[0] (Request info): fields[1]: a select needs exactly one of "value" or "index"',
+      'forms[0] (Request info): fields[2]: "format" must be one of: email, phone',
+      'forms[0] (Request info): "payload" must map field names to expected string values',
+      'forms[0] (Request info): "confirmation" needs a "urlPattern" or a "selector"',
+      'forms[0] (Request info): "confirmation.text" needs a "confirmation.selector"',
+    ]);
+  });
+
+  test("rejects an invalid confirmation pattern", () => {
+    const [problem] = problemsOf([form({ confirmation: { urlPattern: "(" } })]);
+    expect(problem).toMatch(
+      /^forms\[0\] \(Request info\): "confirmation\.urlPattern" is invalid: /
+    );
+  });
+
+  test("rejects duplicate names", () => {
+    expect(problemsOf([form(), form({ formId: 3 })])).toEqual([
+      "forms[1] (Request info): duplicate of forms[0]",
+    ]);
+  });
+});
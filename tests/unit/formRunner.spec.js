@@ -0,0 +1,81 @@
+const { test, expect } = require("@playwright/test");
+const { parseFormBody, checkPayload } = require("../../utils/formRunner.js");
+
+test.describe("parseFormBody", () => {
+  test("decodes a urlencoded body", () => {
+    const body = Buffer.from(
+      "input_2=John+Doe&input_4=john%40example.com&gform_submit=2"
+    );
+    expect(parseFormBody("application/x-www-form-urlencoded", body)).toEqual({
+      input_2: "John Doe",
+      input_4: "john@example.com",
+      gform_submit: "2",
+    });
+  });
+
+  test("decodes a multipart body, quoted boundary included", () => {
+    const body = Buffer.from(
+      [
+        "--xyz",
+        'Content-Disposition: form-data; name="input_2"',
+        "",
+        "John",
+        "--xyz",
+        'Content-Disposition: form-data; name="input_5"',
+        "",
+        "line one\r\nline two",
+        "--xyz",
+        'Content-Disposition: form-data; name="gform_submit"',
+        "",
+        "2",
+        "--xyz--",
+        "",
+      ].join("\r\n")
+    );
+    const expected = {
+      input_2: "John",
+      input_5: "line one\r\nline two",
+      gform_submit: "2",
+    };
+    expect(parseFormBody("multipart/form-data; boundary=xyz", body)).toEqual(
+      expected
+    );
+    expect(parseFormBody('multipart/form-data; boundary="xyz"', body)).toEqual(
+      expected
+    );
+  });
+
+  test("keeps the last value of a repeated name", () => {
+    expect(
+      parseFormBody("application/x-www-form-urlencoded", Buffer.from("a=1&a=2"))
+    ).toEqual({ a: "2" });
+  });
+});
+
+test.describe("checkPayload", () => {
+  const form = { formId: 2 };
+
+  test("accepts a payload carrying every expected field", () => {
+    expect(
+      checkPayload(
+        form,
+        { input_2: "John", input_9: "qa" },
+        { gform_submit: "2", input_2: "John", input_9: "qa", extra: "x" }
+      )
+    ).toEqual([]);
+  });
+
+  test("reports the wrong form, missing fields and changed values", () => {
+    expect(
+      checkPayload(
+        form,
+        { input_2: "John", input_9: "qa" },
+        { gform_submit: "3", input_2: "Jane" }
+      )
+    ).toEqual([
+      "submitted form 3, expected form 2",
+      'input_2 is "Jane", expected "John"',
+      'input_9 is missing (expected "qa")',
+    ]);
+  });
+});
@@ -0,0 +1,177 @@
+const { test, expect } = require("@playwright/test");
+const {
+  diffSequences,
+  diffPageContent,
+  describeContentFlags,
+} = require("../../utils/pageContent.js");
+
+// Rebuild both sides from diffSequences runs
+function applyRuns(runs) {
+  const side = (skip) =>
+    runs.filter((run) => run.type !== skip).flatMap((run) => run.items);
+  return { old: side("added"), new: side("removed") };
+}
+
+// A captured page with the given text and outline
+function content(text, outline = [], host = "staging.example.com") {
+  return { host, text, outline };
+}
+
+test.describe("diffSequences", () => {
+  test("returns equal, removed and added runs", () => {
+    expect(
+      diffSequences(["a", "b", "c", "d"], ["a", "x", "c", "d", "e"], 10)
+    ).toEqual([
+      { type: "equal", items: ["a"] },
+      { type: "removed", items: ["b"] },
+      { type: "added", items: ["x"] },
+      { type: "equal", items: ["c", "d"] },
+      { type: "added", items: ["e"] },
+    ]);
+  });
+
+  test("finds a shortest edit script", () => {
+    const a = "abcabba".split("");
+    const b = "cbabac".split("");
+    const runs = diffSequences(a, b, 100);
+
+    expect(applyRuns(runs)).toEqual({ old: a, new: b });
+    const edits = runs
+      .filter((run) => run.type !== "equal")
+      .reduce((total, run) => total + run.items.length, 0);
+    expect(edits).toBe(5);
+  });
+
+  test("handles empty and identical sequences", () => {
+    expect(diffSequences([], [], 0)).toEqual([]);
+    expect(diffSequences(["a"], ["a"], 0)).toEqual([
+      { type: "equal", items: ["a"] },
+    ]);
+    expect(diffSequences([], ["a", "b"], 5)).toEqual([
+      { type: "added", items: ["a", "b"] },
+    ]);
+  });
+
+  test("gives up beyond maxEdits", () => {
+    expect(diffSequences(["a", "b"], ["c", "d"], 3)).toBeNull();
+    expect(diffSequences(["a"], ["a", "b", "c", "d"], 2)).toBeNull();
+    expect(diffSequences(["a", "b"], ["c", "d"], 4)).not.toBeNull();
+  });
+});
+
+test.describe("diffPageContent", () => {
+  test("reports no change for the same content", () => {
+    const page = content("Apply today", [
+      { type: "heading", level: 1, text: "Apply" },
+    ]);
+    const diff = diffPageContent(page, page);
+
+    expect(diff.changed).toBe(false);
+    expect(diff.text).toEqual({
+      tooManyChanges: false,
+      added: 0,
+      removed: 0,
+      runs: [{ type: "equal", text: "Apply today" }],
+    });
+    expect(describeContentFlags(diff)).toEqual([]);
+  });
+
+  test("trims unchanged text to the context around each change", () => {
+    const words = (count, prefix) =>
+      Array.from({ length: count }, (_, i) => `${prefix}${i}`).join(" ");
+    const diff = diffPageContent(
+      content(`${words(5, "a")} old ${words(5, "b")}`),
+      content(`${words(5, "a")} new ${words(5, "b")}`, [], "www.example.com"),
+      { context: 2 }
+    );
+
+    expect(diff.changed).toBe(true);
+    expect(diff.text.runs).toEqual([
+      { type: "equal", text: "… a3 a4" },
+      { type: "removed", text: "old" },
+      { type: "added", text: "new" },
+      { type: "equal", text: "b0 b1 …" },
+    ]);
+    expect(diff.text).toMatchObject({ added: 1, removed: 1 });
+  });
+
+  test("summarizes text too different to diff", () => {
+    const diff = diffPageContent(content("a b c"), content("d e f g"), {
+      maxEdits: 2,
+    });
+    expect(diff.text).toEqual({
+      tooManyChanges: true,
+      added: 4,
+      removed: 3,
+      runs: [],
+    });
+  });
+
+  test("flags missing sections, changed headings and altered links", () => {
+    const staging = content(
+      "",
+      [
+        { type: "heading", level: 1, text: "Apply" },
+        { type: "heading", level: 2, text: "Tuition" },
+        {
+          type: "link",
+          text: "Catalog",
+          href: "https://staging.example.com/catalog/",
+        },
+        {
+          type: "link",
+          text: "Contact",
+          href: "https://staging.example.com/contact/",
+        },
+        { type: "heading", level: 2, text: "Deadlines" },
+      ],
+      "staging.example.com"
+    );
+    const prod = content(
+      "",
+      [
+        { type: "heading", level: 1, text: "Apply" },
+        { type: "heading", level: 2, text: "Tuition and fees" },
+        {
+          type: "link",
+          text: "Catalog",
+          href: "https://www.example.com/catalog/",
+        },
+        {
+          type: "link",
+          text: "Contact",
+          href: "https://www.example.com/contact-us/",
+        },
+        { type: "heading", level: 2, text: "Scholarships" },
+        { type: "heading", level: 3, text: "Grants" },
+      ],
+      "www.example.com"
+    );
+    const diff = diffPageContent(staging, prod);
+
+    expect(diff.changed).toBe(true);
+    expect(diff.outline).toEqual({
+      onlyOnStaging: [
+        "h2: Tuition",
+        "link: Contact → /contact/",
+        "h2: Deadlines",
+      ],
+      onlyOnProd: [
+        "h2: Tuition and fees",
+        "link: Contact → /contact-us/",
+        "h2: Scholarships",
+        "h3: Grants",
+      ],
+    });
+    expect(describeContentFlags(diff)).toEqual([
+      "Missing on staging: h3: Grants",
+      "Heading changed: h2: Tuition → h2: Tuition and fees",
+      "Heading changed: h2: Deadlines → h2: Scholarships",
+      'Link "Contact" changed: /contact/ → /contact-us/',
+    ]);
+  });
+
+  test("has no flags without a content diff", () => {
+    expect(describeContentFlags(null)).toEqual([]);
+  });
+});
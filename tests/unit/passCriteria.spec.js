@@ -0,0 +1,106 @@
+const { test, expect } = require("@playwright/test");
+const {
+  evaluatePage,
+  evaluateRun,
+  formatFailingPages,
+} = require("../../utils/passCriteria.js");
+
+const criteria = { maxFailures: 0, failOnError: true };
+
+test.describe("evaluatePage", () => {
+  test("passes a page at or above its threshold", () => {
+    expect(
+      evaluatePage({ similarityPercentage: 95, threshold: 95 }, criteria)
+    ).toEqual([]);
+  });
+
+  test("names the similarity, strategy and threshold of a failing page", () => {
+    expect(
+      evaluatePage(
+        { similarityPercentage: 93.456, threshold: 95, strategy: "ssim" },
+        criteria
+      )
+    ).toEqual(["similarity 93.46% (ssim) is below 95%"]);
+  });
+
+  test("fails a comparison error unless failOnError is off", () => {
+    const result = { error: "prod timed out", threshold: 95 };
+    expect(evaluatePage(result, criteria)).toEqual([
+      "comparison failed: prod timed out",
+    ]);
+    expect(evaluatePage({ threshold: 95 }, criteria)).toEqual([
+      "comparison failed: unknown error",
+    ]);
+    expect(evaluatePage(result, { ...criteria, failOnError: false })).toEqual(
+      []
+    );
+  });
+});
+
+test.describe("evaluateRun", () => {
+  const deviceRuns = [
+    {
+      project: "chromium",
+      deviceName: "Desktop",
+      results: [
+        { pagePath: "/", similarityPercentage: 99, threshold: 95 },
+        { pagePath: "/about/", similarityPercentage: 90, threshold: 95 },
+      ],
+    },
+    {
+      project: "webkit",
+      deviceName: "iPhone 12",
+      results: [{ pagePath: "/apply/", error: "crashed", threshold: 95 }],
+    },
+  ];
+
+  test("lists every failing page with its run", () => {
+    const verdict = evaluateRun(deviceRuns, criteria);
+    expect(verdict.passed).toBe(false);
+    expect(verdict.criteria).toBe(criteria);
+    expect(verdict.failingPages).toEqual([
+      {
+        project: "chromium",
+        deviceName: "Desktop",
+        pagePath: "/about/",
+        problems: ["similarity 90.00% is below 95%"],
+      },
+      {
+        project: "webkit",
+        deviceName: "iPhone 12",
+        pagePath: "/apply/",
+        problems: ["comparison failed: crashed"],
+      },
+    ]);
+  });
+
+  test("passes while the failures fit the budget", () => {
+    expect(
+      evaluateRun(deviceRuns, { ...criteria, maxFailures: 2 }).passed
+    ).toBe(true);
+    expect(
+      evaluateRun(deviceRuns, { ...criteria, maxFailures: 1 }).passed
+    ).toBe(false);
+  });
+});
+
+test.describe("formatFailingPages", () => {
+  test("writes one line per page", () => {
+    expect(
+      formatFailingPages([
+        {
+          project: "chromium",
+          deviceName: "Desktop",
+          pagePath: "/about/",
+          problems: ["similarity 90.00% is below 95%", "second problem"],
+        },
+        { deviceName: "Tablet", pagePath: "/", problems: ["x"] },
+      ])
+    ).toBe(
+      [
+        "  Desktop (chromium) /about/: similarity 90.00% is below 95%; second problem",
+        "  Tablet /: x",
+      ].join("\n")
+    );
+  });
+});
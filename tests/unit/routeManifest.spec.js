@@ -0,0 +1,90 @@
+const { test, expect } = require("@playwright/test");
+const config = require("../../config.js");
+const {
+  RouteManifestError,
+  validateRoutes,
+} = require("../../utils/routeManifest.js");
+
+// The problems validateRoutes reports for `entries`
+function problemsOf(entries) {
+  try {
+    validateRoutes(entries);
+  } catch (error) {
+    expect(error).toBeInstanceOf(RouteManifestError);
+    return error.problems;
+  }
+  return [];
+}
+
+test.describe("validateRoutes", () => {
+  test("expands path strings and fills in defaults", () => {
+    const [about, apply] = validateRoutes([
+      "/about/",
+      { path: "/apply/", prodPath: "/apply-now/", threshold: 90 },
+    ]);
+
+    expect(about).toEqual({
+      path: "/about/",
+      prodPath: "/about/",
+      tags: [],
+      threshold: config.comparison.passThreshold,
+      strategy: config.comparison.strategy,
+      masks: { selectors: [], regions: [] },
+      wait: { selectors: [], delay: 0, timeout: 10000 },
+      skip: false,
+      skipDevices: [],
+    });
+    expect(apply.prodPath).toBe("/apply-now/");
+    expect(apply.threshold).toBe(90);
+  });
+
+  test("rejects anything but an array", () => {
+    expect(problemsOf("/about/")).toEqual(["routes.js must export an array"]);
+  });
+
+  test("reports every problem with its route", () => {
+    expect(
+      problemsOf([
+        "about",
+        {
+          path: "/apply/",
+          prodPath: "/apply?x=1/",
+          threshold: 120,
+          strategy: "exact",
+          masks: { regions: [{ x: 0, y: 0, width: 10 }] },
+          wait: { delay: -1 },
+          skipDevices: ["Watch"],
+          colour: "red",
+        },
+        42,
+      ])
+    ).toEqual([
+      'routes[0] (about): path "about" must start with "/"',
+      'routes[0] (about): path "about" must end with "/"',
+      'routes[1] (/apply/): unknown key "colour"',
+      'routes[1] (/apply/): prodPath "/apply?x=1/" must not contain whitespace, "?" or "#"',
+      'routes[1] (/apply/): "threshold" must be a number from 0 to 100',
+      'routes[1] (/apply/): "strategy" must be one of: pixelmatch, ssim, shift-tolerant',
+      'routes[1] (/apply/): "masks.regions" must be an array of { x, y, width, height } numbers',
+      'routes[1] (/apply/): "wait.delay" must be a number of milliseconds',
+      'routes[1] (/apply/): "skipDevices" names unknown device "Watch"',
+      "routes[2]: must be a path string or an object",
+    ]);
+  });
+
+  test("rejects duplicate paths and shared prod pages", () => {
+    expect(
+      problemsOf([
+        "/about/",
+        "/about/",
+        { path: "/about-us/", prodPath: "/about/" },
+        { path: "/apply/", prodPath: "/apply-now/" },
+        "/apply-now/",
+      ])
+    ).toEqual([
+      "routes[1] (/about/): duplicate of routes[0]",
+      "routes[2] (/about-us/): prodPath /about/ is also compared by routes[0]",
+      "routes[4] (/apply-now/): prodPath /apply-now/ is also compared by routes[3]",
+    ]);
+  });
+});
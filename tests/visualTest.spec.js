@@ -1,17 +1,115 @@
-const { test } = require("@playwright/test");
+const { test, expect, devices } = require("@playwright/test");
 const fs = require("fs");
 const path = require("path");
-const { PNG } = require("pngjs");
-const sharp = require("sharp");
 const config = require("../config.js");
-const axios = require("axios");
+const { compareScreenshots } = require("../utils/imageComparison.js");
+const { getMaskConfig, resolveMaskRegions } = require("../utils/masking.js");
+const { stabilizePage } = require("../utils/stabilization.js");
+const { captureElementRects } = require("../utils/elementRects.js");
+const { describeRegions } = require("../utils/diffRegions.js");
+const {
+  capturePageContent,
+  diffPageContent,
+} = require("../utils/pageContent.js");
+const {
+  getAssetCheckSettings,
+  getAssetCheckEnvironment,
+  collectPageAssets,
+  checkPageAssets,
+  formatBrokenAssetTable,
+} = require("../utils/assetCheck.js");
+const {
+  getLinkCheckEnvironments,
+  getLinkCheckSettings,
+  collectPageLinks,
+  checkLink,
+  checkPageLinks,
+  formatChain,
+  formatLinkTable,
+} = require("../utils/linkCheck.js");
+const {
+  getMenuSettings,
+  extractMenuTree,
+  normalizeMenuTree,
+  flattenMenu,
+  diffMenus,
+  hasMenuChanges,
+  isSnapshotUpdate,
+  readSnapshot,
+  writeSnapshot,
+  describeMenuChanges,
+} = require("../utils/menuSnapshot.js");
+const {
+  getMobileNavSettings,
+  getMenuToggle,
+  getMenu,
+  getExpandableItem,
+  getItemParts,
+  findSubmenuLink,
+} = require("../utils/mobileNav.js");
+const {
+  getInteractiveStates,
+  stateFileName,
+  statePagePath,
+  runStateSteps,
+  captureState,
+} = require("../utils/interactiveStates.js");
+const { mapWithConcurrency, formatTable } = require("../utils/siteChecks.js");
+const { getRoutes, getRoute } = require("../utils/routeManifest.js");
+const { getForms } = require("../utils/formManifest.js");
+const {
+  getProgramCatalogSettings,
+  getProgramRoutes,
+  readProgramOptions,
+  readProgramName,
+  diffOptions,
+  matchCatalog,
+  describeProgramProblems,
+  formatProgramTable,
+} = require("../utils/programCatalog.js");
+const {
+  isLiveSubmission,
+  resolveFieldValues,
+  openForm,
+  fillField,
+  readFieldEntry,
+  describeFieldValue,
+  submitForm,
+  getExpectedPayload,
+  dryRunSubmit,
+  checkPayload,
+  getValidationCases,
+  isFieldRequired,
+  submitInvalid,
+} = require("../utils/formRunner.js");
+const {
+  collectPageMetadata,
+  compareMetadata,
+  formatMetadataTable,
+} = require("../utils/seoMetadata.js");
+const {
+  getAccessibilitySettings,
+  auditPage,
+  buildAccessibilityResult,
+  describeIntroducedIssues,
+} = require("../utils/accessibility.js");
+const { getPassCriteria, evaluatePage } = require("../utils/passCriteria.js");
+const {
+  pathToFileName,
+  writePartialResult,
+  getScreenshotDir,
+} = require("../utils/results.js");
+const {
+  getBaselineEnvironment,
+  getCapturePath,
+  readManifest,
+  getApprovedBaseline,
+} = require("../utils/baselines.js");
 
-let pixelmatch;
 let chalk;
 
-// Dynamically load `pixelmatch` and `chalk`
+// Dynamically load `chalk`
 (async () => {
-  pixelmatch = (await import("pixelmatch")).default;
   chalk = (await import("chalk")).default;
 })();
 
@@ -25,693 +123,1147 @@ function ensureDirectoryExistence(filePath) {
   }
 }
 
-// Resize images to match specified dimensions (1280x800)
-async function resizeImage(imagePath, width, height) {
-  const buffer = fs.readFileSync(imagePath);
-  const resizedBuffer = await sharp(buffer)
-    .resize(width, height, {
-      fit: "contain",
-      background: { r: 255, g: 255, b: 255, alpha: 0 },
-    })
-    .toBuffer();
-  fs.writeFileSync(imagePath, resizedBuffer);
-}
-
-// Compare two screenshots and return similarity percentage
-async function compareScreenshots(baselinePath, currentPath, diffPath) {
-  await resizeImage(baselinePath, 1280, 800);
-  await resizeImage(currentPath, 1280, 800);
-
-  const img1 = PNG.sync.read(fs.readFileSync(baselinePath));
-  const img2 = PNG.sync.read(fs.readFileSync(currentPath));
-
-  if (img1.width !== img2.width || img1.height !== img2.height) {
-    console.log(
-      chalk.red(`Size mismatch for ${baselinePath} and ${currentPath}`)
-    );
-    return "Size mismatch";
+// Resolve the devices to compare from config.js, optionally narrowed by VISUAL_DEVICES
+function getConfiguredDevices() {
+  const requested = (process.env.VISUAL_DEVICES || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+  if (requested.length === 0) {
+    return config.devices;
   }
 
-  const diff = new PNG({ width: img1.width, height: img1.height });
-
-  // Use `pixelmatch` with custom options to differentiate prod and staging
-  const mismatchedPixels = pixelmatch(
-    img1.data,
-    img2.data,
-    diff.data,
-    img1.width,
-    img1.height,
-    {
-      threshold: 0.1,
-      diffColor: [0, 0, 255], // Blue for prod (customize if needed)
-      diffColorAlt: [255, 165, 0], // Orange for staging (customize if needed)
-    }
+  const selected = config.devices.filter((device) =>
+    requested.includes(device.name.toLowerCase())
   );
-  fs.writeFileSync(diffPath, PNG.sync.write(diff));
+  if (selected.length === 0) {
+    const available = config.devices.map((device) => device.name).join(", ");
+    throw new Error(
+      `VISUAL_DEVICES="${process.env.VISUAL_DEVICES}" matches none of: ${available}`
+    );
+  }
+  return selected;
+}
 
-  const totalPixels = img1.width * img1.height;
-  const matchedPixels = totalPixels - mismatchedPixels;
-  return (matchedPixels / totalPixels) * 100;
+// Look up a device in config.js by name
+function getDevice(name) {
+  const device = config.devices.find((device) => device.name === name);
+  if (!device) {
+    const available = config.devices.map((device) => device.name).join(", ");
+    throw new Error(`Unknown device "${name}"; config.js has: ${available}`);
+  }
+  return device;
 }
 
-// Forcefully capture screenshot for a given URL
-async function captureScreenshot(page, url, screenshotPath) {
-  try {
-    console.log(chalk.blue(`Navigating to: ${url}`));
+// Site-wide checks crawl the sites without depending on the browser engine,
+// so they run on this project only
+const SITE_CHECK_PROJECT = "chromium";
 
-    const navigationPromise = page.goto(url, {
-      waitUntil: "networkidle",
-      timeout: 60000,
-    });
-    const timeoutPromise = new Promise(
-      (resolve) =>
-        setTimeout(() => {
-          console.log(
-            chalk.red(`Timeout detected on ${url}. Forcing screenshot.`)
-          );
-          resolve();
-        }, 10000) // Timeout after 10 seconds
-    );
+// Skip the current test unless it runs on SITE_CHECK_PROJECT
+function skipOnOtherProjects() {
+  test.skip(
+    test.info().project.name !== SITE_CHECK_PROJECT,
+    `Site-wide check; runs on the ${SITE_CHECK_PROJECT} project only`
+  );
+}
 
-    await Promise.race([navigationPromise, timeoutPromise]);
+// Build browser context options from a Playwright device descriptor plus overrides
+function getContextOptions(device, browserName) {
+  const { name, descriptor, ...overrides } = device;
+  if (descriptor && !devices[descriptor]) {
+    throw new Error(`Unknown Playwright device "${descriptor}" for ${name}`);
+  }
 
-    ensureDirectoryExistence(screenshotPath);
-    await page.screenshot({ path: screenshotPath, fullPage: true });
-    console.log(chalk.green(`Screenshot captured: ${screenshotPath}`));
-  } catch (error) {
-    console.error(
-      chalk.red(`Failed to capture screenshot for ${url}: ${error.message}`)
-    );
-    ensureDirectoryExistence(screenshotPath);
-    await page.screenshot({ path: screenshotPath, fullPage: true });
-    console.log(chalk.green(`Forced screenshot captured: ${screenshotPath}`));
+  const { defaultBrowserType, ...options } = {
+    ...(descriptor ? devices[descriptor] : {}),
+    ...overrides,
+  };
+  // Firefox has no mobile emulation; keep the viewport and touch support only
+  if (browserName === "firefox") {
+    delete options.isMobile;
   }
+  return options;
 }
 
-// Generate HTML report
-function generateHtmlReport(results, deviceName) {
-  const reportPath = `visual_comparison_report_${deviceName}.html`;
-  const now = new Date().toLocaleString();
-  const environments = `
-    <a href="${config.staging.baseUrl}" target="_blank" style="color: rgb(255, 165, 0); font-weight: bold;">Staging</a>,
-    <a href="${config.prod.baseUrl}" target="_blank" style="color: rgb(0, 0, 255); font-weight: bold;">Prod</a>
-  `;
-
-  let htmlContent = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>Visual Comparison Report - ${deviceName}</title>
-      <style>
-        body { font-family: Arial, sans-serif; line-height: 1.5; margin: 20px; }
-        h1, h2 { text-align: center; }
-        .summary { text-align: center; margin: 20px 0; }
-        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
-        th, td { border: 1px solid #ddd; padding: 8px; text-align: center; }
-        th { background-color: #f2f2f2; }
-        .pass { color: green; font-weight: bold; }
-        .fail { color: red; font-weight: bold; }
-        .error { color: orange; font-weight: bold; }
-        img { max-width: 150px; cursor: pointer; margin: 5px; }
-        .staging { color: rgb(255, 165, 0); font-weight: bold; }
-        .prod { color: rgb(0, 0, 255); font-weight: bold; }
-        .thumbnail-wrapper { display: inline-block; text-align: center; margin: 5px; }
-        .thumbnail-label { font-size: 12px; font-weight: bold; margin-top: 5px; }
-      </style>
-    </head>
-    <body>
-      <h1>Visual Comparison Report</h1>
-      <h2>Device: ${deviceName}</h2>
-      <div class="summary">
-        <p>Total Pages Tested: ${results.length}</p>
-        <p>Passed: ${
-          results.filter(
-            (r) =>
-              typeof r.similarityPercentage === "number" &&
-              r.similarityPercentage >= 95
-          ).length
-        }</p>
-        <p>Failed: ${
-          results.filter(
-            (r) =>
-              typeof r.similarityPercentage === "number" &&
-              r.similarityPercentage < 95
-          ).length
-        }</p>
-        <p>Errors: ${
-          results.filter((r) => r.similarityPercentage === "Error").length
-        }</p>
-        <p>Last Run: ${now}</p>
-        <p>Environments Tested: ${environments}</p>
-      </div>
-      <table>
-        <thead>
-          <tr>
-            <th>Page</th>
-            <th>Similarity</th>
-            <th>Status</th>
-            <th>Thumbnails</th>
-          </tr>
-        </thead>
-        <tbody>
-  `;
-
-  results.forEach((result) => {
-    const stagingThumbnailPath = `screenshots/${deviceName}/staging/${result.pagePath.replace(
-      /\//g,
-      "_"
-    )}.png`;
-    const prodThumbnailPath = `screenshots/${deviceName}/prod/${result.pagePath.replace(
-      /\//g,
-      "_"
-    )}.png`;
-    const diffThumbnailPath = `screenshots/${deviceName}/diff/${result.pagePath.replace(
-      /\//g,
-      "_"
-    )}.png`;
-
-    const stagingUrl = `${config.staging.baseUrl}${result.pagePath}`;
-    const prodUrl = `${config.prod.baseUrl}${result.pagePath}`;
-
-    const statusClass =
-      typeof result.similarityPercentage === "number" &&
-      result.similarityPercentage >= 95
-        ? "pass"
-        : "fail";
-
-    htmlContent += `
-      <tr>
-        <td>
-          <a href="${stagingUrl}" target="_blank" class="staging">Staging</a> |
-          <a href="${prodUrl}" target="_blank" class="prod">Prod</a>
-        </td>
-        <td>${
-          typeof result.similarityPercentage === "number"
-            ? result.similarityPercentage.toFixed(2) + "%"
-            : result.similarityPercentage
-        }</td>
-        <td class="${statusClass}">${
-      result.similarityPercentage === "Error"
-        ? "Error"
-        : result.similarityPercentage >= 95
-        ? "Pass"
-        : "Fail"
-    }</td>
-        <td>
-          <div class="thumbnail-wrapper">
-            ${
-              fs.existsSync(stagingThumbnailPath)
-                ? `<a href="${stagingThumbnailPath}" target="_blank"><img src="${stagingThumbnailPath}" alt="Staging Thumbnail" /></a>
-                   <div class="thumbnail-label">Staging</div>`
-                : "N/A"
-            }
-          </div>
-          <div class="thumbnail-wrapper">
-            ${
-              fs.existsSync(prodThumbnailPath)
-                ? `<a href="${prodThumbnailPath}" target="_blank"><img src="${prodThumbnailPath}" alt="Prod Thumbnail" /></a>
-                   <div class="thumbnail-label">Prod</div>`
-                : "N/A"
-            }
-          </div>
-          <div class="thumbnail-wrapper">
-            ${
-              fs.existsSync(diffThumbnailPath)
-                ? `<a href="${diffThumbnailPath}" target="_blank"><img src="${diffThumbnailPath}" alt="Diff Thumbnail" /></a>
-                   <div class="thumbnail-label">Diff</div>`
-                : "N/A"
-            }
-          </div>
-        </td>
-      </tr>
-    `;
+// Take a full-page screenshot with masked elements painted over and return
+// the masked boxes and the page's element boxes, both in screenshot pixels
+async function takeMaskedScreenshot(page, screenshotPath, masks) {
+  ensureDirectoryExistence(screenshotPath);
+  const maskRegions = await resolveMaskRegions(page, masks);
+  const elements = await captureElementRects(page);
+  await page.screenshot({
+    path: screenshotPath,
+    fullPage: true,
+    animations: "disabled",
+    mask: masks.selectors.map((selector) => page.locator(selector)),
   });
+  return { maskRegions, elements };
+}
 
-  htmlContent += `
-        </tbody>
-      </table>
-    </body>
-    </html>
-  `;
-
-  fs.writeFileSync(reportPath, htmlContent);
-  console.log(chalk.green(`HTML report generated: ${reportPath}`));
+// Where the text and outline captured with a screenshot are saved
+function getContentPath(screenshotPath) {
+  return screenshotPath.replace(/\.png$/, ".json");
 }
 
-// Main Test Suite
-test.describe("Visual Comparison Tests", () => {
-  test.setTimeout(3600000);
-  test("Compare staging and prod screenshots and generate HTML report", async ({
-    browser,
-  }) => {
-    const results = [];
-    const deviceName = "Desktop";
+// Stabilize the page at a given URL, record its text and outline and capture
+// a full-page screenshot
+async function captureScreenshot(
+  page,
+  url,
+  screenshotPath,
+  masks = { selectors: [], regions: [] },
+  wait = null
+) {
+  console.log(chalk.blue(`Navigating to: ${url}`));
+  const stabilization = await stabilizePage(page, url, wait);
+  if (stabilization.timedOut.length > 0) {
+    console.log(
+      chalk.yellow(
+        `Stabilization timed out on ${url}: ${stabilization.timedOut.join(
+          ", "
+        )}. Capturing anyway.`
+      )
+    );
+  }
+
+  const content = await capturePageContent(page);
+  ensureDirectoryExistence(screenshotPath);
+  fs.writeFileSync(
+    getContentPath(screenshotPath),
+    JSON.stringify(content, null, 2)
+  );
+  const { maskRegions, elements } = await takeMaskedScreenshot(
+    page,
+    screenshotPath,
+    masks
+  );
+  console.log(chalk.green(`Screenshot captured: ${screenshotPath}`));
+  return { maskRegions, elements, content, stabilization };
+}
 
-    console.log(chalk.blue("Running tests..."));
+// Capture and compare one routes.js page on staging and prod
+async function comparePage(page, project, deviceName, route) {
+  const pagePath = route.path;
+  const baseDir = getScreenshotDir(project, deviceName);
+  const fileName = `${pathToFileName(pagePath)}.png`;
+  const stagingUrl = `${config.staging.baseUrl}${pagePath}`;
+  const prodUrl = `${config.prod.baseUrl}${route.prodPath}`;
+  const stagingScreenshotPath = path.join(baseDir, "staging", fileName);
+  const prodScreenshotPath = path.join(baseDir, "prod", fileName);
+  const diffScreenshotPath = path.join(baseDir, "diff", fileName);
+  const annotatedScreenshotPath = path.join(baseDir, "annotated", fileName);
+  const details = {
+    pagePath,
+    prodPath: route.prodPath,
+    stagingUrl,
+    prodUrl,
+    tags: route.tags,
+    threshold: route.threshold,
+    strategy: route.strategy,
+    artifacts: {
+      staging: stagingScreenshotPath,
+      prod: prodScreenshotPath,
+      diff: diffScreenshotPath,
+      annotated: annotatedScreenshotPath,
+      stagingContent: getContentPath(stagingScreenshotPath),
+      prodContent: getContentPath(prodScreenshotPath),
+    },
+  };
+  const timings = {};
+  const startedAt = Date.now();
+  let stepStartedAt = startedAt;
+  // Record the time since the previous step under `name`
+  const lap = (name) => {
+    const now = Date.now();
+    timings[name] = now - stepStartedAt;
+    stepStartedAt = now;
+  };
 
-    const baseDir = `screenshots/${deviceName}`;
-    ["staging", "prod", "diff"].forEach((dir) => {
-      if (!fs.existsSync(path.join(baseDir, dir))) {
-        fs.mkdirSync(path.join(baseDir, dir), { recursive: true });
+  try {
+    const masks = getMaskConfig(route);
+    const audit = getAccessibilitySettings();
+    const stagingCapture = await captureScreenshot(
+      page,
+      stagingUrl,
+      stagingScreenshotPath,
+      masks,
+      route.wait
+    );
+    const stagingFindings = audit.enabled ? await auditPage(page, audit) : null;
+    lap("stagingCaptureMs");
+    const prodCapture = await captureScreenshot(
+      page,
+      prodUrl,
+      prodScreenshotPath,
+      masks,
+      route.wait
+    );
+    const prodFindings = audit.enabled ? await auditPage(page, audit) : null;
+    lap("prodCaptureMs");
+
+    // Masked elements can sit at different offsets on each environment, so
+    // ignore the union of both
+    ensureDirectoryExistence(diffScreenshotPath);
+    ensureDirectoryExistence(annotatedScreenshotPath);
+    const comparison = await compareScreenshots(
+      stagingScreenshotPath,
+      prodScreenshotPath,
+      diffScreenshotPath,
+      {
+        ...config.comparison,
+        strategy: route.strategy,
+        annotatedDiffPath: annotatedScreenshotPath,
+        ignoreRegions: [
+          ...stagingCapture.maskRegions,
+          ...prodCapture.maskRegions,
+        ],
       }
-    });
+    );
+    lap("compareMs");
 
-    const context = await browser.newContext({
-      viewport: { width: 1280, height: 800 },
-    });
-    const page = await context.newPage();
-
-    for (const pagePath of config.staging.urls) {
-      const stagingUrl = `${config.staging.baseUrl}${pagePath}`;
-      const prodUrl = `${config.prod.baseUrl}${pagePath}`;
-      const stagingScreenshotPath = path.join(
-        baseDir,
-        "staging",
-        `${pagePath.replace(/\//g, "_")}.png`
-      );
-      const prodScreenshotPath = path.join(
-        baseDir,
-        "prod",
-        `${pagePath.replace(/\//g, "_")}.png`
-      );
-      const diffScreenshotPath = path.join(
-        baseDir,
-        "diff",
-        `${pagePath.replace(/\//g, "_")}.png`
+    if (comparison.heightDifference !== 0) {
+      console.log(
+        chalk.yellow(
+          `Height mismatch for ${pagePath}: staging ${comparison.dimensions.baseline.height}px, prod ${comparison.dimensions.current.height}px`
+        )
       );
+    }
 
-      try {
-        await captureScreenshot(page, stagingUrl, stagingScreenshotPath);
-        await captureScreenshot(page, prodUrl, prodScreenshotPath);
+    return {
+      ...details,
+      ...comparison,
+      diffRegions: describeRegions(comparison.diffRegions, {
+        staging: stagingCapture.elements,
+        prod: prodCapture.elements,
+      }),
+      contentDiff: diffPageContent(
+        stagingCapture.content,
+        prodCapture.content,
+        config.contentDiff
+      ),
+      accessibility: audit.enabled
+        ? buildAccessibilityResult(stagingFindings, prodFindings, audit)
+        : undefined,
+      stabilization: {
+        staging: stagingCapture.stabilization,
+        prod: prodCapture.stabilization,
+      },
+      timings: { ...timings, totalMs: Date.now() - startedAt },
+    };
+  } catch (error) {
+    return {
+      ...details,
+      similarityPercentage: "Error",
+      error: error.message,
+      timings: { ...timings, totalMs: Date.now() - startedAt },
+    };
+  }
+}
 
-        const similarity = await compareScreenshots(
-          stagingScreenshotPath,
-          prodScreenshotPath,
-          diffScreenshotPath
-        );
+// Capture one routes.js page on a single environment and compare it with the
+// environment's approved baseline
+async function compareWithBaseline(
+  page,
+  project,
+  deviceName,
+  route,
+  environment
+) {
+  const pagePath = route.path;
+  const baseDir = getScreenshotDir(project, deviceName);
+  const fileName = `${pathToFileName(pagePath)}.png`;
+  const envPath = environment === "prod" ? route.prodPath : pagePath;
+  const url = `${config[environment].baseUrl}${envPath}`;
+  const baseline = getApprovedBaseline(
+    readManifest(),
+    environment,
+    project,
+    deviceName,
+    pagePath
+  );
+  const currentScreenshotPath = getCapturePath(
+    environment,
+    project,
+    deviceName,
+    pagePath
+  );
+  const diffScreenshotPath = path.join(
+    baseDir,
+    "baseline-diff",
+    environment,
+    fileName
+  );
+  const annotatedScreenshotPath = path.join(
+    baseDir,
+    "baseline-annotated",
+    environment,
+    fileName
+  );
+  const details = {
+    pagePath,
+    prodPath: route.prodPath,
+    stagingUrl: `${config.staging.baseUrl}${pagePath}`,
+    prodUrl: `${config.prod.baseUrl}${route.prodPath}`,
+    tags: route.tags,
+    threshold: route.threshold,
+    strategy: route.strategy,
+    mode: "baseline",
+    environment,
+    baseline: baseline
+      ? {
+          sha256: baseline.sha256,
+          approvedAt: baseline.approvedAt,
+          approvedBy: baseline.approvedBy,
+        }
+      : null,
+    artifacts: {
+      baseline: baseline ? baseline.file : null,
+      current: currentScreenshotPath,
+      diff: diffScreenshotPath,
+      annotated: annotatedScreenshotPath,
+      content: getContentPath(currentScreenshotPath),
+    },
+  };
+  const startedAt = Date.now();
 
-        results.push({ pagePath, similarityPercentage: similarity });
-      } catch (error) {
-        results.push({
-          pagePath,
-          similarityPercentage: "Error",
-          error: error.message,
-        });
-      }
+  try {
+    const masks = getMaskConfig(route);
+    const capture = await captureScreenshot(
+      page,
+      url,
+      currentScreenshotPath,
+      masks,
+      route.wait
+    );
+    const captureMs = Date.now() - startedAt;
+    if (!baseline) {
+      throw new Error(
+        `No approved ${environment} baseline for ${deviceName} ${pagePath}; approve this capture with scripts/baselines.js`
+      );
     }
 
-    generateHtmlReport(results, deviceName);
-    await context.close();
-  });
-
-  test("Verify broken image links automatically on the page", async ({
-    page,
-  }) => {
-    const homePageUrl = "https://live-web-uis.pantheonsite.io/";
-    console.log(chalk.blue("Navigating to the UIS homepage..."));
-    await page.goto(homePageUrl, { waitUntil: "domcontentloaded" });
-    console.log(chalk.green("Homepage loaded successfully."));
+    // Baselines are masked at capture time, so only this capture's mask
+    // regions need ignoring
+    ensureDirectoryExistence(diffScreenshotPath);
+    ensureDirectoryExistence(annotatedScreenshotPath);
+    const comparison = await compareScreenshots(
+      baseline.file,
+      currentScreenshotPath,
+      diffScreenshotPath,
+      {
+        ...config.comparison,
+        strategy: route.strategy,
+        annotatedDiffPath: annotatedScreenshotPath,
+        ignoreRegions: capture.maskRegions,
+      }
+    );
 
-    console.log(chalk.blue("Finding all image elements on the page..."));
-    const images = await page.locator("img");
-    const imageCount = await images.count();
-    console.log(chalk.green(`Found ${imageCount} images on the page.`));
+    // Element boxes are only recorded for the fresh capture
+    return {
+      ...details,
+      ...comparison,
+      diffRegions: describeRegions(comparison.diffRegions, {
+        [environment]: capture.elements,
+      }),
+      stabilization: { [environment]: capture.stabilization },
+      timings: {
+        [`${environment}CaptureMs`]: captureMs,
+        compareMs: Date.now() - startedAt - captureMs,
+        totalMs: Date.now() - startedAt,
+      },
+    };
+  } catch (error) {
+    return {
+      ...details,
+      similarityPercentage: "Error",
+      error: error.message,
+      timings: { totalMs: Date.now() - startedAt },
+    };
+  }
+}
 
-    let brokenImages = 0;
+// Fail the page's test when it misses the pass criteria. With a failure
+// budget (passCriteria.maxFailures > 0) pages are only annotated here and the
+// budget is enforced across the run in failureBudget.spec.js.
+function assertPassCriteria(result, deviceName) {
+  const criteria = getPassCriteria();
+  const label = `${deviceName} ${result.pagePath}`;
+
+  if (criteria.maxFailures > 0) {
+    evaluatePage(result, criteria).forEach((problem) =>
+      test.info().annotations.push({
+        type: "visual-regression",
+        description: `${label}: ${problem}`,
+      })
+    );
+    return;
+  }
 
-    for (let i = 0; i < imageCount; i++) {
-      let imageUrl = await images.nth(i).getAttribute("src");
+  if (criteria.failOnError) {
+    expect
+      .soft(result.error, `${label}: comparison should complete`)
+      .toBeUndefined();
+  }
+  if (typeof result.similarityPercentage === "number") {
+    expect
+      .soft(
+        result.similarityPercentage,
+        `${label}: similarity to ${
+          result.mode === "baseline" ? "the approved baseline" : "prod"
+        } should be at least ${result.threshold}%`
+      )
+      .toBeGreaterThanOrEqual(result.threshold);
+  }
+}
 
-      if (!imageUrl) {
-        console.log(
-          chalk.yellow(`Image ${i + 1} does not have a valid src attribute.`)
+// Visual comparison: one test per device and page, so Playwright's workers
+// and --shard split the URL list. Each test writes a partial result; the
+// global teardown (or scripts/mergeVisualResults.js for sharded runs) merges
+// them into the HTML reports. With VISUAL_BASELINE set, each page is compared
+// with its approved baseline on that environment instead.
+const baselineEnvironment = getBaselineEnvironment();
+
+for (const device of getConfiguredDevices()) {
+  test.describe(`Visual Comparison - ${device.name}`, () => {
+    test.setTimeout(300000);
+
+    for (const route of getRoutes()) {
+      const title = baselineEnvironment
+        ? `Compare ${baselineEnvironment} with baseline: ${route.path}`
+        : `Compare staging and prod: ${route.path}`;
+      test(title, async ({ browser, browserName }) => {
+        test.skip(
+          Boolean(route.skip),
+          typeof route.skip === "string" ? route.skip : "Skipped in routes.js"
+        );
+        test.skip(
+          route.skipDevices.includes(device.name),
+          `Skipped on ${device.name} in routes.js`
         );
-        brokenImages++;
-        continue;
-      }
-
-      // Handle relative URLs
-      if (!imageUrl.startsWith("http") && !imageUrl.startsWith("//")) {
-        imageUrl = new URL(imageUrl, homePageUrl).toString();
-      } else if (imageUrl.startsWith("//")) {
-        // Convert protocol-relative URLs (e.g., //example.com) to absolute URLs
-        imageUrl = `https:${imageUrl}`;
-      }
-
-      try {
-        console.log(chalk.blue(`Checking image ${i + 1}: ${imageUrl}`));
-        const response = await axios.get(imageUrl);
 
-        if (response.status !== 200) {
-          console.log(
-            chalk.red(
-              `Image ${i + 1} failed to load. Status Code: ${response.status}`
-            )
+        const project = test.info().project.name;
+        const contextOptions = getContextOptions(device, browserName);
+        const context = await browser.newContext(contextOptions);
+        const page = await context.newPage();
+
+        try {
+          const result = baselineEnvironment
+            ? await compareWithBaseline(
+                page,
+                project,
+                device.name,
+                route,
+                baselineEnvironment
+              )
+            : await comparePage(page, project, device.name, route);
+          writePartialResult(project, device.name, contextOptions, result);
+          describeIntroducedIssues(result.accessibility).forEach(
+            (description) =>
+              test
+                .info()
+                .annotations.push({ type: "accessibility", description })
           );
-          brokenImages++;
-        } else {
-          console.log(chalk.green(`Image ${i + 1} loaded successfully.`));
+          assertPassCriteria(result, device.name);
+        } finally {
+          await context.close();
         }
-      } catch (error) {
-        console.log(
-          chalk.red(`Image ${i + 1} failed to load. Error: ${error.message}`)
-        );
-        brokenImages++;
-      }
+      });
+    }
+  });
+}
+
+// Visit every routes.js page on an environment and gather what `collect(page)`
+// returns from each. Pages that fail to load get `empty` plus the error.
+async function collectFromRoutes(page, environment, empty, collect) {
+  const pages = [];
+  for (const route of getRoutes().filter((route) => !route.skip)) {
+    const envPath = environment === "prod" ? route.prodPath : route.path;
+    const url = `${config[environment].baseUrl}${envPath}`;
+    console.log(chalk.blue(`Visiting: ${url}`));
+    try {
+      await stabilizePage(page, url, route.wait);
+      pages.push({ pagePath: route.path, url, ...(await collect(page)) });
+    } catch (error) {
+      pages.push({ pagePath: route.path, url, ...empty, error: error.message });
     }
+  }
+  return pages;
+}
 
-    if (brokenImages > 0) {
+// Main Test Suite
+test.describe("Visual Comparison Tests", () => {
+  test.setTimeout(3600000);
+  test("Verify images and assets load on every page", async ({ page }) => {
+    skipOnOtherProjects();
+    const settings = getAssetCheckSettings();
+    const environment = getAssetCheckEnvironment(settings);
+    const pages = await collectFromRoutes(
+      page,
+      environment,
+      { assets: [], notRendered: [] },
+      collectPageAssets
+    );
+
+    console.log(chalk.blue("Checking the collected assets..."));
+    const results = await checkPageAssets(pages, settings);
+    await test.info().attach(`broken-assets-${environment}.json`, {
+      body: JSON.stringify(results, null, 2),
+      contentType: "application/json",
+    });
+
+    const failing = results.filter(
+      (result) => result.error || result.broken.length > 0
+    );
+    const brokenCount = failing.reduce(
+      (total, result) => total + result.broken.length,
+      0
+    );
+    if (failing.length > 0) {
       console.log(
         chalk.red(
-          `Test failed. Found ${brokenImages} broken images on the page.`
+          `Found ${brokenCount} broken assets on ${failing.length} ${environment} pages.`
         )
       );
     } else {
       console.log(
-        chalk.green("Test passed. No broken images found on the page.")
+        chalk.green(
+          `No broken assets on ${results.length} ${environment} pages.`
+        )
       );
     }
+    expect(
+      failing.length,
+      `Broken assets on ${environment}:\n${formatBrokenAssetTable(failing)}`
+    ).toBe(0);
   });
 
-  test("Fill out the form one field at a time and submit", async ({
-    browser,
-  }) => {
-    const context = await browser.newContext();
-    const page = await context.newPage();
+  for (const environment of getLinkCheckEnvironments()) {
+    test(`Verify links on every ${environment} page`, async ({ page }) => {
+      skipOnOtherProjects();
+      const settings = getLinkCheckSettings();
+      const pages = await collectFromRoutes(
+        page,
+        environment,
+        { links: [] },
+        collectPageLinks
+      );
 
-    try {
-      const formPageUrl = `${config.staging.baseUrl}${config.staging.urls[0]}`;
-      console.log(chalk.blue(`Navigating to the form page: ${formPageUrl}`));
-
-      await page.goto(formPageUrl, { waitUntil: "domcontentloaded" });
-      console.log(chalk.green("Page partially loaded successfully."));
-
-      // Block unnecessary resources to stabilize the page
-      await page.route("**/*", (route) => {
-        const url = route.request().url();
-        if (
-          url.endsWith(".png") ||
-          url.endsWith(".jpg") ||
-          url.endsWith(".css") ||
-          url.endsWith(".js")
-        ) {
-          route.abort();
-        } else {
-          route.continue();
-        }
+      console.log(chalk.blue("Checking the collected links..."));
+      const results = await checkPageLinks(pages, environment, settings);
+      await test.info().attach(`links-${environment}.json`, {
+        body: JSON.stringify(results, null, 2),
+        contentType: "application/json",
       });
-      console.log(
-        chalk.blue("Blocked unnecessary resources to stabilize the page.")
-      );
 
-      // Select the first option in "Program of Interest"
-      console.log(chalk.blue("Selecting 'Program of Interest'..."));
-      await page.selectOption("#input_2_1", { index: 1 }); // Select the first option
-      console.log(chalk.green("'Program of Interest' selected successfully."));
-
-      // Fill in "First Name"
-      const testIteration = Date.now(); // Use timestamp for unique identification
-      const firstName = `John${testIteration}`;
-      console.log(chalk.blue(`Filling 'First Name' with: ${firstName}`));
-      await page.fill("#input_2_2", firstName);
-      console.log(chalk.green("'First Name' filled successfully."));
-
-      // Fill in "Last Name"
-      console.log(chalk.blue("Filling 'Last Name'..."));
-      await page.fill("#input_2_3", "Doe");
-      console.log(chalk.green("'Last Name' filled successfully."));
-
-      // Fill in "Email"
-      const email = `johndoe${testIteration}@example.com`;
-      console.log(chalk.blue(`Filling 'Email' with: ${email}`));
-      await page.fill("#input_2_6", email);
-      console.log(chalk.green("'Email' filled successfully."));
-
-      // Fill in "Phone"
-      console.log(chalk.blue("Filling 'Phone'..."));
-      await page.fill("#input_2_4", "5551234567");
-      console.log(chalk.green("'Phone' filled successfully."));
-
-      // Fill in "ZIP Code"
-      console.log(chalk.blue("Filling 'ZIP Code'..."));
-      await page.fill("#input_2_5", "12345");
-      console.log(chalk.green("'ZIP Code' filled successfully."));
-
-      // Select "How did you hear about us?"
-      console.log(chalk.blue("Selecting 'How did you hear about us?'..."));
-      await page.selectOption("#input_2_7", { index: 2 }); // Select the second option
-      console.log(
-        chalk.green("'How did you hear about us?' selected successfully.")
+      results
+        .flatMap((result) => result.redirected)
+        .forEach(({ chain }) =>
+          console.log(chalk.yellow(`Redirect: ${formatChain(chain)}`))
+        );
+      const failing = results.filter(
+        (result) =>
+          result.error || result.broken.length > 0 || result.leaks.length > 0
       );
-
-      // Submit the form
-      console.log(chalk.blue("Submitting the form..."));
-      await page.click("#gform_submit_button_2");
-      console.log(chalk.green("Form submitted successfully."));
-
-      // Wait for confirmation message
-      console.log(chalk.blue("Waiting for confirmation message..."));
-      await page.waitForSelector("h1.header2", { timeout: 20000 });
-      const confirmationText = await page.textContent("h1.header2");
-
-      // Verify confirmation message
-      if (confirmationText.trim() === "Thanks for your submission!") {
+      const count = (key) =>
+        failing.reduce((total, result) => total + result[key].length, 0);
+      if (failing.length > 0) {
         console.log(
-          chalk.green(
-            "Form submitted successfully and confirmation message displayed."
+          chalk.red(
+            `Found ${count("broken")} broken links and ${count(
+              "leaks"
+            )} links to other environments on ${
+              failing.length
+            } ${environment} pages.`
           )
         );
       } else {
         console.log(
-          chalk.red("Confirmation message text did not match expected value.")
+          chalk.green(
+            `No broken or cross-environment links on ${results.length} ${environment} pages.`
+          )
         );
       }
-    } catch (error) {
-      console.error(chalk.red(`Error during test: ${error.message}`));
-    } finally {
-      await context.close();
-    }
-  });
-
-  test("Click Apply Now, fill out the form, and submit", async ({ page }) => {
-    const homePageUrl = `${config.staging.baseUrl}`;
-    const formPageUrl = `${config.staging.baseUrl}apply/`;
-    const confirmationUrlPattern = /apply2\/\?d=.+/; // Matches any URL with query parameters starting with apply2/
-    const formSelectors = {
-      applyNowButton: "#mega-menu-item-7481 a.mega-menu-link",
-      programOfInterest: "#input_5_1",
-      firstName: "#input_5_2",
-      lastName: "#input_5_3",
-      email: "#input_5_4",
-      phone: "#input_5_5",
-      zipCode: "#input_5_6",
-      howDidYouHear: "#input_5_7",
-      submitButton: "#gform_submit_button_5",
-      confirmationMessage: ".elementor-element-375b1cc6 h1.header2",
-    };
+      expect(
+        failing.length,
+        `Broken and cross-environment links on ${environment}:\n${formatLinkTable(
+          failing
+        )}`
+      ).toBe(0);
+    });
+  }
 
-    try {
-      // Navigate to the homepage
-      console.log(chalk.blue(`Navigating to the home page: ${homePageUrl}`));
-      await page.goto(homePageUrl, { waitUntil: "domcontentloaded" });
-      console.log(chalk.green("Homepage loaded successfully."));
+  // Search and sharing metadata on every page: diffed field by field between
+  // staging and prod, failing on broken rules and fields dropped on staging
+  test("Verify SEO metadata on staging and prod", async ({ page }) => {
+    skipOnOtherProjects();
+    const empty = { metadata: null };
+    const staging = await collectFromRoutes(
+      page,
+      "staging",
+      empty,
+      collectPageMetadata
+    );
+    const prod = await collectFromRoutes(
+      page,
+      "prod",
+      empty,
+      collectPageMetadata
+    );
 
-      // Click on the "Apply Now" button
-      console.log(chalk.blue("Clicking on the 'Apply Now' button..."));
-      await page.click(formSelectors.applyNowButton);
+    const results = staging.map((stagingPage, index) =>
+      compareMetadata(stagingPage.pagePath, stagingPage, prod[index])
+    );
+    await test.info().attach("seo-metadata.json", {
+      body: JSON.stringify({ results, staging, prod }, null, 2),
+      contentType: "application/json",
+    });
 
-      // Wait for the form page to load
+    results
+      .filter((result) => result.diffs.length > 0)
+      .forEach((result) =>
+        console.log(
+          chalk.yellow(
+            `${result.pagePath}: ${result.diffs
+              .map((diff) => diff.field)
+              .join(", ")} differ between staging and prod`
+          )
+        )
+      );
+    const failing = results.filter(
+      (result) => result.error || result.problems.length > 0
+    );
+    if (failing.length > 0) {
       console.log(
-        chalk.blue(`Waiting for navigation to the form page: ${formPageUrl}`)
+        chalk.red(`Found SEO metadata problems on ${failing.length} pages.`)
       );
-      await page.waitForURL(formPageUrl, { timeout: 10000 });
-      console.log(chalk.green("Navigated to the Apply Now form page."));
-
-      // Fill out the form fields
-      const testData = {
-        program: "UIS-C-GDGTFRNS", // Example program value: Digital Forensics Certificate
-        firstName: "Jane",
-        lastName: "Doe",
-        email: `janedoe${Date.now()}@example.com`, // Unique email for testing
-        phone: "5551234567",
-        zipCode: "67890",
-        howDidYouHear: "Email",
-      };
-
-      console.log(chalk.blue("Filling out the Apply Now form fields..."));
-      await page.selectOption(formSelectors.programOfInterest, {
-        value: testData.program,
-      });
-      console.log(chalk.green(`Selected program: ${testData.program}`));
-
-      await page.fill(formSelectors.firstName, testData.firstName);
-      console.log(chalk.green(`Filled First Name: ${testData.firstName}`));
-
-      await page.fill(formSelectors.lastName, testData.lastName);
-      console.log(chalk.green(`Filled Last Name: ${testData.lastName}`));
-
-      await page.fill(formSelectors.email, testData.email);
-      console.log(chalk.green(`Filled Email: ${testData.email}`));
-
-      await page.fill(formSelectors.phone, testData.phone);
-      console.log(chalk.green(`Filled Phone: ${testData.phone}`));
-
-      await page.fill(formSelectors.zipCode, testData.zipCode);
-      console.log(chalk.green(`Filled ZIP Code: ${testData.zipCode}`));
-
-      await page.selectOption(formSelectors.howDidYouHear, {
-        value: testData.howDidYouHear,
-      });
+    } else {
       console.log(
-        chalk.green(`Selected How Did You Hear: ${testData.howDidYouHear}`)
+        chalk.green(`SEO metadata passes on ${results.length} pages.`)
       );
+    }
+    expect(
+      failing.length,
+      `SEO metadata problems:\n${formatMetadataTable(failing)}`
+    ).toBe(0);
+  });
 
-      console.log(chalk.green("Form fields filled successfully."));
+  // One test per form in forms.js on staging, on one project so a live run
+  // creates one lead per form. Unless live submissions are enabled, the
+  // submission is intercepted and its payload checked instead.
+  for (const form of getForms()) {
+    test(`Fill out and submit: ${form.name}`, async ({ page }) => {
+      skipOnOtherProjects();
+      const live = isLiveSubmission();
+      test.info().annotations.push({
+        type: "form-submission",
+        description: live ? "live" : "dry run",
+      });
+      const baseUrl = config.staging.baseUrl;
+      console.log(chalk.blue(`Opening the form page: ${baseUrl}${form.path}`));
+      await openForm(page, form, baseUrl);
+      console.log(chalk.green("Form page loaded successfully."));
+
+      const filledEntries = [];
+      for (const field of resolveFieldValues(form)) {
+        await fillField(page, field);
+        filledEntries.push(await readFieldEntry(page, field));
+        console.log(
+          chalk.green(`Filled ${field.label}: ${describeFieldValue(field)}`)
+        );
+      }
 
-      // Submit the form and wait for navigation to the confirmation page
-      console.log(chalk.blue("Submitting the Apply Now form..."));
-      await Promise.all([
-        page.waitForURL(confirmationUrlPattern, { timeout: 30000 }),
-        page.click(formSelectors.submitButton),
-      ]);
-      console.log(chalk.green("Form submitted successfully."));
+      if (!live) {
+        const expected = await getExpectedPayload(page, form, filledEntries);
+        console.log(chalk.blue("Submitting the form (dry run)..."));
+        const submission = await dryRunSubmit(page, form);
+        console.log(
+          chalk.green(`Intercepted the submission to ${submission.url}`)
+        );
+        await test.info().attach("form-payload.json", {
+          body: JSON.stringify({ expected, ...submission }, null, 2),
+          contentType: "application/json",
+        });
+        expect(
+          checkPayload(form, expected, submission.payload),
+          `${form.name}: submitted payload`
+        ).toEqual([]);
+        return;
+      }
 
-      // Wait for the confirmation message
-      console.log(chalk.blue("Verifying confirmation message..."));
-      const confirmationText = await page.textContent(
-        formSelectors.confirmationMessage
-      );
+      console.log(chalk.blue("Submitting the form..."));
+      const confirmation = await submitForm(page, form);
+      console.log(chalk.green(`Form submitted; landed on ${confirmation.url}`));
 
-      // Verify the confirmation message
-      console.log(
-        chalk.blue(`Confirmation message found: "${confirmationText.trim()}"`)
-      );
-      if (
-        confirmationText.trim() ===
-        "Great! Now, take the next step to complete your application."
-      ) {
+      if (form.confirmation.text) {
+        expect(confirmation.text, `${form.name}: confirmation message`).toBe(
+          form.confirmation.text
+        );
         console.log(
-          chalk.green("Confirmation message matches expected value.")
+          chalk.green(`Confirmation message: "${confirmation.text}"`)
         );
-      } else {
+      }
+    });
+  }
+
+  // Negative cases for each form in forms.js on staging: one test per field
+  // left empty (skipped unless the field is required) and per malformed
+  // email or phone. Gravity Forms validates on the server, so these are real
+  // submissions that should come back with an error on that field only; they
+  // only run when live submissions are enabled, on one project.
+  for (const form of getForms()) {
+    for (const validationCase of getValidationCases(form)) {
+      test(`Validation: ${form.name} - ${validationCase.name}`, async ({
+        page,
+      }) => {
+        skipOnOtherProjects();
+        test.skip(
+          !isLiveSubmission(),
+          "Validation cases send real submissions; set VISUAL_LIVE_FORMS=1 to run them"
+        );
+        const baseUrl = config.staging.baseUrl;
+        await openForm(page, form, baseUrl);
+        if (validationCase.value === null) {
+          test.skip(
+            !(await isFieldRequired(page, validationCase.field)),
+            `${validationCase.field.label} is optional`
+          );
+        }
+
         console.log(
-          chalk.red(
-            "Confirmation message text did not match the expected value."
+          chalk.blue(`Submitting ${form.name} with ${validationCase.name}...`)
+        );
+        const result = await submitInvalid(page, form, validationCase);
+        const wrapper = page.locator(`#gform_wrapper_${form.formId}`);
+        await test.info().attach(`${validationCase.name}.png`, {
+          body:
+            (await wrapper.count()) > 0
+              ? await wrapper.screenshot()
+              : await page.screenshot({ fullPage: true }),
+          contentType: "image/png",
+        });
+        result.errors.forEach(({ container, message }) =>
+          console.log(
+            chalk.yellow(`Validation error on ${container}: ${message}`)
           )
         );
-      }
-    } catch (error) {
-      console.error(chalk.red(`Test failed: ${error.message}`));
+
+        expect(
+          result.accepted,
+          `${form.name}: the submission with ${validationCase.name} was accepted, so a lead was created on staging`
+        ).toBe(false);
+        expect(
+          result.errors.map((error) => error.container),
+          `${form.name}: validation errors should be on ${validationCase.field.label} only`
+        ).toEqual([result.target]);
+        expect(
+          result.errors[0].message,
+          `${form.name}: ${validationCase.field.label} should show a validation message`
+        ).not.toBe("");
+      });
     }
-  });
+  }
 
-  test("Verify Online Programs and Getting Started Menus - UIS", async ({
+  // The program-of-interest options of every form in forms.js, compared
+  // between staging and prod and against the program pages in routes.js
+  test("Verify program-of-interest options match the degree catalog", async ({
     page,
   }) => {
-    const verifyMenu = async (
-      menuName,
-      menuSelector,
-      submenuSelector,
-      linksSelector
-    ) => {
-      console.log(chalk.blue(`Locating the '${menuName}' menu...`));
-
-      // Locate the menu element (refine selector or specify nth match)
-      const menuElement = await page.locator(menuSelector).first(); // Use the first matching element
-      if (!(await menuElement.isVisible())) {
-        throw new Error(`The '${menuName}' menu is not visible.`);
-      }
-      console.log(chalk.green(`The '${menuName}' menu is visible.`));
+    skipOnOtherProjects();
+    const settings = getProgramCatalogSettings();
+    const programRoutes = getProgramRoutes(getRoutes(), settings);
+    const programForms = getForms().filter((form) =>
+      form.fields.some((field) => field.program)
+    );
+    const environments = ["staging", "prod"];
+    const envPath = (environment, pagePath) => {
+      const route = getRoute(pagePath);
+      return environment === "prod" && route ? route.prodPath : pagePath;
+    };
 
-      // Hover over the menu to display submenus
-      console.log(chalk.blue(`Hovering over the '${menuName}' menu...`));
-      await menuElement.hover();
+    // Program names as each environment's pages give them; pages that don't
+    // load there are left out of that environment's catalog
+    const catalogPages = {};
+    for (const environment of environments) {
+      catalogPages[environment] = [];
+      for (const route of programRoutes) {
+        const url = `${config[environment].baseUrl}${envPath(
+          environment,
+          route.path
+        )}`;
+        try {
+          const response = await page.goto(url, {
+            waitUntil: "domcontentloaded",
+          });
+          if (response && response.status() >= 400) {
+            console.log(chalk.yellow(`${url} returned ${response.status()}`));
+            continue;
+          }
+          catalogPages[environment].push({
+            pagePath: route.path,
+            name: await readProgramName(page),
+          });
+        } catch (error) {
+          console.log(chalk.yellow(`Could not load ${url}: ${error.message}`));
+        }
+      }
+    }
 
-      // Locate submenus
-      const submenus = await page.locator(submenuSelector);
-      const submenuCount = await submenus.count();
-      if (submenuCount === 0) {
-        throw new Error(`No submenus found for '${menuName}' menu.`);
+    const report = [];
+    for (const form of programForms) {
+      const field = form.fields.find((candidate) => candidate.program);
+      const options = {};
+      for (const environment of environments) {
+        const url = `${config[environment].baseUrl}${envPath(
+          environment,
+          form.path
+        )}`;
+        console.log(chalk.blue(`Reading ${form.name} programs on: ${url}`));
+        await page.goto(url, { waitUntil: "domcontentloaded" });
+        options[environment] = await readProgramOptions(page, field.selector);
+        console.log(
+          chalk.green(
+            `Found ${options[environment].length} program options on ${environment}.`
+          )
+        );
       }
+
+      const catalog = {};
+      environments.forEach((environment) => {
+        catalog[environment] = matchCatalog(
+          options[environment],
+          catalogPages[environment],
+          settings
+        );
+      });
+      report.push({
+        form: form.name,
+        options,
+        parity: diffOptions(options.staging, options.prod),
+        catalog,
+      });
+    }
+
+    await test.info().attach("program-catalog.json", {
+      body: JSON.stringify({ catalogPages, forms: report }, null, 2),
+      contentType: "application/json",
+    });
+    const problems = report.flatMap((entry) =>
+      describeProgramProblems(entry.form, entry)
+    );
+    if (problems.length > 0) {
+      console.log(chalk.red(`Found ${problems.length} program list problems.`));
+    } else {
       console.log(
-        chalk.green(`Found ${submenuCount} submenus in the '${menuName}' menu.`)
+        chalk.green(
+          `Program lists match on both environments and cover ${programRoutes.length} program pages.`
+        )
       );
+    }
+    expect(
+      problems.length,
+      `Program-of-interest problems:\n${formatProgramTable(problems)}`
+    ).toBe(0);
+  });
 
-      // Locate links in the submenus
-      const links = await page.locator(linksSelector);
-      const linkCount = await links.count();
-      if (linkCount === 0) {
-        throw new Error(`No links found in the '${menuName}' menu.`);
-      }
+  // The navigation menu on both environments: compared with its recorded
+  // snapshot when there is one (reported only) and across environments, and every menu link
+  // requested. Snapshot updates are written once, from SITE_CHECK_PROJECT.
+  test("Verify navigation menus on staging and prod", async ({ page }) => {
+    skipOnOtherProjects();
+    const settings = getMenuSettings();
+    const linkSettings = getLinkCheckSettings();
+    const environments = ["staging", "prod"];
+    const trees = {};
+    const brokenLinks = [];
+
+    for (const environment of environments) {
+      const baseUrl = config[environment].baseUrl;
+      console.log(chalk.blue(`Reading the navigation menu on: ${baseUrl}/`));
+      await page.goto(`${baseUrl}/`, { waitUntil: "domcontentloaded" });
+      const tree = await extractMenuTree(page, settings.menuSelector);
+      expect(
+        tree,
+        `${environment}: no menu matches "${settings.menuSelector}"`
+      ).not.toBeNull();
+      trees[environment] = normalizeMenuTree(tree, baseUrl);
       console.log(
-        chalk.green(`Found ${linkCount} links in the '${menuName}' menu.`)
+        chalk.green(
+          `Found ${flattenMenu(tree).length} menu items on ${environment}.`
+        )
       );
 
-      // Verify each link
-      let invalidLinks = 0;
-      for (let i = 0; i < linkCount; i++) {
-        const linkText = await links.nth(i).textContent();
-        const linkHref = await links.nth(i).getAttribute("href");
+      const previous = readSnapshot(environment, settings);
+      if (isSnapshotUpdate()) {
+        writeSnapshot(
+          environment,
+          { capturedAt: new Date().toISOString(), items: trees[environment] },
+          settings
+        );
+        console.log(chalk.green(`Menu snapshot updated for ${environment}.`));
+      } else if (!previous) {
+        test.info().annotations.push({
+          type: "menu-change",
+          description: `${environment}: no menu snapshot; run with VISUAL_UPDATE_MENUS=1 to record one`,
+        });
+      }
+      if (previous) {
+        const changes = describeMenuChanges(
+          diffMenus(previous.items, trees[environment])
+        );
+        changes.forEach((change) =>
+          test.info().annotations.push({
+            type: "menu-change",
+            description: `${environment} since ${previous.capturedAt}: ${change}`,
+          })
+        );
         console.log(
-          chalk.blue(
-            `Checking link ${i + 1} in '${menuName}' menu: ${linkText}`
-          )
+          changes.length > 0
+            ? chalk.yellow(
+                `${changes.length} menu changes on ${environment} since ${previous.capturedAt}.`
+              )
+            : chalk.green(
+                `No menu changes on ${environment} since the snapshot.`
+              )
         );
+      }
 
-        if (!linkHref || linkHref.trim() === "") {
-          console.log(
-            chalk.yellow(
-              `Warning: Link '${linkText}' in '${menuName}' menu does not have a valid href attribute.`
-            )
-          );
-          invalidLinks++;
-        } else {
-          console.log(
-            chalk.green(
-              `Link '${linkText}' in '${menuName}' menu is valid with href: ${linkHref}`
+      const links = flattenMenu(tree).filter((item) => item.href);
+      const urls = [...new Set(links.map((item) => item.href.split("#")[0]))];
+      const checks = await mapWithConcurrency(
+        urls,
+        linkSettings.concurrency,
+        (url) => checkLink(url, linkSettings)
+      );
+      checks
+        .filter((check) => !check.ok)
+        .forEach((check) =>
+          links
+            .filter((item) => item.href.split("#")[0] === check.url)
+            .forEach((item) =>
+              brokenLinks.push([
+                environment,
+                item.path,
+                `${check.error || `HTTP ${check.status}`} (${formatChain(
+                  check.chain
+                )})`,
+              ])
             )
-          );
+        );
+    }
+
+    const parity = diffMenus(trees.staging, trees.prod);
+    await test.info().attach("navigation-menus.json", {
+      body: JSON.stringify({ trees, parity }, null, 2),
+      contentType: "application/json",
+    });
+
+    expect(
+      brokenLinks.length,
+      `Broken menu links:\n${formatTable(
+        ["Environment", "Menu item", "Problem"],
+        brokenLinks
+      )}`
+    ).toBe(0);
+    expect(
+      hasMenuChanges(parity),
+      `Menu differences from staging to prod:\n${describeMenuChanges(
+        parity
+      ).join("\n")}`
+    ).toBe(false);
+  });
+
+  // The hamburger menu on each phone-sized device and environment: open it,
+  // expand a submenu, follow a submenu link, close it, and drive it from the
+  // keyboard. Each state is attached as a screenshot.
+  const mobileNav = getMobileNavSettings();
+  for (const deviceName of mobileNav.devices) {
+    for (const environment of ["staging", "prod"]) {
+      test(`Mobile navigation on ${deviceName} - ${environment}`, async ({
+        browser,
+        browserName,
+      }) => {
+        const context = await browser.newContext(
+          getContextOptions(getDevice(deviceName), browserName)
+        );
+        const page = await context.newPage();
+        const url = `${config[environment].baseUrl}${mobileNav.path}`;
+        const toggle = getMenuToggle(page, mobileNav);
+        const menu = getMenu(page, mobileNav);
+        // Attach the current viewport under `name`
+        const attachState = async (name) =>
+          test.info().attach(`${environment}-${name}.png`, {
+            body: await page.screenshot({ animations: "disabled" }),
+            contentType: "image/png",
+          });
+
+        try {
+          await test.step("open", async () => {
+            console.log(chalk.blue(`Opening the mobile menu on: ${url}`));
+            await stabilizePage(page, url);
+            await expect(toggle, "hamburger button").toBeVisible();
+            await expect(menu, "menu before opening").toBeHidden();
+            await toggle.click();
+            await expect(menu, "menu after opening").toBeVisible();
+            await attachState("menu-open");
+          });
+
+          const item = getExpandableItem(page, mobileNav);
+          const { link, submenu } = getItemParts(item, mobileNav);
+          await test.step("expand a submenu", async () => {
+            await expect(item, "top-level item with a submenu").toHaveCount(1);
+            await expect(submenu, "submenu before expanding").toBeHidden();
+            await link.click();
+            await expect(submenu, "submenu after expanding").toBeVisible();
+            await attachState("submenu-open");
+          });
+
+          await test.step("navigate", async () => {
+            const target = await findSubmenuLink(submenu, mobileNav);
+            expect(target, "a link in the expanded submenu").not.toBeNull();
+            console.log(
+              chalk.blue(`Following "${target.label}" to ${target.href}`)
+            );
+            const expected = target.href.split("#")[0];
+            await Promise.all([
+              page.waitForURL((url) => url.href.split("#")[0] === expected, {
+                timeout: 30000,
+              }),
+              submenu.locator(mobileNav.linkSelector).nth(target.index).click(),
+            ]);
+            await expect(menu, "menu on the new page").toBeHidden();
+          });
+
+          await test.step("close", async () => {
+            await toggle.click();
+            await expect(menu, "menu before closing").toBeVisible();
+            await toggle.click();
+            await expect(menu, "menu after closing").toBeHidden();
+          });
+
+          await test.step("keyboard", async () => {
+            await toggle.focus();
+            await page.keyboard.press("Enter");
+            await expect(menu, "menu after Enter on the toggle").toBeVisible();
+            await page.keyboard.press("Tab");
+            expect(
+              await menu.evaluate((element) =>
+                element.contains(document.activeElement)
+              ),
+              "Tab moves focus into the open menu"
+            ).toBe(true);
+            await attachState("menu-keyboard-focus");
+            await page.keyboard.press("Escape");
+            await expect(menu, "menu after Escape").toBeHidden();
+          });
+          console.log(chalk.green(`Mobile menu works on ${environment}.`));
+        } finally {
+          await context.close();
         }
-      }
+      });
+    }
+  }
 
-      console.log(
-        chalk.green(
-          `All checks complete for '${menuName}' menu. Found ${invalidLinks} invalid links.`
-        )
+  // Interactive states from config.interactiveStates (open menus, focused
+  // fields, validation errors) captured on staging and prod and compared
+  // like full pages: each is reported on its device under statePagePath()
+  for (const state of getInteractiveStates()) {
+    test(`Interactive state: ${state.name} (${state.device})`, async ({
+      browser,
+      browserName,
+    }) => {
+      test.skip(
+        Boolean(baselineEnvironment),
+        "Interactive states are compared between staging and prod only"
+      );
+      const project = test.info().project.name;
+      const baseDir = path.join(
+        getScreenshotDir(project, state.device),
+        "states"
       );
+      const fileName = stateFileName(state);
+      const route = getRoute(state.path);
+      const prodPath = route ? route.prodPath : state.path;
+      const maskSelectors = route ? getMaskConfig(route).selectors : [];
+      const artifacts = {
+        staging: path.join(baseDir, "staging", fileName),
+        prod: path.join(baseDir, "prod", fileName),
+        diff: path.join(baseDir, "diff", fileName),
+        annotated: path.join(baseDir, "annotated", fileName),
+      };
+      const details = {
+        pagePath: statePagePath(state),
+        prodPath: statePagePath(state, prodPath),
+        stagingUrl: `${config.staging.baseUrl}${state.path}`,
+        prodUrl: `${config.prod.baseUrl}${prodPath}`,
+        state: state.name,
+        tags: ["interactive-state"],
+        threshold: state.threshold,
+        artifacts,
+      };
+      const contextOptions = getContextOptions(
+        getDevice(state.device),
+        browserName
+      );
+      const context = await browser.newContext(contextOptions);
+      const page = await context.newPage();
+      const startedAt = Date.now();
+      let result;
 
-      if (invalidLinks > 0) {
-        console.log(
-          chalk.yellow(
-            `Test completed with ${invalidLinks} warnings for invalid links in the '${menuName}' menu.`
-          )
+      try {
+        for (const environment of ["staging", "prod"]) {
+          const url = details[`${environment}Url`];
+          console.log(chalk.blue(`Capturing "${state.name}" on: ${url}`));
+          await stabilizePage(page, url, route ? route.wait : null);
+          await runStateSteps(page, state.steps);
+          ensureDirectoryExistence(artifacts[environment]);
+          await captureState(
+            page,
+            state,
+            artifacts[environment],
+            maskSelectors
+          );
+        }
+
+        ensureDirectoryExistence(artifacts.diff);
+        ensureDirectoryExistence(artifacts.annotated);
+        const comparison = await compareScreenshots(
+          artifacts.staging,
+          artifacts.prod,
+          artifacts.diff,
+          { ...config.comparison, annotatedDiffPath: artifacts.annotated }
         );
-      } else {
+        result = {
+          ...details,
+          ...comparison,
+          diffRegions: describeRegions(comparison.diffRegions, {}),
+          timings: { totalMs: Date.now() - startedAt },
+        };
         console.log(
-          chalk.green(`All links in the '${menuName}' menu are valid.`)
+          chalk.green(
+            `${state.name}: ${comparison.similarityPercentage}% similar on ${state.device}`
+          )
         );
+      } catch (error) {
+        result = {
+          ...details,
+          similarityPercentage: "Error",
+          error: error.message,
+          timings: { totalMs: Date.now() - startedAt },
+        };
+      } finally {
+        await context.close();
       }
-    };
 
-    const homePageUrl = "https://live-web-uis.pantheonsite.io/";
-    console.log(chalk.blue("Navigating to the UIS homepage..."));
-    await page.goto(homePageUrl, { waitUntil: "domcontentloaded" });
-    console.log(chalk.green("Homepage loaded successfully."));
-
-    // Verify the "Online Programs" menu
-    await verifyMenu(
-      "Online Programs",
-      "#mega-menu-item-7409 > a.mega-menu-link",
-      "#mega-menu-item-7409 ul.mega-sub-menu",
-      "#mega-menu-item-7409 ul.mega-sub-menu a.mega-menu-link"
-    );
-
-    // Verify the "Getting Started" menu
-    await verifyMenu(
-      "Getting Started",
-      "#mega-menu-item-7470 > a.mega-menu-link",
-      "#mega-menu-item-7470 ul.mega-sub-menu",
-      "#mega-menu-item-7470 ul.mega-sub-menu a.mega-menu-link"
-    );
-  });
+      writePartialResult(project, state.device, contextOptions, result);
+      for (const name of ["staging", "prod", "annotated"]) {
+        if (fs.existsSync(artifacts[name])) {
+          await test.info().attach(`${name}.png`, {
+            path: artifacts[name],
+            contentType: "image/png",
+          });
+        }
+      }
+      assertPassCriteria(result, state.device);
+    });
+  }
 });
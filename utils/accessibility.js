@@ -0,0 +1,459 @@
+// Accessibility checks run in the page itself, with no external service:
+// images without alt text, form fields without labels, skipped heading
+// levels, low text contrast, missing or duplicated landmarks and focusable
+// elements without an accessible name. Findings are compared between staging
+// and prod to show which issues a release introduces.
+const config = require("../config.js");
+
+// Every rule, in the order the report lists them
+const RULES = {
+  "image-alt": "Images have alt text",
+  "form-label": "Form fields have labels",
+  "heading-order": "Headings start at h1 and skip no levels",
+  "color-contrast": "Text has enough contrast with its background",
+  landmarks: "The page has one main, banner and contentinfo landmark",
+  "focusable-name": "Links, buttons and focusable elements have names",
+};
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  rules: Object.keys(RULES),
+  minContrast: 4.5,
+  minLargeTextContrast: 3,
+};
+
+// Merge the configured accessibility settings with the defaults
+function getAccessibilitySettings() {
+  return { ...DEFAULT_SETTINGS, ...(config.accessibility || {}) };
+}
+
+// Run the enabled rules on a stabilized page. Each finding is
+// { rule, target, detail }: `target` is a short selector for the element and
+// `detail` describes it without host names, so the same issue reads the same
+// on staging and prod.
+async function auditPage(page, settings = getAccessibilitySettings()) {
+  const unknown = settings.rules.filter((rule) => !RULES[rule]);
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown accessibility rules ${unknown.join(
+        ", "
+      )}; available: ${Object.keys(RULES).join(", ")}`
+    );
+  }
+
+  return page.evaluate(({ rules, minContrast, minLargeTextContrast }) => {
+    const findings = [];
+    const report = (rule, element, detail) =>
+      findings.push({ rule, target: describeElement(element), detail });
+
+    const clean = (value) => (value || "").replace(/\s+/g, " ").trim();
+    const snippet = (value) => {
+      const text = clean(value);
+      return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+    };
+    const describeElement = (element) => {
+      if (!element || element === document) {
+        return "document";
+      }
+      const tag = element.tagName.toLowerCase();
+      if (element.id) {
+        return `${tag}#${element.id}`;
+      }
+      const className = [...element.classList][0];
+      return className ? `${tag}.${className}` : tag;
+    };
+    const isVisible = (element) => {
+      const rect = element.getBoundingClientRect();
+      const style = window.getComputedStyle(element);
+      return (
+        rect.width > 0 &&
+        rect.height > 0 &&
+        style.visibility !== "hidden" &&
+        style.display !== "none" &&
+        !element.closest("[aria-hidden=true]")
+      );
+    };
+    const pathOf = (url) => {
+      try {
+        const parsed = new URL(url, window.location.href);
+        return parsed.host === window.location.host
+          ? `${parsed.pathname}${parsed.search}${parsed.hash}`
+          : parsed.href;
+      } catch (error) {
+        return url;
+      }
+    };
+    const fileOf = (url) => (url || "").split("?")[0].split("/").pop();
+    const labelledBy = (element) =>
+      clean(
+        (element.getAttribute("aria-labelledby") || "")
+          .split(/\s+/)
+          .map((id) => id && document.getElementById(id))
+          .filter(Boolean)
+          .map((label) => label.textContent)
+          .join(" ")
+      );
+    const accessibleName = (element) =>
+      clean(element.getAttribute("aria-label")) ||
+      labelledBy(element) ||
+      clean(element.innerText) ||
+      clean(
+        [...element.querySelectorAll("img[alt], svg title")]
+          .map((child) => child.getAttribute("alt") || child.textContent)
+          .join(" ")
+      ) ||
+      clean(element.getAttribute("title"));
+
+    if (rules.includes("image-alt")) {
+      document
+        .querySelectorAll("img, input[type=image], [role=img]")
+        .forEach((image) => {
+          const role = image.getAttribute("role");
+          if (
+            !isVisible(image) ||
+            role === "presentation" ||
+            role === "none" ||
+            image.hasAttribute("alt") ||
+            clean(image.getAttribute("aria-label")) ||
+            labelledBy(image)
+          ) {
+            return;
+          }
+          report(
+            "image-alt",
+            image,
+            `No alt text: ${fileOf(image.currentSrc || image.src) || "image"}`
+          );
+        });
+    }
+
+    if (rules.includes("form-label")) {
+      const unlabeledTypes = ["hidden", "submit", "button", "reset", "image"];
+      document.querySelectorAll("input, select, textarea").forEach((field) => {
+        if (
+          unlabeledTypes.includes((field.getAttribute("type") || "").trim()) ||
+          !isVisible(field)
+        ) {
+          return;
+        }
+        const label =
+          (field.id &&
+            document.querySelector(`label[for="${CSS.escape(field.id)}"]`)) ||
+          field.closest("label");
+        if (
+          (label && clean(label.innerText)) ||
+          clean(field.getAttribute("aria-label")) ||
+          labelledBy(field) ||
+          clean(field.getAttribute("title"))
+        ) {
+          return;
+        }
+        const form = field.closest("form");
+        report(
+          "form-label",
+          field,
+          `No label: ${field.tagName.toLowerCase()} "${
+            field.getAttribute("name") || field.id || "unnamed"
+          }"${form && form.id ? ` in form#${form.id}` : ""}${
+            field.getAttribute("placeholder")
+              ? ` (placeholder only: "${snippet(
+                  field.getAttribute("placeholder")
+                )}")`
+              : ""
+          }`
+        );
+      });
+    }
+
+    if (rules.includes("heading-order")) {
+      const headings = [
+        ...document.querySelectorAll("h1, h2, h3, h4, h5, h6"),
+      ].filter(isVisible);
+      if (!headings.some((heading) => heading.tagName === "H1")) {
+        report("heading-order", document, "No h1 on the page");
+      }
+      let previous = null;
+      headings.forEach((heading) => {
+        const level = Number(heading.tagName[1]);
+        if (previous && level > previous.level + 1) {
+          report(
+            "heading-order",
+            heading,
+            `h${previous.level} "${snippet(
+              previous.text
+            )}" is followed by h${level} "${snippet(heading.innerText)}"`
+          );
+        }
+        previous = { level, text: heading.innerText };
+      });
+    }
+
+    if (rules.includes("color-contrast")) {
+      const parseColor = (value) => {
+        const parts = (value.match(/[\d.]+/g) || []).map(Number);
+        return parts.length >= 3
+          ? {
+              r: parts[0],
+              g: parts[1],
+              b: parts[2],
+              a: parts.length > 3 ? parts[3] : 1,
+            }
+          : null;
+      };
+      const blend = (top, bottom) => ({
+        r: top.r * top.a + bottom.r * (1 - top.a),
+        g: top.g * top.a + bottom.g * (1 - top.a),
+        b: top.b * top.a + bottom.b * (1 - top.a),
+        a: 1,
+      });
+      const luminance = ({ r, g, b }) => {
+        const channel = (value) => {
+          const c = value / 255;
+          return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        };
+        return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+      };
+      const toHex = ({ r, g, b }) =>
+        `#${[r, g, b]
+          .map((c) => Math.round(c).toString(16).padStart(2, "0"))
+          .join("")}`;
+      // The solid color behind an element, or null over an image or gradient
+      const backgroundOf = (element) => {
+        const layers = [];
+        for (let node = element; node; node = node.parentElement) {
+          const style = window.getComputedStyle(node);
+          if (style.backgroundImage !== "none") {
+            return null;
+          }
+          const color = parseColor(style.backgroundColor);
+          if (color && color.a > 0) {
+            layers.push(color);
+            if (color.a === 1) {
+              break;
+            }
+          }
+        }
+        return layers.reverse().reduce((below, layer) => blend(layer, below), {
+          r: 255,
+          g: 255,
+          b: 255,
+          a: 1,
+        });
+      };
+
+      document.body.querySelectorAll("*").forEach((element) => {
+        const ownText = [...element.childNodes]
+          .filter((node) => node.nodeType === Node.TEXT_NODE)
+          .map((node) => node.textContent)
+          .join(" ");
+        if (!clean(ownText) || !isVisible(element)) {
+          return;
+        }
+        const style = window.getComputedStyle(element);
+        const background = backgroundOf(element);
+        const foreground = parseColor(style.color);
+        if (!background || !foreground || Number(style.opacity) === 0) {
+          return;
+        }
+        const text = blend(foreground, background);
+        const lighter = Math.max(luminance(text), luminance(background));
+        const darker = Math.min(luminance(text), luminance(background));
+        const ratio = (lighter + 0.05) / (darker + 0.05);
+        const fontSize = parseFloat(style.fontSize);
+        const isLarge =
+          fontSize >= 24 ||
+          (fontSize >= 18.66 && Number(style.fontWeight) >= 700);
+        const required = isLarge ? minLargeTextContrast : minContrast;
+        if (ratio < required) {
+          report(
+            "color-contrast",
+            element,
+            `"${snippet(ownText)}" is ${ratio.toFixed(2)}:1 (${toHex(
+              text
+            )} on ${toHex(background)}), needs ${required}:1`
+          );
+        }
+      });
+    }
+
+    if (rules.includes("landmarks")) {
+      const topLevel = (element) =>
+        !element.parentElement.closest(
+          "article, aside, main, nav, section, [role=main], [role=region]"
+        );
+      const landmarks = {
+        main: [...document.querySelectorAll("main, [role=main]")],
+        banner: [...document.querySelectorAll("header, [role=banner]")].filter(
+          topLevel
+        ),
+        contentinfo: [
+          ...document.querySelectorAll("footer, [role=contentinfo]"),
+        ].filter(topLevel),
+      };
+      Object.entries(landmarks).forEach(([role, elements]) => {
+        if (elements.length === 0) {
+          report("landmarks", document, `No ${role} landmark`);
+        } else if (elements.length > 1) {
+          elements
+            .slice(1)
+            .forEach((element) =>
+              report(
+                "landmarks",
+                element,
+                `More than one ${role} landmark (${elements.length})`
+              )
+            );
+        }
+      });
+    }
+
+    if (rules.includes("focusable-name")) {
+      document
+        .querySelectorAll(
+          "a[href], button, [role=button], [role=link], [tabindex]:not([tabindex='-1']), input[type=submit], input[type=button]"
+        )
+        .forEach((element) => {
+          if (
+            !isVisible(element) ||
+            element.matches("input:not([type=submit]):not([type=button])") ||
+            element.matches("select, textarea") ||
+            accessibleName(element) ||
+            clean(element.value)
+          ) {
+            return;
+          }
+          const href = element.getAttribute("href");
+          report(
+            "focusable-name",
+            element,
+            `No name: ${describeElement(element)}${
+              href ? ` → ${pathOf(href)}` : ""
+            }`
+          );
+        });
+    }
+
+    return findings;
+  }, settings);
+}
+
+// Count findings per rule, every enabled rule included
+function countByRule(findings, settings = getAccessibilitySettings()) {
+  const counts = {};
+  settings.rules.forEach((rule) => {
+    counts[rule] = 0;
+  });
+  findings.forEach(({ rule }) => {
+    counts[rule] = (counts[rule] || 0) + 1;
+  });
+  return counts;
+}
+
+// Findings on one side only, matched by rule and detail: on staging only they
+// are introduced by the release, on prod only they are fixed by it
+function diffAccessibility(stagingFindings, prodFindings) {
+  // Findings in `a` without a counterpart in `b`, repeated details included
+  const unmatched = (a, b) => {
+    const remaining = new Map();
+    b.forEach(({ rule, detail }) => {
+      const key = `${rule}\n${detail}`;
+      remaining.set(key, (remaining.get(key) || 0) + 1);
+    });
+    return a.filter(({ rule, detail }) => {
+      const key = `${rule}\n${detail}`;
+      if (remaining.get(key) > 0) {
+        remaining.set(key, remaining.get(key) - 1);
+        return false;
+      }
+      return true;
+    });
+  };
+  return {
+    introduced: unmatched(stagingFindings, prodFindings),
+    fixed: unmatched(prodFindings, stagingFindings),
+  };
+}
+
+// The accessibility section of a page result: both environments' findings,
+// their counts by rule and the delta
+function buildAccessibilityResult(
+  stagingFindings,
+  prodFindings,
+  settings = getAccessibilitySettings()
+) {
+  return {
+    staging: {
+      counts: countByRule(stagingFindings, settings),
+      findings: stagingFindings,
+    },
+    prod: {
+      counts: countByRule(prodFindings, settings),
+      findings: prodFindings,
+    },
+    ...diffAccessibility(stagingFindings, prodFindings),
+  };
+}
+
+// One line per issue a release introduces
+function describeIntroducedIssues(accessibility) {
+  if (!accessibility) {
+    return [];
+  }
+  return accessibility.introduced.map(
+    ({ rule, target, detail }) =>
+      `Accessibility (${rule}): ${detail} at ${target}`
+  );
+}
+
+// Totals per rule across page results: issues on each environment, issues
+// introduced and fixed, and the pages with issues introduced
+function summarizeAccessibility(results) {
+  const audited = results.filter((result) => result.accessibility);
+  const rules = [
+    ...new Set(
+      audited.flatMap((result) => [
+        ...Object.keys(result.accessibility.staging.counts),
+        ...Object.keys(result.accessibility.prod.counts),
+      ])
+    ),
+  ].sort(
+    (a, b) => Object.keys(RULES).indexOf(a) - Object.keys(RULES).indexOf(b)
+  );
+  return rules.map((rule) => {
+    const ofRule = (list) => list.filter((finding) => finding.rule === rule);
+    return {
+      rule,
+      description: RULES[rule] || rule,
+      staging: audited.reduce(
+        (sum, result) => sum + (result.accessibility.staging.counts[rule] || 0),
+        0
+      ),
+      prod: audited.reduce(
+        (sum, result) => sum + (result.accessibility.prod.counts[rule] || 0),
+        0
+      ),
+      introduced: audited.reduce(
+        (sum, result) => sum + ofRule(result.accessibility.introduced).length,
+        0
+      ),
+      fixed: audited.reduce(
+        (sum, result) => sum + ofRule(result.accessibility.fixed).length,
+        0
+      ),
+      pages: audited
+        .filter((result) => ofRule(result.accessibility.introduced).length > 0)
+        .map((result) => result.pagePath),
+    };
+  });
+}
+
+module.exports = {
+  RULES,
+  getAccessibilitySettings,
+  auditPage,
+  countByRule,
+  diffAccessibility,
+  buildAccessibilityResult,
+  describeIntroducedIssues,
+  summarizeAccessibility,
+};
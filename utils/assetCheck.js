@@ -0,0 +1,190 @@
+const config = require("../config.js");
+const { ENVIRONMENTS } = require("./environments.js");
+const {
+  BROKEN_STATUS,
+  mapWithConcurrency,
+  requestWithFallback,
+  formatTable,
+} = require("./siteChecks.js");
+
+const DEFAULT_SETTINGS = {
+  environment: "staging",
+  concurrency: 8,
+  requestTimeout: 15000,
+  exclude: [],
+};
+
+// Merge the configured asset check settings with the defaults
+function getAssetCheckSettings() {
+  return { ...DEFAULT_SETTINGS, ...(config.assetCheck || {}) };
+}
+
+// The environment to check: VISUAL_ASSET_ENV, else config.assetCheck
+function getAssetCheckEnvironment(settings = getAssetCheckSettings()) {
+  const environment = (process.env.VISUAL_ASSET_ENV || settings.environment)
+    .trim()
+    .toLowerCase();
+  if (!ENVIRONMENTS.includes(environment)) {
+    throw new Error(
+      `Asset check environment "${environment}" must be one of: ${ENVIRONMENTS.join(
+        ", "
+      )}`
+    );
+  }
+  return environment;
+}
+
+// List the assets a stabilized page references: <img> src and srcset,
+// <picture> sources, lazy-load data attributes, video posters and CSS
+// background images. Images that finished loading without any pixels are
+// listed under `notRendered`.
+async function collectPageAssets(page) {
+  return page.evaluate(() => {
+    const assets = [];
+    const add = (value, kind) => {
+      const trimmed = (value || "").trim();
+      if (!trimmed || /^(data|blob|about|javascript):/i.test(trimmed)) {
+        return;
+      }
+      try {
+        assets.push({ url: new URL(trimmed, document.baseURI).href, kind });
+      } catch (error) {
+        assets.push({ url: trimmed, kind });
+      }
+    };
+    const addSrcset = (srcset, kind) =>
+      (srcset || "")
+        .split(",")
+        .map((candidate) => candidate.trim().split(/\s+/)[0])
+        .forEach((url) => add(url, kind));
+
+    for (const image of document.querySelectorAll("img")) {
+      add(image.getAttribute("src"), "img src");
+      addSrcset(image.getAttribute("srcset"), "img srcset");
+      add(image.getAttribute("data-src"), "data-src");
+      add(image.getAttribute("data-lazy-src"), "data-src");
+      addSrcset(image.getAttribute("data-srcset"), "data-srcset");
+      addSrcset(image.getAttribute("data-lazy-srcset"), "data-srcset");
+    }
+    for (const source of document.querySelectorAll("picture source")) {
+      addSrcset(source.getAttribute("srcset"), "picture srcset");
+      addSrcset(source.getAttribute("data-srcset"), "data-srcset");
+    }
+    for (const element of document.querySelectorAll("[data-src]:not(img)")) {
+      add(element.getAttribute("data-src"), "data-src");
+    }
+    for (const video of document.querySelectorAll("video[poster]")) {
+      add(video.getAttribute("poster"), "video poster");
+    }
+    for (const element of document.querySelectorAll("*")) {
+      for (const pseudo of [null, "::before", "::after"]) {
+        const background = window.getComputedStyle(
+          element,
+          pseudo
+        ).backgroundImage;
+        if (background && background !== "none") {
+          for (const match of background.matchAll(
+            /url\(\s*(['"]?)(.*?)\1\s*\)/g
+          )) {
+            add(match[2], "css background");
+          }
+        }
+      }
+    }
+
+    const notRendered = [...document.images]
+      .filter(
+        (image) =>
+          image.complete &&
+          image.naturalWidth === 0 &&
+          (image.currentSrc || image.src) &&
+          !/^data:/i.test(image.currentSrc || image.src)
+      )
+      .map((image) => image.currentSrc || image.src);
+
+    return { assets, notRendered: [...new Set(notRendered)] };
+  });
+}
+
+// Check one asset, following redirects to the final status
+async function checkAsset(url, settings) {
+  const response = await requestWithFallback(url, {
+    timeout: settings.requestTimeout,
+  });
+  return {
+    url,
+    ok: !response.error && response.status < BROKEN_STATUS,
+    ...response,
+  };
+}
+
+// Check the assets collected from every page, requesting each distinct URL
+// once, and return per page the assets that failed to load or render
+async function checkPageAssets(pages, settings = getAssetCheckSettings()) {
+  const excluded = (url) =>
+    settings.exclude.some((pattern) => new RegExp(pattern).test(url));
+  const urls = [
+    ...new Set(pages.flatMap((page) => page.assets.map((asset) => asset.url))),
+  ].filter((url) => !excluded(url));
+  const checks = await mapWithConcurrency(urls, settings.concurrency, (url) =>
+    checkAsset(url, settings)
+  );
+  const checksByUrl = new Map(checks.map((check) => [check.url, check]));
+
+  return pages.map((page) => {
+    const kindsByUrl = new Map();
+    page.assets.forEach(({ url, kind }) => {
+      kindsByUrl.set(url, [...new Set([...(kindsByUrl.get(url) || []), kind])]);
+    });
+    const broken = [...kindsByUrl.entries()]
+      .filter(([url]) => checksByUrl.has(url) && !checksByUrl.get(url).ok)
+      .map(([url, kinds]) => {
+        const check = checksByUrl.get(url);
+        return {
+          url,
+          kinds,
+          problem: check.error || `HTTP ${check.status}`,
+        };
+      });
+    // Images whose URL answered fine but still rendered nothing
+    const notRendered = page.notRendered
+      .filter((url) => !excluded(url))
+      .filter((url) => !broken.some((asset) => asset.url === url))
+      .map((url) => ({
+        url,
+        kinds: ["img"],
+        problem: "loaded with no pixels (naturalWidth 0)",
+      }));
+
+    return {
+      pagePath: page.pagePath,
+      url: page.url,
+      assetCount: kindsByUrl.size,
+      error: page.error,
+      broken: [...broken, ...notRendered],
+    };
+  });
+}
+
+// Plain-text table of the broken assets on each page, for test failures
+function formatBrokenAssetTable(pageResults) {
+  const rows = pageResults.flatMap((page) =>
+    page.error
+      ? [[page.pagePath, "(page)", "", page.error]]
+      : page.broken.map((asset) => [
+          page.pagePath,
+          asset.url,
+          asset.kinds.join(", "),
+          asset.problem,
+        ])
+  );
+  return formatTable(["Page", "Asset", "Found in", "Problem"], rows);
+}
+
+module.exports = {
+  getAssetCheckSettings,
+  getAssetCheckEnvironment,
+  collectPageAssets,
+  checkPageAssets,
+  formatBrokenAssetTable,
+};
@@ -0,0 +1,282 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const config = require("../config.js");
+const { pathToFileName, getScreenshotDir } = require("./results.js");
+const { ENVIRONMENTS } = require("./environments.js");
+const { isStatePagePath } = require("./interactiveStates.js");
+
+const MANIFEST_VERSION = 1;
+
+// Baseline locations from config.js
+function getBaselineSettings() {
+  return {
+    dir: "baselines",
+    manifest: "baselines/manifest.json",
+    ...(config.baselines || {}),
+  };
+}
+
+// The environment VISUAL_BASELINE selects for baseline comparison, or null to
+// compare staging against prod
+function getBaselineEnvironment() {
+  const environment = (process.env.VISUAL_BASELINE || "").trim().toLowerCase();
+  if (!environment) {
+    return null;
+  }
+  if (!ENVIRONMENTS.includes(environment)) {
+    throw new Error(
+      `VISUAL_BASELINE="${
+        process.env.VISUAL_BASELINE
+      }" must be one of: ${ENVIRONMENTS.join(", ")}`
+    );
+  }
+  return environment;
+}
+
+// Latest capture of a page on an environment, as written by the visual tests
+// on a Playwright project
+function getCapturePath(environment, project, deviceName, pagePath) {
+  return path.join(
+    getScreenshotDir(project, deviceName),
+    environment,
+    `${pathToFileName(pagePath)}.png`
+  );
+}
+
+// Where the approved screenshot of a page is stored. Each browser has its own
+// baselines since rendering differs between them.
+function getBaselinePath(environment, project, deviceName, pagePath) {
+  return path.join(
+    getBaselineSettings().dir,
+    environment,
+    project,
+    deviceName,
+    `${pathToFileName(pagePath)}.png`
+  );
+}
+
+// SHA-256 of a file, to tie manifest entries to the exact image approved
+function hashFile(filePath) {
+  return crypto
+    .createHash("sha256")
+    .update(fs.readFileSync(filePath))
+    .digest("hex");
+}
+
+// Load the baseline manifest, or an empty one if nothing is approved yet
+function readManifest() {
+  const manifestPath = getBaselineSettings().manifest;
+  if (!fs.existsSync(manifestPath)) {
+    return { version: MANIFEST_VERSION, baselines: {}, rejections: [] };
+  }
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(
+      `Unsupported baseline manifest version ${manifest.version} in ${manifestPath}`
+    );
+  }
+  return { baselines: {}, rejections: [], ...manifest };
+}
+
+// Sort object keys so the committed manifest diffs cleanly
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (typeof value === "object" && value !== null) {
+    return Object.keys(value)
+      .sort()
+      .reduce(
+        (sorted, key) => ({ ...sorted, [key]: sortKeys(value[key]) }),
+        {}
+      );
+  }
+  return value;
+}
+
+// Save the baseline manifest
+function writeManifest(manifest) {
+  const manifestPath = getBaselineSettings().manifest;
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  fs.writeFileSync(
+    manifestPath,
+    `${JSON.stringify(
+      {
+        version: manifest.version,
+        baselines: sortKeys(manifest.baselines),
+        rejections: manifest.rejections,
+      },
+      null,
+      2
+    )}\n`
+  );
+}
+
+// The approved baselines of one environment, project and device, by page
+function getDeviceBaselines(manifest, environment, project, deviceName) {
+  return (
+    ((manifest.baselines[environment] || {})[project] || {})[deviceName] || {}
+  );
+}
+
+// The approved baseline for a page, or null when none is approved or its
+// image is missing
+function getApprovedBaseline(
+  manifest,
+  environment,
+  project,
+  deviceName,
+  pagePath
+) {
+  const entry = getDeviceBaselines(manifest, environment, project, deviceName)[
+    pagePath
+  ];
+  if (!entry || !fs.existsSync(entry.file)) {
+    return null;
+  }
+  return entry;
+}
+
+// Copy a page's latest capture into the baseline store and record it as
+// approved. Returns the new manifest entry.
+function approveBaseline(
+  manifest,
+  { environment, project, deviceName, pagePath, approvedBy = null, note = null }
+) {
+  const sourcePath = getCapturePath(environment, project, deviceName, pagePath);
+  if (!fs.existsSync(sourcePath)) {
+    throw new Error(
+      `No ${environment} capture for ${deviceName} on ${project} ${pagePath} (${sourcePath}); run the visual tests first`
+    );
+  }
+
+  const file = getBaselinePath(
+    environment,
+    project,
+    deviceName,
+    pagePath
+  ).replace(/\\/g, "/");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.copyFileSync(sourcePath, file);
+
+  const entry = {
+    file,
+    sha256: hashFile(file),
+    approvedAt: new Date().toISOString(),
+    approvedBy,
+    note,
+  };
+  manifest.baselines[environment] = {
+    ...manifest.baselines[environment],
+    [project]: {
+      ...(manifest.baselines[environment] || {})[project],
+      [deviceName]: {
+        ...getDeviceBaselines(manifest, environment, project, deviceName),
+        [pagePath]: entry,
+      },
+    },
+  };
+  return entry;
+}
+
+// Record that a page's latest capture was reviewed and not accepted. The
+// approved baseline (if any) stays in place, so the page keeps failing.
+function rejectBaseline(
+  manifest,
+  { environment, project, deviceName, pagePath, rejectedBy = null, note = null }
+) {
+  const sourcePath = getCapturePath(environment, project, deviceName, pagePath);
+  const rejection = {
+    environment,
+    project,
+    deviceName,
+    pagePath,
+    sha256: fs.existsSync(sourcePath) ? hashFile(sourcePath) : null,
+    rejectedAt: new Date().toISOString(),
+    rejectedBy,
+    note,
+  };
+  manifest.rejections.push(rejection);
+  return rejection;
+}
+
+// Apply decisions exported from the HTML report
+// ({ decisions: [{ project, deviceName, pagePath, environments, decision,
+// note }] }). Interactive states have no baselines and are skipped. Every
+// decision is checked before any capture is copied, so a bad batch leaves the
+// baseline store untouched.
+function applyDecisions(manifest, { decisions }, reviewer = null) {
+  const applied = { approved: 0, rejected: 0, skipped: 0 };
+  const targets = [];
+  for (const {
+    project,
+    deviceName,
+    pagePath,
+    environments,
+    decision,
+    note,
+  } of decisions || []) {
+    if (isStatePagePath(pagePath)) {
+      applied.skipped++;
+      continue;
+    }
+    if (!project) {
+      throw new Error(
+        `No project for ${deviceName} ${pagePath}; export the decisions again from a current report`
+      );
+    }
+    if (decision !== "approve" && decision !== "reject") {
+      throw new Error(
+        `Unknown decision "${decision}" for ${deviceName} ${pagePath}`
+      );
+    }
+    for (const environment of environments) {
+      if (!ENVIRONMENTS.includes(environment)) {
+        throw new Error(
+          `Unknown environment "${environment}" for ${deviceName} ${pagePath}`
+        );
+      }
+      const sourcePath = getCapturePath(
+        environment,
+        project,
+        deviceName,
+        pagePath
+      );
+      if (decision === "approve" && !fs.existsSync(sourcePath)) {
+        throw new Error(
+          `No ${environment} capture for ${deviceName} on ${project} ${pagePath} (${sourcePath}); run the visual tests first`
+        );
+      }
+      targets.push({
+        decision,
+        target: { environment, project, deviceName, pagePath, note },
+      });
+    }
+  }
+
+  for (const { decision, target } of targets) {
+    if (decision === "approve") {
+      approveBaseline(manifest, { ...target, approvedBy: reviewer });
+      applied.approved++;
+    } else {
+      rejectBaseline(manifest, { ...target, rejectedBy: reviewer });
+      applied.rejected++;
+    }
+  }
+  return applied;
+}
+
+module.exports = {
+  getBaselineEnvironment,
+  getCapturePath,
+  getBaselinePath,
+  hashFile,
+  readManifest,
+  writeManifest,
+  getDeviceBaselines,
+  getApprovedBaseline,
+  approveBaseline,
+  rejectBaseline,
+  applyDecisions,
+};
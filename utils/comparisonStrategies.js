@@ -0,0 +1,242 @@
+// Comparison strategies score two screenshots that compareScreenshots has
+// already padded to a common size, with ignored pixels made identical. Each
+// takes (img1, img2, context) and returns { score } (0-100, higher is more
+// similar) plus any details worth reporting. The pixelmatch pass itself runs
+// in compareScreenshots, since it also draws the diff image.
+
+// Scores from the pixelmatch pass: mismatched pixels over compared pixels.
+// Anti-aliased pixels are detected and left out unless `includeAA` is set.
+function pixelmatchStrategy(img1, img2, { pixelmatch }) {
+  return {
+    score: pixelmatch.similarityPercentage,
+    antiAliasedPixels: pixelmatch.antiAliasedPixels,
+  };
+}
+
+// Luma of the pixel at byte offset `i`
+function luma(data, i) {
+  return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+}
+
+// Mean structural similarity (SSIM) of the luma channel over square windows
+// of `ssimWindow` pixels, across the rows both pages share. Fully ignored
+// windows are skipped. Less sensitive than pixel counts to small rendering
+// noise, more sensitive to lost contrast and detail.
+function ssimStrategy(
+  img1,
+  img2,
+  { width, comparedHeight, ignoreMask, options }
+) {
+  const size = options.ssimWindow;
+  const c1 = (0.01 * 255) ** 2;
+  const c2 = (0.03 * 255) ** 2;
+  let total = 0;
+  let windows = 0;
+  let lowWindows = 0;
+
+  for (let top = 0; top < comparedHeight; top += size) {
+    const bottom = Math.min(top + size, comparedHeight);
+    for (let left = 0; left < width; left += size) {
+      const right = Math.min(left + size, width);
+      let count = 0;
+      let sumX = 0;
+      let sumY = 0;
+      let sumXX = 0;
+      let sumYY = 0;
+      let sumXY = 0;
+      let ignored = 0;
+
+      for (let y = top; y < bottom; y++) {
+        for (let x = left; x < right; x++) {
+          const pixel = y * width + x;
+          ignored += ignoreMask[pixel];
+          const a = luma(img1.data, pixel * 4);
+          const b = luma(img2.data, pixel * 4);
+          count++;
+          sumX += a;
+          sumY += b;
+          sumXX += a * a;
+          sumYY += b * b;
+          sumXY += a * b;
+        }
+      }
+      if (ignored === count) {
+        continue;
+      }
+
+      const meanX = sumX / count;
+      const meanY = sumY / count;
+      const varianceX = sumXX / count - meanX * meanX;
+      const varianceY = sumYY / count - meanY * meanY;
+      const covariance = sumXY / count - meanX * meanY;
+      const ssim =
+        ((2 * meanX * meanY + c1) * (2 * covariance + c2)) /
+        ((meanX * meanX + meanY * meanY + c1) * (varianceX + varianceY + c2));
+
+      total += ssim;
+      windows++;
+      if (ssim < 0.9) {
+        lowWindows++;
+      }
+    }
+  }
+
+  return {
+    score: windows > 0 ? Math.max(0, (total / windows) * 100) : 100,
+    windows,
+    lowWindows,
+  };
+}
+
+// FNV-1a hash of each of the first `height` rows
+function hashRows(image, height) {
+  const rowBytes = image.width * 4;
+  const hashes = new Uint32Array(height);
+  for (let y = 0; y < height; y++) {
+    let hash = 0x811c9dc5;
+    for (let i = y * rowBytes; i < (y + 1) * rowBytes; i++) {
+      hash ^= image.data[i];
+      hash = Math.imul(hash, 0x01000193);
+    }
+    hashes[y] = hash >>> 0;
+  }
+  return hashes;
+}
+
+// Count pixels in a row pair whose channels differ by more than `tolerance`
+function countRowDifferences(img1, row1, img2, row2, width, tolerance) {
+  let count = 0;
+  for (let x = 0; x < width; x++) {
+    const a = (row1 * width + x) * 4;
+    const b = (row2 * width + x) * 4;
+    for (let channel = 0; channel < 4; channel++) {
+      if (
+        Math.abs(img1.data[a + channel] - img2.data[b + channel]) > tolerance
+      ) {
+        count++;
+        break;
+      }
+    }
+  }
+  return count;
+}
+
+// Match each current row to an identical baseline row, following content
+// that moved up or down by up to `maxShift` rows, so a block inserted or
+// removed above unchanged content only costs the rows that really changed.
+// A match needs `minRun` consecutive identical rows, so blank rows do not
+// latch onto unrelated blank space. Unmatched rows are compared pixel by pixel
+// with the baseline row at the current offset; baseline rows left over once
+// every current row is placed count as removed content.
+function shiftTolerantStrategy(
+  img1,
+  img2,
+  { width, baselineHeight, currentHeight, options }
+) {
+  const { maxShift, minRun } = options;
+  const tolerance = Math.round(options.threshold * 255);
+  const baselineRows = hashRows(img1, baselineHeight);
+  const currentRows = hashRows(img2, currentHeight);
+  const usedBaselineRows = new Uint8Array(baselineHeight);
+
+  // Whether current rows from `row` line up with baseline rows from `candidate`
+  const runMatches = (candidate, row) => {
+    const length = Math.min(
+      minRun,
+      currentHeight - row,
+      baselineHeight - candidate
+    );
+    for (let i = 0; i < length; i++) {
+      if (baselineRows[candidate + i] !== currentRows[row + i]) {
+        return false;
+      }
+    }
+    return length > 0;
+  };
+
+  let offset = 0;
+  let maxOffset = 0;
+  let shiftedRows = 0;
+  let unmatchedRows = 0;
+  let mismatchedPixels = 0;
+
+  for (let row = 0; row < currentHeight; row++) {
+    const expected = row + offset;
+    let match = -1;
+    if (
+      expected >= 0 &&
+      expected < baselineHeight &&
+      baselineRows[expected] === currentRows[row]
+    ) {
+      match = expected;
+    } else {
+      for (let shift = 1; shift <= maxShift && match === -1; shift++) {
+        for (const candidate of [expected + shift, expected - shift]) {
+          if (
+            candidate >= 0 &&
+            candidate < baselineHeight &&
+            runMatches(candidate, row)
+          ) {
+            match = candidate;
+            break;
+          }
+        }
+      }
+    }
+
+    if (match !== -1) {
+      offset = match - row;
+      usedBaselineRows[match] = 1;
+      if (offset !== 0) {
+        shiftedRows++;
+        maxOffset = Math.max(maxOffset, Math.abs(offset));
+      }
+      continue;
+    }
+
+    unmatchedRows++;
+    mismatchedPixels +=
+      expected >= 0 && expected < baselineHeight
+        ? countRowDifferences(img1, expected, img2, row, width, tolerance)
+        : width;
+  }
+
+  const leftoverBaselineRows = usedBaselineRows.reduce(
+    (count, used) => count + (used ? 0 : 1),
+    0
+  );
+  const removedRows = Math.max(0, leftoverBaselineRows - unmatchedRows);
+  mismatchedPixels += removedRows * width;
+  const totalPixels = (currentHeight + removedRows) * width;
+
+  return {
+    score:
+      totalPixels > 0
+        ? ((totalPixels - mismatchedPixels) / totalPixels) * 100
+        : 100,
+    shiftedRows,
+    maxOffset,
+    changedRows: unmatchedRows,
+    removedRows,
+  };
+}
+
+const STRATEGIES = {
+  pixelmatch: pixelmatchStrategy,
+  ssim: ssimStrategy,
+  "shift-tolerant": shiftTolerantStrategy,
+};
+
+// Look up a strategy by name
+function getStrategy(name) {
+  if (!STRATEGIES[name]) {
+    throw new Error(
+      `Unknown comparison strategy "${name}"; expected one of: ${Object.keys(
+        STRATEGIES
+      ).join(", ")}`
+    );
+  }
+  return STRATEGIES[name];
+}
+
+module.exports = { STRATEGIES, getStrategy };
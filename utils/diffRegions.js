@@ -0,0 +1,269 @@
+const { PNG } = require("pngjs");
+
+const DEFAULT_OPTIONS = {
+  cellSize: 16,
+  gap: 2,
+  minPixels: 20,
+  maxRegions: 20,
+};
+
+// Outline and label colors for the annotated diff image
+const BOX_COLOR = [230, 0, 0];
+const LABEL_TEXT_COLOR = [255, 255, 255];
+
+// 3x5 bitmaps for the digits 0-9, one string per row
+const DIGITS = [
+  ["111", "101", "101", "101", "111"],
+  ["010", "110", "010", "010", "111"],
+  ["111", "001", "111", "100", "111"],
+  ["111", "001", "111", "001", "111"],
+  ["101", "101", "111", "001", "001"],
+  ["111", "100", "111", "001", "111"],
+  ["111", "100", "111", "101", "111"],
+  ["111", "001", "010", "010", "010"],
+  ["111", "101", "111", "101", "111"],
+  ["111", "101", "111", "001", "111"],
+];
+
+// Group changed pixels into numbered bounding boxes. `isChanged(pixel)` says
+// whether a pixel index (row * width + column) differs. Pixels are bucketed
+// into `cellSize` squares; changed cells within `gap` cells of each other
+// join one region. Regions with fewer than `minPixels` changed pixels are
+// dropped and the largest `maxRegions` are kept, numbered from 1.
+function findDiffRegions(width, height, isChanged, options = {}) {
+  const { cellSize, gap, minPixels, maxRegions } = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+  };
+  const columns = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const counts = new Uint32Array(columns * rows);
+
+  for (let y = 0; y < height; y++) {
+    const cellRow = Math.floor(y / cellSize) * columns;
+    for (let x = 0; x < width; x++) {
+      if (isChanged(y * width + x)) {
+        counts[cellRow + Math.floor(x / cellSize)]++;
+      }
+    }
+  }
+
+  // Flood-fill changed cells, bridging gaps of up to `gap` cells
+  const visited = new Uint8Array(columns * rows);
+  const regions = [];
+  for (let start = 0; start < counts.length; start++) {
+    if (!counts[start] || visited[start]) {
+      continue;
+    }
+    const region = { left: columns, top: rows, right: 0, bottom: 0 };
+    let pixels = 0;
+    const stack = [start];
+    visited[start] = 1;
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const column = cell % columns;
+      const row = Math.floor(cell / columns);
+      pixels += counts[cell];
+      region.left = Math.min(region.left, column);
+      region.top = Math.min(region.top, row);
+      region.right = Math.max(region.right, column);
+      region.bottom = Math.max(region.bottom, row);
+
+      for (let dy = -gap; dy <= gap; dy++) {
+        for (let dx = -gap; dx <= gap; dx++) {
+          const nextColumn = column + dx;
+          const nextRow = row + dy;
+          const next = nextRow * columns + nextColumn;
+          if (
+            nextColumn >= 0 &&
+            nextColumn < columns &&
+            nextRow >= 0 &&
+            nextRow < rows &&
+            counts[next] &&
+            !visited[next]
+          ) {
+            visited[next] = 1;
+            stack.push(next);
+          }
+        }
+      }
+    }
+
+    if (pixels >= minPixels) {
+      const x = region.left * cellSize;
+      const y = region.top * cellSize;
+      regions.push({
+        x,
+        y,
+        width: Math.min(width, (region.right + 1) * cellSize) - x,
+        height: Math.min(height, (region.bottom + 1) * cellSize) - y,
+        changedPixels: pixels,
+      });
+    }
+  }
+
+  return regions
+    .sort((a, b) => b.changedPixels - a.changedPixels)
+    .slice(0, maxRegions)
+    .sort((a, b) => a.y - b.y || a.x - b.x)
+    .map((region, index) => ({ id: index + 1, ...region }));
+}
+
+// Set one pixel, ignoring coordinates outside the image
+function setPixel(image, x, y, [r, g, b]) {
+  if (x < 0 || y < 0 || x >= image.width || y >= image.height) {
+    return;
+  }
+  const i = (y * image.width + x) * 4;
+  image.data[i] = r;
+  image.data[i + 1] = g;
+  image.data[i + 2] = b;
+  image.data[i + 3] = 255;
+}
+
+// Fill a rectangle
+function fillRect(image, x, y, width, height, color) {
+  for (let row = y; row < y + height; row++) {
+    for (let column = x; column < x + width; column++) {
+      setPixel(image, column, row, color);
+    }
+  }
+}
+
+// Draw a region number in a filled tag at the top-left of its box
+function drawLabel(image, x, y, number, scale) {
+  const digits = String(number).split("").map(Number);
+  const padding = scale;
+  const width = digits.length * 4 * scale - scale + padding * 2;
+  const height = 5 * scale + padding * 2;
+  const top = y - height >= 0 ? y - height : y;
+  fillRect(image, x, top, width, height, BOX_COLOR);
+
+  digits.forEach((digit, position) => {
+    DIGITS[digit].forEach((line, row) => {
+      [...line].forEach((bit, column) => {
+        if (bit === "1") {
+          fillRect(
+            image,
+            x + padding + (position * 4 + column) * scale,
+            top + padding + row * scale,
+            scale,
+            scale,
+            LABEL_TEXT_COLOR
+          );
+        }
+      });
+    });
+  });
+}
+
+// Copy a diff image and outline and number each region on it
+function annotateDiff(diff, regions) {
+  const annotated = new PNG({ width: diff.width, height: diff.height });
+  diff.data.copy(annotated.data);
+  const thickness = Math.max(2, Math.round(diff.width / 640));
+
+  for (const region of regions) {
+    const { x, y, width, height } = region;
+    fillRect(annotated, x, y, width, thickness, BOX_COLOR);
+    fillRect(annotated, x, y + height - thickness, width, thickness, BOX_COLOR);
+    fillRect(annotated, x, y, thickness, height, BOX_COLOR);
+    fillRect(annotated, x + width - thickness, y, thickness, height, BOX_COLOR);
+    drawLabel(annotated, x, y, region.id, thickness * 2);
+  }
+  return annotated;
+}
+
+// Short human-readable name for a captured element
+function describeElement(element) {
+  const text = element.label || element.alt || element.text;
+  const quoted = text ? ` "${text.slice(0, 40)}"` : "";
+  if (/^h[1-6]$/.test(element.tag)) {
+    return `heading ${element.tag}${quoted}`;
+  }
+  if (element.tag === "a") {
+    return `link${quoted}`;
+  }
+  if (element.tag === "button") {
+    return `button${quoted}`;
+  }
+  if (element.tag === "img") {
+    return `image${quoted}`;
+  }
+  if (["input", "select", "textarea"].includes(element.tag)) {
+    return `form field ${element.tag}${quoted}`;
+  }
+  const selector = element.id
+    ? `${element.tag}#${element.id}`
+    : `${element.tag}${element.classes.map((name) => `.${name}`).join("")}`;
+  return `${selector}${quoted}`;
+}
+
+// Area of the overlap between two boxes
+function overlapArea(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return width > 0 && height > 0 ? width * height : 0;
+}
+
+// The deepest elements overlapping a region: those with no overlapping
+// descendant, largest overlap first
+function findDeepestElements(region, elements, limit) {
+  const overlapping = new Map();
+  elements.forEach((element, index) => {
+    const area = overlapArea(region, element);
+    if (area > 0) {
+      overlapping.set(index, area);
+    }
+  });
+
+  const ancestors = new Set();
+  for (const index of overlapping.keys()) {
+    for (
+      let parent = elements[index].parent;
+      parent !== -1;
+      parent = elements[parent].parent
+    ) {
+      ancestors.add(parent);
+    }
+  }
+
+  return [...overlapping.entries()]
+    .filter(([index]) => !ancestors.has(index))
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([index]) => elements[index]);
+}
+
+// Attach the deepest elements under each region from each side's capture
+// (e.g. { staging: [...], prod: [...] }), and a one-line summary per region
+function describeRegions(regions, elementsBySide, limit = 3) {
+  return regions.map((region) => {
+    const elements = {};
+    const names = [];
+    Object.entries(elementsBySide).forEach(([side, sideElements]) => {
+      elements[side] = findDeepestElements(
+        region,
+        sideElements || [],
+        limit
+      ).map(describeElement);
+      elements[side].forEach((name) => {
+        if (!names.includes(name)) {
+          names.push(name);
+        }
+      });
+    });
+    return {
+      ...region,
+      elements,
+      summary: names.slice(0, limit).join(", ") || "unknown element",
+    };
+  });
+}
+
+module.exports = {
+  findDiffRegions,
+  annotateDiff,
+  describeElement,
+  describeRegions,
+};
@@ -0,0 +1,70 @@
+// Record the boxes of the visible elements on the page in screenshot pixels
+// (CSS pixels scaled by devicePixelRatio), measured from the top of the page,
+// so diff regions can be traced back to the elements under them. `parent` is
+// the index of the nearest recorded ancestor.
+async function captureElementRects(page, maxElements = 5000) {
+  return page.evaluate((maxElements) => {
+    const scale = window.devicePixelRatio || 1;
+    const skipped = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "BR"]);
+    const textTags = new Set(["A", "BUTTON", "LABEL", "LI", "P"]);
+    ["H1", "H2", "H3", "H4", "H5", "H6"].forEach((tag) => textTags.add(tag));
+    const elements = [];
+
+    const walk = (element, parent, depth) => {
+      if (elements.length >= maxElements || skipped.has(element.tagName)) {
+        return;
+      }
+      const style = window.getComputedStyle(element);
+      if (style.display === "none") {
+        return;
+      }
+
+      const rect = element.getBoundingClientRect();
+      let index = parent;
+      if (
+        rect.width > 0 &&
+        rect.height > 0 &&
+        style.visibility !== "hidden" &&
+        Number(style.opacity) !== 0
+      ) {
+        // Containers only name their own text, not their descendants'
+        const text = (
+          textTags.has(element.tagName) || element.children.length === 0
+            ? element.innerText || element.textContent || ""
+            : [...element.childNodes]
+                .filter((node) => node.nodeType === Node.TEXT_NODE)
+                .map((node) => node.textContent)
+                .join(" ")
+        )
+          .replace(/\s+/g, " ")
+          .trim();
+        index = elements.length;
+        elements.push({
+          tag: element.tagName.toLowerCase(),
+          id: element.id || null,
+          classes: [...element.classList].slice(0, 3),
+          text: text.slice(0, 80),
+          alt: element.getAttribute("alt"),
+          label: element.getAttribute("aria-label"),
+          x: Math.floor((rect.left + window.scrollX) * scale),
+          y: Math.floor((rect.top + window.scrollY) * scale),
+          width: Math.ceil(rect.width * scale),
+          height: Math.ceil(rect.height * scale),
+          depth,
+          parent,
+        });
+      }
+      // SVG internals are drawn as one graphic
+      if (element.tagName.toLowerCase() !== "svg") {
+        for (const child of element.children) {
+          walk(child, index, depth + 1);
+        }
+      }
+    };
+
+    walk(document.body, -1, 0);
+    return elements;
+  }, maxElements);
+}
+
+module.exports = { captureElementRects };
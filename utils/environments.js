@@ -0,0 +1,4 @@
+// The environments config.js describes, each with its own `baseUrl`
+const ENVIRONMENTS = ["staging", "prod"];
+
+module.exports = { ENVIRONMENTS };
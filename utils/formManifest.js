@@ -0,0 +1,274 @@
+const FORM_KEYS = [
+  "name",
+  "formId",
+  "path",
+  "query",
+  "start",
+  "fields",
+  "submit",
+  "payload",
+  "confirmation",
+];
+const START_KEYS = ["path", "click"];
+const FIELD_KEYS = [
+  "id",
+  "selector",
+  "label",
+  "type",
+  "value",
+  "index",
+  "format",
+  "program",
+];
+const FIELD_TYPES = [
+  "text",
+  "email",
+  "tel",
+  "textarea",
+  "select",
+  "checkbox",
+  "radio",
+];
+const CHOICE_TYPES = ["checkbox", "radio"];
+const FORMATS = ["email", "phone"];
+// Formats implied by field types when `format` is not set. Phone fields are
+// only validated with the standard mask, so "phone" must be set explicitly.
+const TYPE_FORMATS = { email: "email" };
+const CONFIRMATION_KEYS = ["urlPattern", "selector", "text"];
+
+// Thrown when forms.js fails validation; `problems` lists every issue found
+class FormManifestError extends Error {
+  constructor(problems) {
+    super(
+      `Invalid form manifest (forms.js):\n${problems
+        .map((problem) => `  - ${problem}`)
+        .join("\n")}`
+    );
+    this.name = "FormManifestError";
+    this.problems = problems;
+  }
+}
+
+const isPlainObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+const isNonEmptyString = (value) =>
+  typeof value === "string" && value.trim() !== "";
+const isPagePath = (value) =>
+  typeof value === "string" && value.startsWith("/") && value.endsWith("/");
+
+// Describe problems with an object's keys against the allowed list
+function checkKeys(value, allowed, label) {
+  return Object.keys(value)
+    .filter((key) => !allowed.includes(key))
+    .map((key) => `${label}unknown key "${key}"`);
+}
+
+// Validate one field entry and return its problems
+function checkField(field) {
+  if (!isPlainObject(field)) {
+    return ["must be an object"];
+  }
+  const problems = checkKeys(field, FIELD_KEYS, "");
+  if (field.id === undefined && field.selector === undefined) {
+    problems.push('needs an "id" or a "selector"');
+  }
+  if (field.id !== undefined && !(Number.isInteger(field.id) && field.id > 0)) {
+    problems.push('"id" must be a positive integer');
+  }
+  if (field.selector !== undefined && !isNonEmptyString(field.selector)) {
+    problems.push('"selector" must be a CSS selector');
+  }
+  const type = field.type || "text";
+  if (!FIELD_TYPES.includes(type)) {
+    problems.push(`"type" must be one of: ${FIELD_TYPES.join(", ")}`);
+  }
+  if (
+    field.index !== undefined &&
+    !(Number.isInteger(field.index) && field.index >= 0)
+  ) {
+    problems.push('"index" must be a non-negative integer');
+  }
+  if (
+    type === "select" &&
+    (field.value === undefined) === (field.index === undefined)
+  ) {
+    problems.push('a select needs exactly one of "value" or "index"');
+  }
+  if (field.format !== undefined && !FORMATS.includes(field.format)) {
+    problems.push(`"format" must be one of: ${FORMATS.join(", ")}`);
+  }
+  if (
+    field.program !== undefined &&
+    !(field.program === false || (field.program === true && type === "select"))
+  ) {
+    problems.push('"program" can only be set to true on a select');
+  }
+  if (CHOICE_TYPES.includes(type)) {
+    if (field.selector === undefined && field.index === undefined) {
+      problems.push(`a ${type} needs a "selector" or a choice "index"`);
+    }
+  } else if (type !== "select" && typeof field.value !== "string") {
+    problems.push('"value" must be a string');
+  }
+  return problems;
+}
+
+// Validate one form entry and return its problems
+function checkForm(form) {
+  if (!isPlainObject(form)) {
+    return ["must be an object"];
+  }
+
+  const problems = checkKeys(form, FORM_KEYS, "");
+  if (!isNonEmptyString(form.name)) {
+    problems.push('"name" must be a non-empty string');
+  }
+  if (!(Number.isInteger(form.formId) && form.formId > 0)) {
+    problems.push('"formId" must be a positive integer');
+  }
+  if (!isPagePath(form.path)) {
+    problems.push('"path" must be a page path starting and ending with "/"');
+  }
+  if (
+    form.query !== undefined &&
+    !(isNonEmptyString(form.query) && !form.query.startsWith("?"))
+  ) {
+    problems.push('"query" must be a query string without the leading "?"');
+  }
+  if (form.start !== undefined) {
+    if (!isPlainObject(form.start)) {
+      problems.push('"start" must be an object');
+    } else {
+      problems.push(...checkKeys(form.start, START_KEYS, "start: "));
+      if (!isPagePath(form.start.path)) {
+        problems.push('"start.path" must be a page path');
+      }
+      if (!isNonEmptyString(form.start.click)) {
+        problems.push('"start.click" must be a CSS selector');
+      }
+    }
+  }
+  if (!Array.isArray(form.fields) || form.fields.length === 0) {
+    problems.push('"fields" must be a non-empty array');
+  } else {
+    form.fields.forEach((field, index) =>
+      checkField(field).forEach((problem) =>
+        problems.push(`fields[${index}]: ${problem}`)
+      )
+    );
+  }
+  if (form.submit !== undefined && !isNonEmptyString(form.submit)) {
+    problems.push('"submit" must be a CSS selector');
+  }
+  if (
+    form.payload !== undefined &&
+    !(
+      isPlainObject(form.payload) &&
+      Object.values(form.payload).every((value) => typeof value === "string")
+    )
+  ) {
+    problems.push('"payload" must map field names to expected string values');
+  }
+  if (!isPlainObject(form.confirmation)) {
+    problems.push('"confirmation" must be an object');
+  } else {
+    problems.push(
+      ...checkKeys(form.confirmation, CONFIRMATION_KEYS, "confirmation: ")
+    );
+    const { urlPattern, selector, text } = form.confirmation;
+    if (urlPattern === undefined && selector === undefined) {
+      problems.push('"confirmation" needs a "urlPattern" or a "selector"');
+    }
+    if (urlPattern !== undefined) {
+      try {
+        new RegExp(urlPattern);
+      } catch (error) {
+        problems.push(`"confirmation.urlPattern" is invalid: ${error.message}`);
+      }
+    }
+    if (text !== undefined && selector === undefined) {
+      problems.push('"confirmation.text" needs a "confirmation.selector"');
+    }
+  }
+  return problems;
+}
+
+// Fill in defaults: every field gets a selector, type and label
+function normalizeForm(form) {
+  return {
+    name: form.name,
+    formId: form.formId,
+    path: form.path,
+    query: form.query || "",
+    start: form.start || null,
+    fields: form.fields.map((field) => {
+      const type = field.type || "text";
+      const choice =
+        CHOICE_TYPES.includes(type) && field.index !== undefined
+          ? `#choice_${form.formId}_${field.id}_${field.index}`
+          : null;
+      return {
+        id: field.id !== undefined ? field.id : null,
+        selector:
+          field.selector || choice || `#input_${form.formId}_${field.id}`,
+        label: field.label || `Field ${field.id}`,
+        type,
+        value: field.value,
+        index: field.index,
+        format: field.format || TYPE_FORMATS[type] || null,
+        program: Boolean(field.program),
+      };
+    }),
+    submit: form.submit || `#gform_submit_button_${form.formId}`,
+    payload: form.payload || {},
+    confirmation: {
+      urlPattern: form.confirmation.urlPattern
+        ? new RegExp(form.confirmation.urlPattern)
+        : null,
+      selector: form.confirmation.selector || null,
+      text: form.confirmation.text || null,
+    },
+  };
+}
+
+// Validate a list of form entries and return them normalized
+function validateForms(entries) {
+  if (!Array.isArray(entries)) {
+    throw new FormManifestError(["forms.js must export an array"]);
+  }
+
+  const problems = [];
+  const seen = new Map();
+  entries.forEach((form, index) => {
+    const label =
+      isPlainObject(form) && typeof form.name === "string"
+        ? `forms[${index}] (${form.name})`
+        : `forms[${index}]`;
+    checkForm(form).forEach((problem) => problems.push(`${label}: ${problem}`));
+
+    if (isPlainObject(form) && typeof form.name === "string") {
+      if (seen.has(form.name)) {
+        problems.push(`${label}: duplicate of forms[${seen.get(form.name)}]`);
+      } else {
+        seen.set(form.name, index);
+      }
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new FormManifestError(problems);
+  }
+  return entries.map(normalizeForm);
+}
+
+let cachedForms;
+
+// Load and validate forms.js once per process
+function getForms() {
+  if (!cachedForms) {
+    cachedForms = validateForms(require("../forms.js"));
+  }
+  return cachedForms;
+}
+
+module.exports = { FORMATS, FormManifestError, validateForms, getForms };
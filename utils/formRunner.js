@@ -0,0 +1,325 @@
+const config = require("../config.js");
+
+// Playwright steps for the forms described in forms.js (normalized by
+// utils/formManifest.js): open the form, fill its fields, submit it and read
+// the confirmation, or in dry-run mode intercept and check the submission.
+
+// Message in the stub page returned for intercepted submissions
+const DRY_RUN_CONFIRMATION = "Dry run: submission intercepted";
+
+// Malformed values entered for each field format in the validation tests.
+// Only formats Gravity Forms checks on the server are listed; anything else
+// would be accepted and create a lead.
+const INVALID_VALUES = {
+  email: "not-an-email",
+  phone: "555",
+};
+
+// Whether forms are really submitted: VISUAL_LIVE_FORMS=1, else
+// config.forms.liveSubmissions
+function isLiveSubmission() {
+  if (process.env.VISUAL_LIVE_FORMS !== undefined) {
+    return process.env.VISUAL_LIVE_FORMS === "1";
+  }
+  return Boolean(config.forms && config.forms.liveSubmissions);
+}
+
+// The form's fields with "{timestamp}" in their values replaced, so each run
+// submits unique names and emails
+function resolveFieldValues(form, timestamp = Date.now()) {
+  return form.fields.map((field) => ({
+    ...field,
+    value:
+      typeof field.value === "string"
+        ? field.value.replace(/\{timestamp\}/g, String(timestamp))
+        : field.value,
+  }));
+}
+
+// Open the form page on an environment, either directly or by clicking
+// through from `start.path`. The form's query string goes on the first page.
+async function openForm(page, form, baseUrl) {
+  const query = form.query ? `?${form.query}` : "";
+  if (!form.start) {
+    await page.goto(`${baseUrl}${form.path}${query}`, {
+      waitUntil: "domcontentloaded",
+    });
+    return;
+  }
+  await page.goto(`${baseUrl}${form.start.path}${query}`, {
+    waitUntil: "domcontentloaded",
+  });
+  await page.click(form.start.click);
+  await page.waitForURL((url) => url.pathname === form.path, {
+    timeout: 10000,
+  });
+}
+
+// Enter one field's value
+async function fillField(page, field) {
+  switch (field.type) {
+    case "select":
+      await page.selectOption(
+        field.selector,
+        field.index !== undefined
+          ? { index: field.index }
+          : { value: field.value }
+      );
+      break;
+    case "checkbox":
+    case "radio":
+      await page.check(field.selector);
+      break;
+    default:
+      await page.fill(field.selector, field.value);
+  }
+}
+
+// The name and value a filled field will submit
+async function readFieldEntry(page, field) {
+  return page.$eval(field.selector, (input) => ({
+    name: input.name,
+    value: input.value,
+  }));
+}
+
+// How a filled field is shown in logs
+function describeFieldValue(field) {
+  if (field.type === "select" && field.index !== undefined) {
+    return `option ${field.index}`;
+  }
+  if (field.type === "checkbox" || field.type === "radio") {
+    return "checked";
+  }
+  return field.value;
+}
+
+// Submit the form and wait for its confirmation URL and message. Returns the
+// landing URL and the confirmation text, if the form defines a selector.
+async function submitForm(page, form) {
+  const { urlPattern, selector } = form.confirmation;
+  await Promise.all([
+    urlPattern ? page.waitForURL(urlPattern, { timeout: 30000 }) : null,
+    page.click(form.submit),
+  ]);
+
+  let text = null;
+  if (selector) {
+    await page.waitForSelector(selector, { timeout: 20000 });
+    text = (await page.textContent(selector)).trim();
+  }
+  return { url: page.url(), text };
+}
+
+// Field names and values a submission must carry: the filled fields, the
+// form's hidden input_* fields (UTM and program codes the page fills in) as
+// they stand before submitting, and the form's expected `payload`
+async function getExpectedPayload(page, form, filledEntries) {
+  const hidden = await page.$$eval(
+    `#gform_${form.formId} input[type=hidden][name^="input_"]`,
+    (inputs) =>
+      inputs.map((input) => ({ name: input.name, value: input.value }))
+  );
+  const expected = {};
+  [...hidden, ...filledEntries].forEach(({ name, value }) => {
+    expected[name] = value;
+  });
+  return { ...expected, ...form.payload };
+}
+
+// Decode a urlencoded or multipart/form-data request body into a
+// { name: value } map; repeated names keep their last value
+function parseFormBody(contentType, body) {
+  const fields = {};
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  if (!boundary) {
+    new URLSearchParams(body.toString("utf8")).forEach((value, name) => {
+      fields[name] = value;
+    });
+    return fields;
+  }
+
+  const delimiter = `--${boundary[1] || boundary[2]}`;
+  body
+    .toString("utf8")
+    .split(delimiter)
+    .forEach((part) => {
+      const separator = part.indexOf("\r\n\r\n");
+      const name =
+        separator !== -1 && /name="([^"]*)"/i.exec(part.slice(0, separator));
+      if (!name) {
+        return;
+      }
+      fields[name[1]] = part.slice(separator + 4).replace(/\r\n$/, "");
+    });
+  return fields;
+}
+
+// Stub page returned in place of the Gravity Forms confirmation
+function buildStubConfirmation(form) {
+  return `<!DOCTYPE html><html><body><div id="gform_confirmation_message_${form.formId}" class="gform_confirmation_message">${DRY_RUN_CONFIRMATION}</div></body></html>`;
+}
+
+// Submit the form without letting the submission leave the browser: the
+// Gravity Forms POST (recognized by its gform_submit field) is intercepted,
+// recorded and answered with a stub confirmation. Resolves with the
+// request URL and the decoded payload.
+async function dryRunSubmit(page, form, timeout = 30000) {
+  let resolveSubmission;
+  const submission = new Promise((resolve) => {
+    resolveSubmission = resolve;
+  });
+  const handler = async (route) => {
+    const request = route.request();
+    const body = request.method() === "POST" && request.postDataBuffer();
+    const payload = body
+      ? parseFormBody(request.headers()["content-type"] || "", body)
+      : {};
+    if (payload.gform_submit === undefined) {
+      await route.fallback();
+      return;
+    }
+    resolveSubmission({ url: request.url(), payload });
+    await route.fulfill({
+      status: 200,
+      contentType: "text/html",
+      body: buildStubConfirmation(form),
+    });
+  };
+
+  await page.route("**/*", handler);
+  let timer;
+  try {
+    await page.click(form.submit);
+    return await Promise.race([
+      submission,
+      new Promise((resolve, reject) => {
+        timer = setTimeout(
+          () =>
+            reject(
+              new Error(
+                `No Gravity Forms submission within ${timeout}ms of clicking ${form.submit}`
+              )
+            ),
+          timeout
+        );
+      }),
+    ]);
+  } finally {
+    clearTimeout(timer);
+    await page.unroute("**/*", handler);
+  }
+}
+
+// Differences between the expected fields and the intercepted payload
+function checkPayload(form, expected, payload) {
+  const problems = [];
+  if (payload.gform_submit !== String(form.formId)) {
+    problems.push(
+      `submitted form ${payload.gform_submit}, expected form ${form.formId}`
+    );
+  }
+  Object.entries(expected).forEach(([name, value]) => {
+    if (payload[name] === undefined) {
+      problems.push(`${name} is missing (expected "${value}")`);
+    } else if (payload[name] !== value) {
+      problems.push(`${name} is "${payload[name]}", expected "${value}"`);
+    }
+  });
+  return problems;
+}
+
+// Negative cases for a form: every field left empty (only run where the field
+// turns out to be required) and every field with a `format` given a malformed
+// value
+function getValidationCases(form) {
+  return form.fields.flatMap((field) => [
+    { name: `${field.label} left empty`, field, value: null },
+    ...(field.format
+      ? [
+          {
+            name: `${field.label} with invalid ${field.format}`,
+            field,
+            value: INVALID_VALUES[field.format],
+          },
+        ]
+      : []),
+  ]);
+}
+
+// Whether Gravity Forms marks a field as required
+async function isFieldRequired(page, field) {
+  return page.$eval(
+    field.selector,
+    (input) =>
+      input.required ||
+      input.getAttribute("aria-required") === "true" ||
+      Boolean(input.closest(".gfield_contains_required"))
+  );
+}
+
+// Fill every field validly except the case's field, which is left empty or
+// given its malformed value, then submit. Gravity Forms validates on the
+// server, so the submission is sent (only call this when isLiveSubmission()
+// allows it); the form should come back with errors.
+// Resolves with the id of the field's .gfield container, the fields shown
+// with errors ({ container, message }) and whether the form was accepted.
+async function submitInvalid(page, form, validationCase, timeout = 30000) {
+  const target = await page.$eval(validationCase.field.selector, (input) => {
+    const container = input.closest(".gfield");
+    return container ? container.id : null;
+  });
+  for (const field of resolveFieldValues(form)) {
+    if (field.selector !== validationCase.field.selector) {
+      await fillField(page, field);
+    } else if (validationCase.value !== null) {
+      await page.fill(field.selector, validationCase.value);
+    }
+  }
+
+  await page.click(form.submit);
+  const outcome = page.locator(
+    ".gfield_error, .gform_validation_errors, .gform_confirmation_message"
+  );
+  await Promise.race([
+    outcome.first().waitFor({ timeout }),
+    form.confirmation.urlPattern
+      ? page.waitForURL(form.confirmation.urlPattern, { timeout })
+      : new Promise(() => {}),
+  ]).catch(() => {
+    // Reported below as neither an error nor a confirmation
+  });
+
+  const errors = await page.$$eval(".gfield_error", (containers) =>
+    containers.map((container) => {
+      const message = container.querySelector(".validation_message");
+      return {
+        container: container.id,
+        message: message ? message.innerText.trim() : "",
+      };
+    })
+  );
+  const accepted =
+    (form.confirmation.urlPattern !== null &&
+      form.confirmation.urlPattern.test(page.url())) ||
+    (await page.locator(".gform_confirmation_message").count()) > 0;
+  return { target, errors, accepted };
+}
+
+module.exports = {
+  DRY_RUN_CONFIRMATION,
+  isLiveSubmission,
+  resolveFieldValues,
+  openForm,
+  fillField,
+  readFieldEntry,
+  describeFieldValue,
+  submitForm,
+  getExpectedPayload,
+  parseFormBody,
+  dryRunSubmit,
+  checkPayload,
+  getValidationCases,
+  isFieldRequired,
+  submitInvalid,
+};
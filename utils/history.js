@@ -0,0 +1,407 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("../config.js");
+const {
+  JUNIT_REPORT_PATH,
+  HISTORY_PAGE_PATH,
+  escapeHtml,
+} = require("./report.js");
+const { describeRun, getDeviceReportPath } = require("./results.js");
+
+const RUN_DATA_FILE = "results.json";
+
+// History settings from config.js
+function getHistorySettings() {
+  return {
+    dir: "visual-history",
+    maxRuns: 30,
+    archiveScreenshots: false,
+    ...(config.history || {}),
+  };
+}
+
+const getIndexPath = () => path.join(getHistorySettings().dir, "index.json");
+
+// Load the history index (newest run first), or an empty one
+function readHistoryIndex() {
+  const indexPath = getIndexPath();
+  return fs.existsSync(indexPath)
+    ? JSON.parse(fs.readFileSync(indexPath, "utf8"))
+    : { runs: [] };
+}
+
+// Load an archived run's results document
+function readRun(runId) {
+  return JSON.parse(
+    fs.readFileSync(
+      path.join(getHistorySettings().dir, runId, RUN_DATA_FILE),
+      "utf8"
+    )
+  );
+}
+
+// Load an archived run, or null if it has been deleted or is unreadable
+function readRunIfPresent(runId) {
+  try {
+    return readRun(runId);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Copy a file into the run directory under the same relative path
+function copyIntoRun(runDir, filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return;
+  }
+  const target = path.join(runDir, filePath);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.copyFileSync(filePath, target);
+}
+
+// Archive a finished run: results, JUnit, HTML reports and (optionally) the
+// screenshots they show, then update the index and trend page. Archiving the
+// same run ID again replaces the earlier copy.
+function archiveRun(data) {
+  const settings = getHistorySettings();
+  const runDir = path.join(settings.dir, data.runId);
+  fs.rmSync(runDir, { recursive: true, force: true });
+  fs.mkdirSync(runDir, { recursive: true });
+
+  fs.writeFileSync(
+    path.join(runDir, RUN_DATA_FILE),
+    JSON.stringify(data, null, 2)
+  );
+  copyIntoRun(runDir, JUNIT_REPORT_PATH);
+  const reportPaths = [
+    "visual_comparison_report.html",
+    ...data.devices.map(getDeviceReportPath),
+  ];
+  reportPaths.filter(fs.existsSync).forEach((reportPath) => {
+    // Point the history link at the index one level up
+    const html = fs
+      .readFileSync(reportPath, "utf8")
+      .split(`href="${HISTORY_PAGE_PATH}"`)
+      .join('href="../index.html"');
+    fs.writeFileSync(path.join(runDir, reportPath), html);
+  });
+  if (settings.archiveScreenshots) {
+    data.devices.forEach(({ results }) =>
+      results.forEach((result) =>
+        Object.values(result.artifacts || {}).forEach((artifact) =>
+          copyIntoRun(runDir, artifact)
+        )
+      )
+    );
+  }
+
+  const index = readHistoryIndex();
+  const runs = [
+    {
+      runId: data.runId,
+      generatedAt: data.generatedAt,
+      summary: data.summary,
+      passed: data.verdict ? data.verdict.passed : null,
+      devices: data.devices.map(describeRun),
+    },
+    ...index.runs.filter((run) => run.runId !== data.runId),
+  ].sort((a, b) => b.generatedAt.localeCompare(a.generatedAt));
+
+  // Drop the oldest runs beyond the limit
+  runs.slice(settings.maxRuns).forEach(({ runId }) =>
+    fs.rmSync(path.join(settings.dir, runId), {
+      recursive: true,
+      force: true,
+    })
+  );
+  const kept = { runs: runs.slice(0, settings.maxRuns) };
+  fs.writeFileSync(getIndexPath(), JSON.stringify(kept, null, 2));
+
+  generateTrendReport(kept);
+  return runDir;
+}
+
+// Series key for one page on one device and browser; baseline runs are
+// tracked apart from staging-vs-prod runs since their scores mean different
+// things
+function getSeriesKey(deviceName, result) {
+  const comparison =
+    result.mode === "baseline"
+      ? `${result.environment} vs baseline`
+      : "staging vs prod";
+  return `${deviceName}\u0000${comparison}\u0000${result.pagePath}`;
+}
+
+// Per-page similarity across the indexed runs (oldest first) and how each
+// page's latest result compares with its history
+function buildTrends(index) {
+  const runs = [...index.runs].reverse();
+  const series = new Map();
+
+  runs.forEach((run, runIndex) => {
+    const data = readRunIfPresent(run.runId);
+    if (!data) {
+      return;
+    }
+    data.devices.forEach((device) =>
+      device.results.forEach((result) => {
+        const deviceName = describeRun(device);
+        const key = getSeriesKey(deviceName, result);
+        if (!series.has(key)) {
+          const [, comparison] = key.split("\u0000");
+          series.set(key, {
+            deviceName,
+            comparison,
+            pagePath: result.pagePath,
+            points: [],
+          });
+        }
+        series.get(key).points.push({
+          runIndex,
+          runId: run.runId,
+          generatedAt: run.generatedAt,
+          status: result.status,
+          similarity:
+            typeof result.similarityPercentage === "number"
+              ? result.similarityPercentage
+              : null,
+          threshold: result.threshold,
+        });
+      })
+    );
+  });
+
+  const latestRunIndex = runs.length - 1;
+  return [...series.values()].map((page) => {
+    const latest = page.points[page.points.length - 1];
+    const previous = page.points[page.points.length - 2];
+    const failing = latest.status !== "pass";
+
+    // Start of the current streak of failures
+    let firstRegressed = null;
+    if (failing) {
+      for (let i = page.points.length - 1; i >= 0; i--) {
+        if (page.points[i].status === "pass") {
+          break;
+        }
+        firstRegressed = page.points[i];
+      }
+    }
+
+    let trend = "passing";
+    if (latest.runIndex !== latestRunIndex) {
+      trend = "not in latest run";
+    } else if (failing) {
+      trend =
+        previous && previous.status !== "pass"
+          ? "persistently failing"
+          : "newly failing";
+    } else if (previous && previous.status !== "pass") {
+      trend = "recovered";
+    }
+
+    return { ...page, latest, trend, firstRegressed };
+  });
+}
+
+// Inline SVG line of similarity over runs, with the threshold dashed
+function renderSparkline(points, runCount) {
+  const width = 240;
+  const height = 40;
+  const scored = points.filter((point) => point.similarity !== null);
+  const min = Math.min(
+    90,
+    ...scored.map((point) => point.similarity),
+    ...points.map((point) => point.threshold || 100)
+  );
+  const x = (runIndex) =>
+    runCount > 1 ? (runIndex / (runCount - 1)) * width : width / 2;
+  const y = (value) => height - ((value - min) / (100 - min || 1)) * height;
+
+  const line = scored
+    .map(
+      (point) =>
+        `${x(point.runIndex).toFixed(1)},${y(point.similarity).toFixed(1)}`
+    )
+    .join(" ");
+  const threshold = points[points.length - 1].threshold;
+  const dots = points
+    .map((point) => {
+      const color =
+        point.status === "pass"
+          ? "green"
+          : point.status === "error"
+          ? "orange"
+          : "red";
+      const value =
+        point.similarity === null ? height / 2 : y(point.similarity);
+      return `<circle cx="${x(point.runIndex).toFixed(1)}" cy="${value.toFixed(
+        1
+      )}" r="2.5" fill="${color}"><title>${escapeHtml(point.runId)}: ${
+        point.similarity === null ? "Error" : `${point.similarity.toFixed(2)}%`
+      }</title></circle>`;
+    })
+    .join("");
+
+  return `<svg width="${width}" height="${height}" viewBox="-3 -3 ${
+    width + 6
+  } ${height + 6}">${
+    typeof threshold === "number"
+      ? `<line x1="0" x2="${width}" y1="${y(threshold).toFixed(1)}" y2="${y(
+          threshold
+        ).toFixed(1)}" stroke="#999" stroke-dasharray="4 3" />`
+      : ""
+  }<polyline points="${line}" fill="none" stroke="#333" />${dots}</svg>`;
+}
+
+// Write the history index page: recent runs plus per-page trends, with
+// failing pages first
+function generateTrendReport(index = readHistoryIndex()) {
+  const pagePath = path.join(getHistorySettings().dir, "index.html");
+  const pages = buildTrends(index);
+  const trendOrder = [
+    "newly failing",
+    "persistently failing",
+    "recovered",
+    "passing",
+    "not in latest run",
+  ];
+  pages.sort(
+    (a, b) =>
+      trendOrder.indexOf(a.trend) - trendOrder.indexOf(b.trend) ||
+      a.deviceName.localeCompare(b.deviceName) ||
+      a.pagePath.localeCompare(b.pagePath)
+  );
+  const count = (trend) => pages.filter((page) => page.trend === trend).length;
+
+  const runRows = index.runs
+    .map(
+      (run) => `
+          <tr>
+            <td><a href="${encodeURIComponent(
+              run.runId
+            )}/visual_comparison_report.html">${escapeHtml(run.runId)}</a></td>
+            <td>${new Date(run.generatedAt).toLocaleString()}</td>
+            <td>${run.devices.join(", ")}</td>
+            <td>${run.summary.total}</td>
+            <td class="pass">${run.summary.passed}</td>
+            <td class="fail">${run.summary.failed}</td>
+            <td class="error">${run.summary.errors}</td>
+            <td class="${run.passed === false ? "fail" : "pass"}">${
+        run.passed === null ? "N/A" : run.passed ? "Pass" : "Fail"
+      }</td>
+          </tr>`
+    )
+    .join("");
+
+  const pageRows = pages
+    .map(
+      (page) => `
+          <tr>
+            <td class="page-path">${escapeHtml(page.pagePath)}</td>
+            <td>${escapeHtml(page.deviceName)}</td>
+            <td>${escapeHtml(page.comparison)}</td>
+            <td class="trend-${page.trend.replace(/ /g, "-")}">${
+        page.trend
+      }</td>
+            <td>${
+              page.latest.similarity === null
+                ? "Error"
+                : `${page.latest.similarity.toFixed(2)}%`
+            }</td>
+            <td>${
+              page.firstRegressed
+                ? `${escapeHtml(
+                    page.firstRegressed.runId
+                  )}<div class="label">${new Date(
+                    page.firstRegressed.generatedAt
+                  ).toLocaleString()}</div>`
+                : ""
+            }</td>
+            <td>${renderSparkline(page.points, index.runs.length)}</td>
+          </tr>`
+    )
+    .join("");
+
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Visual Comparison History</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.5; margin: 20px; }
+        h1, h2 { text-align: center; }
+        .summary { text-align: center; margin: 20px 0; }
+        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: center; }
+        th { background-color: #f2f2f2; }
+        .pass { color: green; font-weight: bold; }
+        .fail { color: red; font-weight: bold; }
+        .error { color: orange; font-weight: bold; }
+        .page-path { font-family: monospace; text-align: left; }
+        .label { font-size: 12px; color: #555; }
+        .trend-newly-failing { color: red; font-weight: bold; }
+        .trend-persistently-failing { color: darkred; }
+        .trend-recovered { color: green; font-weight: bold; }
+        .trend-not-in-latest-run { color: #999; }
+      </style>
+    </head>
+    <body>
+      <h1>Visual Comparison History</h1>
+      <div class="summary">
+        <p>Runs: ${index.runs.length}</p>
+        <p>Newly failing: ${count(
+          "newly failing"
+        )} | Persistently failing: ${count(
+    "persistently failing"
+  )} | Recovered: ${count("recovered")}</p>
+      </div>
+      <h2>Runs</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Run</th>
+            <th>Date</th>
+            <th>Devices</th>
+            <th>Pages</th>
+            <th>Passed</th>
+            <th>Failed</th>
+            <th>Errors</th>
+            <th>Verdict</th>
+          </tr>
+        </thead>
+        <tbody>${runRows}
+        </tbody>
+      </table>
+      <h2>Pages</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Page</th>
+            <th>Device</th>
+            <th>Comparison</th>
+            <th>Trend</th>
+            <th>Latest</th>
+            <th>Failing Since</th>
+            <th>Similarity Over Time</th>
+          </tr>
+        </thead>
+        <tbody>${pageRows}
+        </tbody>
+      </table>
+    </body>
+    </html>
+  `;
+
+  fs.mkdirSync(path.dirname(pagePath), { recursive: true });
+  fs.writeFileSync(pagePath, htmlContent);
+  return pagePath;
+}
+
+module.exports = {
+  readHistoryIndex,
+  readRun,
+  archiveRun,
+  buildTrends,
+  generateTrendReport,
+};
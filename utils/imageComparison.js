@@ -0,0 +1,278 @@
+const fs = require("fs");
+const { PNG } = require("pngjs");
+const { getStrategy } = require("./comparisonStrategies.js");
+const { findDiffRegions, annotateDiff } = require("./diffRegions.js");
+
+let pixelmatch;
+
+// `pixelmatch` is ESM-only, so load it on first use
+async function loadPixelmatch() {
+  if (!pixelmatch) {
+    pixelmatch = (await import("pixelmatch")).default;
+  }
+  return pixelmatch;
+}
+
+const DEFAULT_OPTIONS = {
+  threshold: 0.1,
+  tileHeight: 1000,
+  ignoreRegions: [],
+  strategy: "pixelmatch",
+  strategies: [],
+  includeAA: false,
+  ssimWindow: 8,
+  maxShift: 400,
+  minRun: 8,
+  regions: {},
+  annotatedDiffPath: null,
+};
+
+// Painted in the diff image over changed pixels: blue where prod is darker,
+// orange where staging is
+const DIFF_COLOR = [0, 0, 255];
+const DIFF_COLOR_ALT = [255, 165, 0];
+
+// Painted in the diff image over pixels pixelmatch judged to be anti-aliasing
+const ANTI_ALIASING_COLOR = [255, 255, 0];
+
+// Painted in the diff image where only one screenshot has content
+const HEIGHT_PADDING_COLOR = [255, 0, 255];
+
+// Alternating diagonal stripes painted in the diff image over ignored regions
+const HATCH_COLORS = [
+  [160, 160, 160],
+  [230, 230, 230],
+];
+
+// Place an image top-left on a transparent canvas of the given size
+function padImage(image, width, height) {
+  if (image.width === width && image.height === height) {
+    return image;
+  }
+  const padded = new PNG({ width, height });
+  PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+  return padded;
+}
+
+// Fill rows [fromRow, toRow) of an image with a solid color
+function fillRows(image, fromRow, toRow, [r, g, b]) {
+  for (let i = fromRow * image.width * 4; i < toRow * image.width * 4; i += 4) {
+    image.data[i] = r;
+    image.data[i + 1] = g;
+    image.data[i + 2] = b;
+    image.data[i + 3] = 255;
+  }
+}
+
+// Build a per-pixel mask (1 = ignored) from regions, clipped to the image
+function buildIgnoreMask(regions, width, height) {
+  const mask = new Uint8Array(width * height);
+  for (const region of regions) {
+    const left = Math.max(0, region.x);
+    const top = Math.max(0, region.y);
+    const right = Math.min(width, region.x + region.width);
+    const bottom = Math.min(height, region.y + region.height);
+    for (let row = top; row < bottom; row++) {
+      mask.fill(1, row * width + left, row * width + right);
+    }
+  }
+  return mask;
+}
+
+// Make ignored pixels identical in both images so pixelmatch skips them
+function neutralizeIgnoredPixels(mask, source, target) {
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i]) {
+      source.data.copy(target.data, i * 4, i * 4, i * 4 + 4);
+    }
+  }
+}
+
+// Paint ignored pixels in the diff image with diagonal hatching
+function hatchIgnoredPixels(mask, diff) {
+  for (let i = 0; i < mask.length; i++) {
+    if (!mask[i]) {
+      continue;
+    }
+    const x = i % diff.width;
+    const y = Math.floor(i / diff.width);
+    const [r, g, b] = HATCH_COLORS[((x + y) >> 3) & 1];
+    diff.data[i * 4] = r;
+    diff.data[i * 4 + 1] = g;
+    diff.data[i * 4 + 2] = b;
+    diff.data[i * 4 + 3] = 255;
+  }
+}
+
+// Count pixels painted in the anti-aliasing color in a diff image slice
+function countAntiAliasedPixels(data) {
+  const [r, g, b] = ANTI_ALIASING_COLOR;
+  let count = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i] === r && data[i + 1] === g && data[i + 2] === b) {
+      count++;
+    }
+  }
+  return count;
+}
+
+// Whether the diff image pixel at byte offset `i` marks a change
+function isChangedPixel(data, i) {
+  return [DIFF_COLOR, DIFF_COLOR_ALT].some(
+    ([r, g, b]) => data[i] === r && data[i + 1] === g && data[i + 2] === b
+  );
+}
+
+// Count ignored pixels in rows [fromRow, toRow)
+function countIgnoredPixels(mask, width, fromRow, toRow) {
+  let count = 0;
+  for (let i = fromRow * width; i < toRow * width; i++) {
+    count += mask[i];
+  }
+  return count;
+}
+
+// Compare two full-page screenshots at native resolution.
+// The images are padded (never scaled) to a common size and compared tile by
+// tile over the rows both pages share; extra height on either side is reported
+// as `heightDifference` and painted magenta in the diff instead of counting as
+// mismatched pixels. `ignoreRegions` (boxes in screenshot pixels) are excluded
+// from the comparison and hatched in the diff. The source screenshots are left
+// untouched on disk.
+//
+// The pixelmatch pass always runs, to draw the diff image. `strategy` names
+// the score reported as `similarityPercentage`; it and any extra `strategies`
+// are scored and listed under `scores` (see comparisonStrategies.js).
+// Changed pixels are grouped into numbered `diffRegions` (see diffRegions.js),
+// outlined on a copy of the diff written to `annotatedDiffPath` if given.
+async function compareScreenshots(
+  baselinePath,
+  currentPath,
+  diffPath,
+  options = {}
+) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const { threshold, tileHeight, ignoreRegions, strategy, includeAA } =
+    settings;
+  const strategyNames = [...new Set([strategy, ...settings.strategies])];
+  strategyNames.forEach(getStrategy);
+  const match = await loadPixelmatch();
+
+  const baseline = PNG.sync.read(fs.readFileSync(baselinePath));
+  const current = PNG.sync.read(fs.readFileSync(currentPath));
+
+  const width = Math.max(baseline.width, current.width);
+  const height = Math.max(baseline.height, current.height);
+  const comparedHeight = Math.min(baseline.height, current.height);
+
+  const img1 = padImage(baseline, width, height);
+  const img2 = padImage(current, width, height);
+  const diff = new PNG({ width, height });
+  const ignoreMask = buildIgnoreMask(ignoreRegions, width, height);
+  neutralizeIgnoredPixels(ignoreMask, img1, img2);
+
+  const rowBytes = width * 4;
+  const tiles = [];
+  let mismatchedPixels = 0;
+  let antiAliasedPixels = 0;
+
+  for (let top = 0; top < comparedHeight; top += tileHeight) {
+    const rows = Math.min(tileHeight, comparedHeight - top);
+    const start = top * rowBytes;
+    const end = (top + rows) * rowBytes;
+
+    const tileMismatches = match(
+      img1.data.subarray(start, end),
+      img2.data.subarray(start, end),
+      diff.data.subarray(start, end),
+      width,
+      rows,
+      {
+        threshold,
+        includeAA,
+        aaColor: ANTI_ALIASING_COLOR,
+        diffColor: DIFF_COLOR,
+        diffColorAlt: DIFF_COLOR_ALT,
+      }
+    );
+
+    const tilePixels =
+      width * rows - countIgnoredPixels(ignoreMask, width, top, top + rows);
+    mismatchedPixels += tileMismatches;
+    if (!includeAA) {
+      antiAliasedPixels += countAntiAliasedPixels(
+        diff.data.subarray(start, end)
+      );
+    }
+    tiles.push({
+      top,
+      height: rows,
+      mismatchedPixels: tileMismatches,
+      similarityPercentage:
+        tilePixels > 0
+          ? ((tilePixels - tileMismatches) / tilePixels) * 100
+          : 100,
+    });
+  }
+
+  const diffRegions = findDiffRegions(
+    width,
+    comparedHeight,
+    (pixel) => isChangedPixel(diff.data, pixel * 4),
+    settings.regions
+  );
+
+  fillRows(diff, comparedHeight, height, HEIGHT_PADDING_COLOR);
+  hatchIgnoredPixels(ignoreMask, diff);
+  fs.writeFileSync(diffPath, PNG.sync.write(diff));
+  if (settings.annotatedDiffPath) {
+    fs.writeFileSync(
+      settings.annotatedDiffPath,
+      PNG.sync.write(annotateDiff(diff, diffRegions))
+    );
+  }
+
+  const maskedPixels = countIgnoredPixels(ignoreMask, width, 0, comparedHeight);
+  const comparedPixels = width * comparedHeight - maskedPixels;
+  const pixelmatchResult = {
+    similarityPercentage:
+      comparedPixels > 0
+        ? ((comparedPixels - mismatchedPixels) / comparedPixels) * 100
+        : 0,
+    antiAliasedPixels,
+  };
+
+  const context = {
+    width,
+    baselineHeight: baseline.height,
+    currentHeight: current.height,
+    comparedHeight,
+    ignoreMask,
+    options: settings,
+    pixelmatch: pixelmatchResult,
+  };
+  const scores = {};
+  for (const name of strategyNames) {
+    scores[name] = getStrategy(name)(img1, img2, context);
+  }
+
+  return {
+    similarityPercentage: scores[strategy].score,
+    strategy,
+    scores,
+    mismatchedPixels,
+    antiAliasedPixels,
+    comparedPixels,
+    maskedPixels,
+    ignoreRegions,
+    dimensions: {
+      baseline: { width: baseline.width, height: baseline.height },
+      current: { width: current.width, height: current.height },
+    },
+    heightDifference: current.height - baseline.height,
+    tiles,
+    diffRegions,
+  };
+}
+
+module.exports = { compareScreenshots };
@@ -0,0 +1,165 @@
+const config = require("../config.js");
+
+const DEFAULT_SETTINGS = {
+  threshold: config.comparison.passThreshold,
+  states: [],
+};
+
+const STATE_KEYS = ["name", "path", "device", "steps", "target", "threshold"];
+// Each step is an object with exactly one of these keys, plus `value` for fill
+const STEP_ACTIONS = ["hover", "click", "focus", "fill", "press", "waitFor"];
+
+// Merge the configured interactive state settings with the defaults
+function getInteractiveStateSettings() {
+  return { ...DEFAULT_SETTINGS, ...(config.interactiveStates || {}) };
+}
+
+// Problems with one step of a state
+function checkStep(step) {
+  if (!step || typeof step !== "object" || Array.isArray(step)) {
+    return ["must be an object"];
+  }
+  const actions = Object.keys(step).filter((key) => key !== "value");
+  if (actions.length !== 1 || !STEP_ACTIONS.includes(actions[0])) {
+    return [`must have exactly one of: ${STEP_ACTIONS.join(", ")}`];
+  }
+  if (typeof step[actions[0]] !== "string") {
+    return [`"${actions[0]}" must be a string`];
+  }
+  if (actions[0] === "fill" && typeof step.value !== "string") {
+    return ['a "fill" step needs a string "value"'];
+  }
+  return [];
+}
+
+// Problems with one state definition
+function checkState(state, deviceNames) {
+  if (!state || typeof state !== "object" || Array.isArray(state)) {
+    return ["must be an object"];
+  }
+  const problems = Object.keys(state)
+    .filter((key) => !STATE_KEYS.includes(key))
+    .map((key) => `unknown key "${key}"`);
+  if (typeof state.name !== "string" || state.name === "") {
+    problems.push('"name" must be a non-empty string');
+  }
+  if (typeof state.path !== "string" || !state.path.startsWith("/")) {
+    problems.push('"path" must be a string starting with "/"');
+  }
+  if (state.device !== undefined && !deviceNames.includes(state.device)) {
+    problems.push(`"device" names unknown device "${state.device}"`);
+  }
+  if (
+    state.threshold !== undefined &&
+    (typeof state.threshold !== "number" ||
+      state.threshold < 0 ||
+      state.threshold > 100)
+  ) {
+    problems.push('"threshold" must be a number from 0 to 100');
+  }
+  if (!Array.isArray(state.steps) || state.steps.length === 0) {
+    problems.push('"steps" must be a non-empty array');
+  } else {
+    state.steps.forEach((step, index) =>
+      checkStep(step).forEach((problem) =>
+        problems.push(`steps[${index}] ${problem}`)
+      )
+    );
+  }
+  return problems;
+}
+
+// Validate config.interactiveStates.states and fill in defaults: the first
+// configured device, a viewport capture (no `target`) and the global threshold
+function getInteractiveStates(settings = getInteractiveStateSettings()) {
+  const deviceNames = config.devices.map((device) => device.name);
+  const problems = [];
+  settings.states.forEach((state, index) =>
+    checkState(state, deviceNames).forEach((problem) =>
+      problems.push(`interactiveStates.states[${index}]: ${problem}`)
+    )
+  );
+  if (problems.length > 0) {
+    throw new Error(
+      `Invalid interactive states in config.js:\n  ${problems.join("\n  ")}`
+    );
+  }
+
+  return settings.states.map((state) => ({
+    name: state.name,
+    path: state.path,
+    device: state.device || deviceNames[0],
+    steps: state.steps,
+    target: state.target || null,
+    threshold:
+      state.threshold !== undefined ? state.threshold : settings.threshold,
+  }));
+}
+
+// A state's name as a slug, e.g. "mega-menu-open"
+function stateSlug(state) {
+  return state.name.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+}
+
+// File name for a state's screenshots, e.g. "mega-menu-open.png"
+function stateFileName(state) {
+  return `${stateSlug(state)}.png`;
+}
+
+// The page path a state's result is reported under, e.g. "/#mega-menu-open",
+// so it sorts and links like its page without colliding with it
+function statePagePath(state, pagePath = state.path) {
+  return `${pagePath}#${stateSlug(state)}`;
+}
+
+// Whether a result's page path is a state's (see statePagePath)
+function isStatePagePath(pagePath) {
+  return pagePath.includes("#");
+}
+
+// Bring the page into a state by running its steps in order. Each step acts
+// on the first element matching its selector.
+async function runStateSteps(page, steps, timeout = 10000) {
+  for (const step of steps) {
+    if (step.hover) {
+      await page.locator(step.hover).first().hover({ timeout });
+    } else if (step.click) {
+      await page.locator(step.click).first().click({ timeout });
+    } else if (step.focus) {
+      await page.locator(step.focus).first().focus({ timeout });
+    } else if (step.fill) {
+      await page.locator(step.fill).first().fill(step.value, { timeout });
+    } else if (step.press) {
+      await page.keyboard.press(step.press);
+    } else if (step.waitFor) {
+      await page.locator(step.waitFor).first().waitFor({ timeout });
+    }
+  }
+}
+
+// Screenshot a state: its `target` element, else the viewport. Masked
+// selectors are painted over as in full-page captures; the focus ring and
+// caret stay visible.
+async function captureState(page, state, screenshotPath, maskSelectors = []) {
+  const options = {
+    path: screenshotPath,
+    animations: "disabled",
+    caret: "initial",
+    mask: maskSelectors.map((selector) => page.locator(selector)),
+  };
+  if (state.target) {
+    await page.locator(state.target).first().screenshot(options);
+  } else {
+    await page.screenshot(options);
+  }
+}
+
+module.exports = {
+  getInteractiveStateSettings,
+  getInteractiveStates,
+  stateFileName,
+  statePagePath,
+  isStatePagePath,
+  runStateSteps,
+  captureState,
+};
@@ -0,0 +1,94 @@
+const { describeContentFlags } = require("./pageContent.js");
+const { describeIntroducedIssues } = require("./accessibility.js");
+const { describeRun } = require("./results.js");
+
+// Escape text for use in XML attributes and content
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// Seconds for a JUnit `time` attribute
+function toSeconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+// Render one page result as a <testcase>
+function buildTestCase(result, project, deviceName) {
+  const timeMs = result.timings ? result.timings.totalMs : 0;
+  const attributes = `classname="visual.${escapeXml(
+    project ? `${project}.${deviceName}` : deviceName
+  )}" name="${escapeXml(result.pagePath)}" time="${toSeconds(timeMs)}"`;
+  const artifacts = result.artifacts
+    ? Object.entries(result.artifacts)
+        .map(([name, artifactPath]) => `${name}: ${artifactPath}`)
+        .join("\n")
+    : "";
+
+  let outcome = "";
+  if (result.status === "error") {
+    outcome = `
+      <error message="${escapeXml(result.error || "Comparison failed")}" />`;
+  } else if (result.status === "fail") {
+    const message = `Similarity ${result.similarityPercentage.toFixed(2)}%${
+      result.strategy ? ` (${result.strategy})` : ""
+    } is below ${result.threshold}%`;
+    const details = [
+      message,
+      `Mismatched pixels: ${result.mismatchedPixels}`,
+      `Height difference: ${result.heightDifference}px`,
+      ...(result.diffRegions || []).map(
+        (region) => `Changed region ${region.id}: ${region.summary}`
+      ),
+      ...describeContentFlags(result.contentDiff),
+      ...describeIntroducedIssues(result.accessibility),
+    ];
+    outcome = `
+      <failure message="${escapeXml(message)}">${escapeXml(
+      details.join("\n")
+    )}</failure>`;
+  }
+
+  return `
+    <testcase ${attributes}>${outcome}
+      <system-out>${escapeXml(artifacts)}</system-out>
+    </testcase>`;
+}
+
+// Render the results document as JUnit XML, one <testsuite> per device and
+// browser project
+function buildJUnitXml(data) {
+  const suites = data.devices.map(
+    ({ project, deviceName, summary, results }) => {
+      const timeMs = results.reduce(
+        (total, result) =>
+          total + (result.timings ? result.timings.totalMs : 0),
+        0
+      );
+      return `
+  <testsuite name="Visual Comparison - ${escapeXml(
+    describeRun({ project, deviceName })
+  )}" tests="${summary.total}" failures="${summary.failed}" errors="${
+        summary.errors
+      }" skipped="0" timestamp="${data.generatedAt}" time="${toSeconds(
+        timeMs
+      )}">${results
+        .map((result) => buildTestCase(result, project, deviceName))
+        .join("")}
+  </testsuite>`;
+    }
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="Visual Comparison" tests="${data.summary.total}" failures="${
+    data.summary.failed
+  }" errors="${data.summary.errors}">${suites.join("")}
+</testsuites>
+`;
+}
+
+module.exports = { buildJUnitXml };
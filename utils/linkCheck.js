@@ -0,0 +1,239 @@
+const config = require("../config.js");
+const { ENVIRONMENTS } = require("./environments.js");
+const {
+  BROKEN_STATUS,
+  mapWithConcurrency,
+  requestWithFallback,
+  formatTable,
+} = require("./siteChecks.js");
+
+const DEFAULT_SETTINGS = {
+  environments: ENVIRONMENTS,
+  concurrency: 8,
+  requestTimeout: 15000,
+  maxRedirects: 10,
+  checkExternal: false,
+  leakHosts: {},
+  exclude: [],
+};
+
+// Merge the configured link check settings with the defaults
+function getLinkCheckSettings() {
+  return { ...DEFAULT_SETTINGS, ...(config.linkCheck || {}) };
+}
+
+// The environments to check: VISUAL_LINK_ENV (comma-separated), else
+// config.linkCheck
+function getLinkCheckEnvironments(settings = getLinkCheckSettings()) {
+  const environments = process.env.VISUAL_LINK_ENV
+    ? process.env.VISUAL_LINK_ENV.split(",")
+        .map((name) => name.trim().toLowerCase())
+        .filter(Boolean)
+    : settings.environments;
+  const unknown = environments.filter((name) => !ENVIRONMENTS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Link check environments ${unknown.join(
+        ", "
+      )} must be among: ${ENVIRONMENTS.join(", ")}`
+    );
+  }
+  return environments;
+}
+
+// Hosts an environment's pages must not link to: config.linkCheck.leakHosts,
+// else the other environments' hosts. Subdomains match too.
+function getLeakHosts(environment, settings = getLinkCheckSettings()) {
+  return (
+    settings.leakHosts[environment] ||
+    ENVIRONMENTS.filter((name) => name !== environment).map(
+      (name) => new URL(config[name].baseUrl).host
+    )
+  );
+}
+
+// The leak host a URL points at, or null
+function findLeakHost(url, leakHosts) {
+  const { host } = new URL(url);
+  return (
+    leakHosts.find(
+      (leakHost) => host === leakHost || host.endsWith(`.${leakHost}`)
+    ) || null
+  );
+}
+
+// List the http(s) anchors on a page with their link text
+async function collectPageLinks(page) {
+  const links = await page.evaluate(() =>
+    [...document.querySelectorAll("a[href]")].map((anchor) => ({
+      href: anchor.href,
+      text: (
+        anchor.innerText ||
+        anchor.getAttribute("aria-label") ||
+        anchor.getAttribute("title") ||
+        ""
+      )
+        .replace(/\s+/g, " ")
+        .trim()
+        .slice(0, 80),
+    }))
+  );
+  return {
+    links: links.filter(({ href }) => /^https?:/i.test(href)),
+  };
+}
+
+// Follow a link's redirects one hop at a time, recording each status
+async function checkLink(url, settings) {
+  const chain = [];
+  let current = url;
+  for (let hop = 0; hop <= settings.maxRedirects; hop++) {
+    const response = await requestWithFallback(current, {
+      timeout: settings.requestTimeout,
+      followRedirects: false,
+    });
+    chain.push({ url: current, status: response.status || null });
+    const isRedirect =
+      !response.error &&
+      response.status >= 300 &&
+      response.status < 400 &&
+      response.location;
+    if (!isRedirect) {
+      return {
+        url,
+        ok: !response.error && response.status < BROKEN_STATUS,
+        status: response.status || null,
+        error: response.error,
+        chain,
+      };
+    }
+    current = new URL(response.location, current).href;
+  }
+  return {
+    url,
+    ok: false,
+    status: null,
+    error: `more than ${settings.maxRedirects} redirects`,
+    chain,
+  };
+}
+
+// Check the links collected from every page of an environment. Each distinct
+// URL (without its fragment) is requested once; same-host links are always
+// checked, others only with `checkExternal`. Returns per page the broken
+// links, the redirected ones with their chains, and the links that point at
+// (or redirect to) another environment's host.
+async function checkPageLinks(
+  pages,
+  environment,
+  settings = getLinkCheckSettings()
+) {
+  const ownHost = new URL(config[environment].baseUrl).host;
+  const leakHosts = getLeakHosts(environment, settings);
+  const excluded = (url) =>
+    settings.exclude.some((pattern) => new RegExp(pattern).test(url));
+  const withoutHash = (href) => href.split("#")[0];
+  const shouldCheck = (href) =>
+    !excluded(href) &&
+    (settings.checkExternal || new URL(href).host === ownHost);
+
+  const urls = [
+    ...new Set(
+      pages.flatMap((page) =>
+        page.links.map(({ href }) => withoutHash(href)).filter(shouldCheck)
+      )
+    ),
+  ];
+  const checks = await mapWithConcurrency(urls, settings.concurrency, (url) =>
+    checkLink(url, settings)
+  );
+  const checksByUrl = new Map(checks.map((check) => [check.url, check]));
+
+  return pages.map((page) => {
+    const broken = [];
+    const redirected = [];
+    const leaks = [];
+    const seen = new Set();
+
+    for (const { href, text } of page.links) {
+      const url = withoutHash(href);
+      if (seen.has(url)) {
+        continue;
+      }
+      seen.add(url);
+
+      const leakHost = findLeakHost(url, leakHosts);
+      if (leakHost) {
+        leaks.push({ href, text, problem: `links to ${leakHost}` });
+      }
+      const check = checksByUrl.get(url);
+      if (!check) {
+        continue;
+      }
+      if (!check.ok) {
+        broken.push({
+          href,
+          text,
+          problem: check.error || `HTTP ${check.status}`,
+          chain: check.chain,
+        });
+      }
+      if (check.chain.length > 1) {
+        redirected.push({ href, text, chain: check.chain });
+        const redirectLeak = check.chain
+          .slice(1)
+          .map((hop) => findLeakHost(hop.url, leakHosts))
+          .find(Boolean);
+        if (!leakHost && redirectLeak) {
+          leaks.push({ href, text, problem: `redirects to ${redirectLeak}` });
+        }
+      }
+    }
+
+    return {
+      pagePath: page.pagePath,
+      url: page.url,
+      linkCount: seen.size,
+      error: page.error,
+      broken,
+      leaks,
+      redirected,
+    };
+  });
+}
+
+// A redirect chain as "301 /old/ → 200 /new/"
+function formatChain(chain) {
+  return chain
+    .map(({ url, status }) => `${status || "error"} ${url}`)
+    .join(" → ");
+}
+
+// Plain-text table of the broken and leaking links on each page, for test
+// failures
+function formatLinkTable(pageResults) {
+  const rows = pageResults.flatMap((page) =>
+    page.error
+      ? [[page.pagePath, "(page)", "", page.error]]
+      : [...page.leaks, ...page.broken].map((link) => [
+          page.pagePath,
+          link.href,
+          link.text,
+          link.chain && link.chain.length > 1
+            ? `${link.problem} (${formatChain(link.chain)})`
+            : link.problem,
+        ])
+  );
+  return formatTable(["Page", "Link", "Text", "Problem"], rows);
+}
+
+module.exports = {
+  getLinkCheckSettings,
+  getLinkCheckEnvironments,
+  getLeakHosts,
+  collectPageLinks,
+  checkLink,
+  checkPageLinks,
+  formatChain,
+  formatLinkTable,
+};
@@ -0,0 +1,55 @@
+const config = require("../config.js");
+
+// Merge the global mask settings with the route's own from routes.js
+function getMaskConfig(route) {
+  const masks = config.masks || {};
+  return {
+    selectors: [...(masks.selectors || []), ...route.masks.selectors],
+    regions: [...(masks.regions || []), ...route.masks.regions],
+  };
+}
+
+// Locate masked elements and configured rectangles on the page and return
+// their boxes in screenshot pixels (CSS pixels scaled by devicePixelRatio)
+async function resolveMaskRegions(page, { selectors, regions }) {
+  return page.evaluate(
+    ({ selectors, regions }) => {
+      const scale = window.devicePixelRatio || 1;
+      const toPixels = ({ x, y, width, height }, source) => ({
+        x: Math.floor(x * scale),
+        y: Math.floor(y * scale),
+        width: Math.ceil(width * scale),
+        height: Math.ceil(height * scale),
+        source,
+      });
+
+      const boxes = [];
+      for (const selector of selectors) {
+        for (const element of document.querySelectorAll(selector)) {
+          const rect = element.getBoundingClientRect();
+          if (rect.width === 0 || rect.height === 0) {
+            continue;
+          }
+          boxes.push(
+            toPixels(
+              {
+                x: rect.left + window.scrollX,
+                y: rect.top + window.scrollY,
+                width: rect.width,
+                height: rect.height,
+              },
+              selector
+            )
+          );
+        }
+      }
+      for (const region of regions) {
+        boxes.push(toPixels(region, "region"));
+      }
+      return boxes;
+    },
+    { selectors, regions }
+  );
+}
+
+module.exports = { getMaskConfig, resolveMaskRegions };
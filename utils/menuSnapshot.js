@@ -0,0 +1,176 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("../config.js");
+
+const DEFAULT_SETTINGS = {
+  menuSelector: "ul.max-mega-menu",
+  dir: "menu-snapshots",
+};
+
+// Separates labels in a menu item's position, e.g. "Online Programs › MBA"
+const PATH_SEPARATOR = " › ";
+
+// Merge the configured navigation settings with the defaults
+function getMenuSettings() {
+  return { ...DEFAULT_SETTINGS, ...(config.navigation || {}) };
+}
+
+// Read the navigation tree under the first element matching `menuSelector`.
+// Any <li> with its own link is a menu item; other elements (mega-menu
+// columns, widget wrappers) are looked through, so the tree keeps only the
+// nesting of items. Hidden submenus are read too, without hovering.
+async function extractMenuTree(page, menuSelector) {
+  return page.evaluate((menuSelector) => {
+    const root = document.querySelector(menuSelector);
+    if (!root) {
+      return null;
+    }
+    const clean = (value) => (value || "").replace(/\s+/g, " ").trim();
+
+    const collect = (node) =>
+      [...node.children].flatMap((child) =>
+        child.tagName === "LI" && child.querySelector(":scope > a")
+          ? [toItem(child)]
+          : collect(child)
+      );
+    // Items that only open a submenu link to "#" or nowhere
+    const toItem = (item) => {
+      const link = item.querySelector(":scope > a");
+      const href = (link.getAttribute("href") || "").trim();
+      return {
+        label:
+          clean(link.textContent) || clean(link.getAttribute("aria-label")),
+        href: href && !href.startsWith("#") ? link.href : null,
+        children: [...item.children]
+          .filter((child) => child !== link)
+          .flatMap(collect),
+      };
+    };
+    return collect(root);
+  }, menuSelector);
+}
+
+// Rewrite links to the environment's own host as paths, so the same menu
+// compares equal on staging and prod
+function normalizeMenuTree(items, baseUrl) {
+  const { host } = new URL(baseUrl);
+  return items.map((item) => {
+    let href = item.href;
+    if (href) {
+      const url = new URL(href);
+      if (url.host === host) {
+        href = `${url.pathname}${url.search}${url.hash}`;
+      }
+    }
+    return {
+      label: item.label,
+      href,
+      children: normalizeMenuTree(item.children, baseUrl),
+    };
+  });
+}
+
+// Flatten a tree into { path, href } entries, where `path` is the item's
+// labels from the top level down
+function flattenMenu(items, parents = []) {
+  return items.flatMap((item) => {
+    const labels = [...parents, item.label];
+    return [
+      { path: labels.join(PATH_SEPARATOR), href: item.href },
+      ...flattenMenu(item.children, labels),
+    ];
+  });
+}
+
+// Menu items added, removed or pointing elsewhere between two trees, keyed by
+// their label path. An item moved to another parent shows as removed and
+// added.
+function diffMenus(before, after) {
+  const index = (items) => {
+    const entries = new Map();
+    flattenMenu(items).forEach((entry) => {
+      if (!entries.has(entry.path)) {
+        entries.set(entry.path, entry.href);
+      }
+    });
+    return entries;
+  };
+  const beforeItems = index(before);
+  const afterItems = index(after);
+
+  return {
+    added: [...afterItems.keys()]
+      .filter((key) => !beforeItems.has(key))
+      .map((key) => ({ path: key, href: afterItems.get(key) })),
+    removed: [...beforeItems.keys()]
+      .filter((key) => !afterItems.has(key))
+      .map((key) => ({ path: key, href: beforeItems.get(key) })),
+    changed: [...afterItems.keys()]
+      .filter(
+        (key) =>
+          beforeItems.has(key) && beforeItems.get(key) !== afterItems.get(key)
+      )
+      .map((key) => ({
+        path: key,
+        before: beforeItems.get(key),
+        after: afterItems.get(key),
+      })),
+  };
+}
+
+// Whether a menu diff found anything
+function hasMenuChanges(diff) {
+  return (
+    diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0
+  );
+}
+
+// Whether VISUAL_UPDATE_MENUS=1 asks for the snapshots to be replaced with
+// the menus captured in this run
+function isSnapshotUpdate() {
+  return process.env.VISUAL_UPDATE_MENUS === "1";
+}
+
+// Where an environment's menu snapshot is stored
+function getSnapshotPath(environment, settings = getMenuSettings()) {
+  return path.join(settings.dir, `${environment}.json`);
+}
+
+// Load an environment's approved snapshot, or null before one is recorded
+function readSnapshot(environment, settings = getMenuSettings()) {
+  const snapshotPath = getSnapshotPath(environment, settings);
+  return fs.existsSync(snapshotPath)
+    ? JSON.parse(fs.readFileSync(snapshotPath, "utf8"))
+    : null;
+}
+
+// Replace an environment's snapshot
+function writeSnapshot(environment, snapshot, settings = getMenuSettings()) {
+  const snapshotPath = getSnapshotPath(environment, settings);
+  fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+  fs.writeFileSync(snapshotPath, `${JSON.stringify(snapshot, null, 2)}\n`);
+}
+
+// One line per change in a menu diff
+function describeMenuChanges(diff) {
+  return [
+    ...diff.added.map((item) => `added: ${item.path} → ${item.href}`),
+    ...diff.removed.map((item) => `removed: ${item.path} → ${item.href}`),
+    ...diff.changed.map(
+      (item) => `link changed: ${item.path}: ${item.before} → ${item.after}`
+    ),
+  ];
+}
+
+module.exports = {
+  getMenuSettings,
+  extractMenuTree,
+  normalizeMenuTree,
+  flattenMenu,
+  diffMenus,
+  hasMenuChanges,
+  isSnapshotUpdate,
+  readSnapshot,
+  writeSnapshot,
+  describeMenuChanges,
+};
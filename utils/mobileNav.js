@@ -0,0 +1,76 @@
+const config = require("../config.js");
+
+const DEFAULT_SETTINGS = {
+  devices: ["Phone"],
+  path: "/",
+  toggleSelector: ".mega-menu-toggle",
+  menuSelector: "ul.max-mega-menu",
+  parentSelector: "li.mega-menu-item-has-children",
+  submenuSelector: "ul.mega-sub-menu",
+  linkSelector: "a.mega-menu-link",
+};
+
+// Merge the configured mobile navigation settings with the defaults
+function getMobileNavSettings() {
+  return { ...DEFAULT_SETTINGS, ...(config.mobileNav || {}) };
+}
+
+// The hamburger button: the toggle itself or its first focusable descendant
+function getMenuToggle(page, settings = getMobileNavSettings()) {
+  return page
+    .locator(
+      `${settings.toggleSelector} :is(button, [tabindex], a[href]), ${settings.toggleSelector}`
+    )
+    .first();
+}
+
+// The menu the hamburger opens
+function getMenu(page, settings = getMobileNavSettings()) {
+  return page.locator(settings.menuSelector).first();
+}
+
+// The first top-level item with a submenu
+function getExpandableItem(page, settings = getMobileNavSettings()) {
+  return page
+    .locator(`${settings.menuSelector} > ${settings.parentSelector}`)
+    .first();
+}
+
+// The link that expands an item's submenu, and the submenu itself
+function getItemParts(item, settings = getMobileNavSettings()) {
+  return {
+    link: item.locator(`:scope > ${settings.linkSelector}`),
+    submenu: item.locator(`:scope > ${settings.submenuSelector}`),
+  };
+}
+
+// The first visible link in an open submenu that leads to a page, as
+// { index, href, label } where `index` counts the submenu's `linkSelector`
+// matches, or null
+async function findSubmenuLink(submenu, settings = getMobileNavSettings()) {
+  return submenu.evaluate((element, linkSelector) => {
+    const links = [...element.querySelectorAll(linkSelector)];
+    const index = links.findIndex(
+      (anchor) =>
+        anchor.offsetParent !== null &&
+        /^https?:/i.test(anchor.href) &&
+        !(anchor.getAttribute("href") || "").startsWith("#")
+    );
+    return index === -1
+      ? null
+      : {
+          index,
+          href: links[index].href,
+          label: links[index].innerText.replace(/\s+/g, " ").trim(),
+        };
+  }, settings.linkSelector);
+}
+
+module.exports = {
+  getMobileNavSettings,
+  getMenuToggle,
+  getMenu,
+  getExpandableItem,
+  getItemParts,
+  findSubmenuLink,
+};
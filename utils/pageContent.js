@@ -0,0 +1,388 @@
+// Capture what content editors care about on a page — its visible text and an
+// outline of headings, links, images and form fields — and diff it between
+// staging and prod.
+
+const DEFAULT_OPTIONS = {
+  context: 6,
+  maxEdits: 2000,
+};
+
+// Read the visible text and the outline of a stabilized page
+async function capturePageContent(page) {
+  return page.evaluate(() => {
+    const isVisible = (element) => {
+      const rect = element.getBoundingClientRect();
+      const style = window.getComputedStyle(element);
+      return (
+        rect.width > 0 &&
+        rect.height > 0 &&
+        style.visibility !== "hidden" &&
+        style.display !== "none"
+      );
+    };
+    const clean = (value) => (value || "").replace(/\s+/g, " ").trim();
+    const fieldLabel = (field) => {
+      const label =
+        (field.id &&
+          document.querySelector(`label[for="${CSS.escape(field.id)}"]`)) ||
+        field.closest("label");
+      return clean(
+        (label && label.innerText) ||
+          field.getAttribute("aria-label") ||
+          field.getAttribute("placeholder")
+      );
+    };
+
+    const outline = [];
+    const selector =
+      "h1, h2, h3, h4, h5, h6, a[href], img, input:not([type=hidden]), select, textarea";
+    for (const element of document.body.querySelectorAll(selector)) {
+      if (!isVisible(element)) {
+        continue;
+      }
+      const tag = element.tagName.toLowerCase();
+      if (/^h[1-6]$/.test(tag)) {
+        outline.push({
+          type: "heading",
+          level: Number(tag[1]),
+          text: clean(element.innerText),
+        });
+      } else if (tag === "a") {
+        outline.push({
+          type: "link",
+          text: clean(
+            element.innerText ||
+              element.getAttribute("aria-label") ||
+              element.getAttribute("title")
+          ),
+          href: element.href,
+        });
+      } else if (tag === "img") {
+        const src = element.currentSrc || element.src || "";
+        outline.push({
+          type: "image",
+          alt: clean(element.getAttribute("alt")),
+          file: src.split("?")[0].split("/").pop(),
+        });
+      } else {
+        outline.push({
+          type: "field",
+          tag,
+          inputType: element.getAttribute("type") || tag,
+          name: element.getAttribute("name") || "",
+          label: fieldLabel(element),
+          required: element.required,
+        });
+      }
+    }
+
+    return {
+      host: window.location.host,
+      text: document.body.innerText,
+      outline,
+    };
+  });
+}
+
+// Shortest edit script between two sequences (Myers' algorithm) as runs of
+// { type: "equal" | "removed" | "added", items }. Returns null when the
+// sequences need more than `maxEdits` edits.
+function diffSequences(a, b, maxEdits) {
+  // Common prefix and suffix are equal runs; only the middle is searched
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+  const oldItems = a.slice(prefix, a.length - suffix);
+  const newItems = b.slice(prefix, b.length - suffix);
+  const n = oldItems.length;
+  const m = newItems.length;
+  // Every edit script needs at least the difference in length
+  if (Math.abs(n - m) > maxEdits) {
+    return null;
+  }
+
+  const edits = [];
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // Diagonals -(d + 1)..d + 1 of `v` before step d: all the walk back reads
+  const trace = [];
+  let found = max === 0;
+
+  for (let d = 0; d <= Math.min(max, maxEdits) && !found; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && oldItems[x] === newItems[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+  if (!found) {
+    return null;
+  }
+
+  // Walk the trace back from the end to recover the edits
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0 && max > 0; d--) {
+    const previous = trace[d];
+    const at = (diagonal) => previous[diagonal + d + 1];
+    const k = x - y;
+    const previousK =
+      k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const previousX = at(previousK);
+    const previousY = previousX - previousK;
+    while (x > previousX && y > previousY) {
+      edits.push({ type: "equal", item: oldItems[--x] });
+      y--;
+    }
+    if (d > 0) {
+      edits.push(
+        x === previousX
+          ? { type: "added", item: newItems[--y] }
+          : { type: "removed", item: oldItems[--x] }
+      );
+    }
+  }
+  edits.reverse();
+
+  const all = [
+    ...a.slice(0, prefix).map((item) => ({ type: "equal", item })),
+    ...edits,
+    ...a.slice(a.length - suffix).map((item) => ({ type: "equal", item })),
+  ];
+  return all.reduce((runs, { type, item }) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) {
+      last.items.push(item);
+    } else {
+      runs.push({ type, items: [item] });
+    }
+    return runs;
+  }, []);
+}
+
+// Word-level diff of the visible text. Long unchanged stretches are cut down
+// to `context` words on either side of each change.
+function diffText(oldText, newText, { context, maxEdits }) {
+  const words = (text) => text.split(/\s+/).filter(Boolean);
+  const oldWords = words(oldText);
+  const newWords = words(newText);
+  const runs = diffSequences(oldWords, newWords, maxEdits);
+  if (!runs) {
+    return {
+      tooManyChanges: true,
+      added: newWords.length,
+      removed: oldWords.length,
+      runs: [],
+    };
+  }
+
+  const count = (type) =>
+    runs
+      .filter((run) => run.type === type)
+      .reduce((total, run) => total + run.items.length, 0);
+  return {
+    tooManyChanges: false,
+    added: count("added"),
+    removed: count("removed"),
+    runs: runs.map((run, index) => {
+      if (run.type !== "equal" || run.items.length <= context * 2) {
+        return { type: run.type, text: run.items.join(" ") };
+      }
+      const head = index > 0 ? run.items.slice(0, context) : [];
+      const tail = index < runs.length - 1 ? run.items.slice(-context) : [];
+      return {
+        type: "equal",
+        text: [...head, "…", ...tail].join(" "),
+      };
+    }),
+  };
+}
+
+// Link target with the page's own host stripped, so the same internal link
+// compares equal on staging and prod
+function normalizeHref(href, host) {
+  try {
+    const url = new URL(href);
+    return url.host === host
+      ? `${url.pathname}${url.search}${url.hash}`
+      : url.href;
+  } catch (error) {
+    return href;
+  }
+}
+
+// One comparable line per outline item
+function describeOutlineItem(item, host) {
+  switch (item.type) {
+    case "heading":
+      return `h${item.level}: ${item.text}`;
+    case "link":
+      return `link: ${item.text || "(no text)"} → ${normalizeHref(
+        item.href,
+        host
+      )}`;
+    case "image":
+      return `image: ${item.alt ? `"${item.alt}"` : "(no alt)"} ${item.file}`;
+    default:
+      return `field ${item.inputType}${item.name ? ` ${item.name}` : ""}: ${
+        item.label || "(no label)"
+      }${item.required ? " (required)" : ""}`;
+  }
+}
+
+// Pair removed headings with the headings added in their place; the rest
+// are sections missing from one side
+function compareHeadings(runs) {
+  const changedHeadings = [];
+  const onlyOnStaging = [];
+  const onlyOnProd = [];
+  const headings = (items) => items.filter((item) => /^h\d: /.test(item));
+
+  runs.forEach((run, index) => {
+    if (run.type === "removed") {
+      const removed = headings(run.items);
+      const next = runs[index + 1];
+      const added = next && next.type === "added" ? headings(next.items) : [];
+      removed.forEach((heading, position) => {
+        if (position < added.length) {
+          changedHeadings.push({ staging: heading, prod: added[position] });
+        } else {
+          onlyOnStaging.push(heading);
+        }
+      });
+    } else if (run.type === "added") {
+      const previous = runs[index - 1];
+      const paired =
+        previous && previous.type === "removed"
+          ? headings(previous.items).length
+          : 0;
+      onlyOnProd.push(...headings(run.items).slice(paired));
+    }
+  });
+
+  return { changedHeadings, onlyOnStaging, onlyOnProd };
+}
+
+// Links with the same text that point somewhere different on each side
+function compareLinkTargets(staging, prod) {
+  const targetsByText = ({ outline, host }) =>
+    outline
+      .filter((item) => item.type === "link" && item.text)
+      .reduce((targets, item) => {
+        const href = normalizeHref(item.href, host);
+        targets[item.text] = targets[item.text] || [];
+        if (!targets[item.text].includes(href)) {
+          targets[item.text].push(href);
+        }
+        return targets;
+      }, {});
+  const stagingTargets = targetsByText(staging);
+  const prodTargets = targetsByText(prod);
+
+  return Object.keys(stagingTargets)
+    .filter(
+      (text) =>
+        prodTargets[text] &&
+        stagingTargets[text].join("\n") !== prodTargets[text].join("\n")
+    )
+    .map((text) => ({
+      text,
+      staging: stagingTargets[text],
+      prod: prodTargets[text],
+    }));
+}
+
+// Compare the content captured on staging and prod: a word-level text diff,
+// the outline items only on one side, and flags for missing sections,
+// changed headings and altered link targets
+function diffPageContent(staging, prod, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const stagingOutline = staging.outline.map((item) =>
+    describeOutlineItem(item, staging.host)
+  );
+  const prodOutline = prod.outline.map((item) =>
+    describeOutlineItem(item, prod.host)
+  );
+  const outlineRuns = diffSequences(
+    stagingOutline,
+    prodOutline,
+    settings.maxEdits
+  ) || [
+    { type: "removed", items: stagingOutline },
+    { type: "added", items: prodOutline },
+  ];
+  const changedItems = (type) =>
+    outlineRuns.filter((run) => run.type === type).flatMap((run) => run.items);
+  const headings = compareHeadings(outlineRuns);
+  const alteredLinks = compareLinkTargets(staging, prod);
+  const text = diffText(staging.text, prod.text, settings);
+
+  return {
+    changed:
+      text.added + text.removed > 0 ||
+      outlineRuns.some((run) => run.type !== "equal"),
+    text,
+    outline: {
+      onlyOnStaging: changedItems("removed"),
+      onlyOnProd: changedItems("added"),
+    },
+    flags: {
+      missingSections: {
+        staging: headings.onlyOnProd,
+        prod: headings.onlyOnStaging,
+      },
+      changedHeadings: headings.changedHeadings,
+      alteredLinks,
+    },
+  };
+}
+
+// One line per flag raised by diffPageContent
+function describeContentFlags(contentDiff) {
+  if (!contentDiff) {
+    return [];
+  }
+  const { missingSections, changedHeadings, alteredLinks } = contentDiff.flags;
+  return [
+    ...missingSections.prod.map((heading) => `Missing on prod: ${heading}`),
+    ...missingSections.staging.map(
+      (heading) => `Missing on staging: ${heading}`
+    ),
+    ...changedHeadings.map(
+      ({ staging, prod }) => `Heading changed: ${staging} → ${prod}`
+    ),
+    ...alteredLinks.map(
+      ({ text, staging, prod }) =>
+        `Link "${text}" changed: ${staging.join(", ")} → ${prod.join(", ")}`
+    ),
+  ];
+}
+
+module.exports = {
+  capturePageContent,
+  diffSequences,
+  diffPageContent,
+  describeContentFlags,
+};
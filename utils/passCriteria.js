@@ -0,0 +1,68 @@
+const config = require("../config.js");
+const { describeRun } = require("./results.js");
+
+const DEFAULT_CRITERIA = {
+  maxFailures: 0,
+  failOnError: true,
+};
+
+// Merge the configured pass criteria with the defaults
+function getPassCriteria() {
+  return { ...DEFAULT_CRITERIA, ...(config.passCriteria || {}) };
+}
+
+// List the reasons a page result fails the pass criteria (empty if it passes)
+function evaluatePage(result, criteria = getPassCriteria()) {
+  if (typeof result.similarityPercentage !== "number") {
+    return criteria.failOnError
+      ? [`comparison failed: ${result.error || "unknown error"}`]
+      : [];
+  }
+  if (result.similarityPercentage < result.threshold) {
+    return [
+      `similarity ${result.similarityPercentage.toFixed(2)}%${
+        result.strategy ? ` (${result.strategy})` : ""
+      } is below ${result.threshold}%`,
+    ];
+  }
+  return [];
+}
+
+// Apply the pass criteria to every device's results in a run
+function evaluateRun(deviceRuns, criteria = getPassCriteria()) {
+  const failingPages = deviceRuns.flatMap(({ project, deviceName, results }) =>
+    results
+      .map((result) => ({
+        project,
+        deviceName,
+        pagePath: result.pagePath,
+        problems: evaluatePage(result, criteria),
+      }))
+      .filter((page) => page.problems.length > 0)
+  );
+
+  return {
+    criteria,
+    failingPages,
+    passed: failingPages.length <= criteria.maxFailures,
+  };
+}
+
+// One line per failing page, for failure messages and logs
+function formatFailingPages(failingPages) {
+  return failingPages
+    .map(
+      ({ project, deviceName, pagePath, problems }) =>
+        `  ${describeRun({ project, deviceName })} ${pagePath}: ${problems.join(
+          "; "
+        )}`
+    )
+    .join("\n");
+}
+
+module.exports = {
+  getPassCriteria,
+  evaluatePage,
+  evaluateRun,
+  formatFailingPages,
+};
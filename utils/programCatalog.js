@@ -0,0 +1,253 @@
+const config = require("../config.js");
+const { formatTable } = require("./siteChecks.js");
+
+const DEFAULT_SETTINGS = {
+  pagePatterns: [],
+  tag: "program",
+  matchThreshold: 0.6,
+  aliases: {},
+  ignoreOptions: [],
+};
+
+// Words that say nothing about which program a name refers to
+const STOP_WORDS = new Set([
+  "a",
+  "and",
+  "concentration",
+  "degree",
+  "for",
+  "in",
+  "of",
+  "online",
+  "program",
+  "the",
+  "uis",
+  "with",
+]);
+
+// Spellings and abbreviations used interchangeably in labels and slugs
+const SYNONYMS = {
+  cert: "certificate",
+  certificates: "certificate",
+  certification: "certificate",
+  graduate: "certificate",
+  managment: "management",
+  mgmt: "management",
+  master: "masters",
+  ms: "masters",
+  hr: "human-resources",
+  human: "human-resources",
+  resource: "human-resources",
+  resources: "human-resources",
+  it: "information-technology",
+  information: "information-technology",
+  technology: "information-technology",
+};
+
+// Merge the configured program catalog settings with the defaults
+function getProgramCatalogSettings() {
+  return { ...DEFAULT_SETTINGS, ...(config.programCatalog || {}) };
+}
+
+// The routes.js pages that each describe one program: those matching a
+// `pagePatterns` expression or tagged with `tag`
+function getProgramRoutes(routes, settings = getProgramCatalogSettings()) {
+  const patterns = settings.pagePatterns.map((pattern) => new RegExp(pattern));
+  return routes.filter(
+    (route) =>
+      !route.skip &&
+      (route.tags.includes(settings.tag) ||
+        patterns.some((pattern) => pattern.test(route.path)))
+  );
+}
+
+// The options of a program select, without the empty placeholder
+async function readProgramOptions(page, selector) {
+  return page.$$eval(`${selector} option`, (options) =>
+    options
+      .filter((option) => option.value !== "")
+      .map((option) => ({
+        value: option.value,
+        label: option.textContent.replace(/\s+/g, " ").trim(),
+      }))
+  );
+}
+
+// The program's name as its page presents it: the first heading, else the
+// document title up to its first separator
+async function readProgramName(page) {
+  return page.evaluate(() => {
+    const heading = document.querySelector("h1");
+    const text = heading ? heading.innerText.replace(/\s+/g, " ").trim() : "";
+    return text || document.title.split(/\s[|–-]\s/)[0].trim();
+  });
+}
+
+// Options added, removed or relabeled between staging and prod, by value
+function diffOptions(stagingOptions, prodOptions) {
+  const prodByValue = new Map(
+    prodOptions.map((option) => [option.value, option])
+  );
+  const stagingValues = new Set(stagingOptions.map((option) => option.value));
+  return {
+    onlyOnStaging: stagingOptions.filter(
+      (option) => !prodByValue.has(option.value)
+    ),
+    onlyOnProd: prodOptions.filter(
+      (option) => !stagingValues.has(option.value)
+    ),
+    relabeled: stagingOptions
+      .filter(
+        (option) =>
+          prodByValue.has(option.value) &&
+          prodByValue.get(option.value).label !== option.label
+      )
+      .map((option) => ({
+        value: option.value,
+        staging: option.label,
+        prod: prodByValue.get(option.value).label,
+      })),
+  };
+}
+
+// The distinct meaningful words of a name or path slug
+function nameTokens(name) {
+  return new Set(
+    name
+      .toLowerCase()
+      .replace(/['’]/g, "")
+      .split(/[^a-z0-9]+/)
+      .filter((word) => word && !STOP_WORDS.has(word))
+      .map((word) => SYNONYMS[word] || word)
+  );
+}
+
+// Dice coefficient of two names' words, from 0 (nothing shared) to 1
+function nameSimilarity(a, b) {
+  const tokensA = nameTokens(a);
+  const tokensB = nameTokens(b);
+  if (tokensA.size === 0 || tokensB.size === 0) {
+    return 0;
+  }
+  const shared = [...tokensA].filter((token) => tokensB.has(token)).length;
+  return (2 * shared) / (tokensA.size + tokensB.size);
+}
+
+// Pair program pages ({ pagePath, name }) with select options one to one.
+// `aliases` pairs are fixed first; the rest are paired best score first,
+// comparing each option label with the page name and with its path slugs.
+// Pages left over have no option; options left over have no page.
+function matchCatalog(options, pages, settings = getProgramCatalogSettings()) {
+  const candidates = options.filter(
+    (option) => !settings.ignoreOptions.includes(option.label)
+  );
+  const matches = [];
+  const matchedPages = new Set();
+  const matchedOptions = new Set();
+  const pair = (page, option, score) => {
+    matches.push({ pagePath: page.pagePath, name: page.name, option, score });
+    matchedPages.add(page.pagePath);
+    matchedOptions.add(option.value);
+  };
+
+  pages.forEach((page) => {
+    const alias = settings.aliases[page.pagePath];
+    const option =
+      alias && candidates.find((candidate) => candidate.label === alias);
+    if (option && !matchedOptions.has(option.value)) {
+      pair(page, option, 1);
+    }
+  });
+
+  const scored = pages
+    .filter((page) => !matchedPages.has(page.pagePath))
+    .flatMap((page) => {
+      const slugs = page.pagePath.split("/").filter(Boolean).slice(-2);
+      return candidates.map((option) => ({
+        page,
+        option,
+        score: Math.max(
+          page.name ? nameSimilarity(page.name, option.label) : 0,
+          nameSimilarity(slugs.join(" "), option.label),
+          nameSimilarity(slugs[slugs.length - 1] || "", option.label)
+        ),
+      }));
+    })
+    .filter(({ score }) => score >= settings.matchThreshold)
+    .sort((a, b) => b.score - a.score);
+  scored.forEach(({ page, option, score }) => {
+    if (!matchedPages.has(page.pagePath) && !matchedOptions.has(option.value)) {
+      pair(page, option, score);
+    }
+  });
+
+  return {
+    matches,
+    pagesWithoutOption: pages.filter(
+      (page) => !matchedPages.has(page.pagePath)
+    ),
+    optionsWithoutPage: candidates.filter(
+      (option) => !matchedOptions.has(option.value)
+    ),
+  };
+}
+
+// One row per problem found for a form: [form, environment, problem, detail]
+function describeProgramProblems(formName, { parity, catalog }) {
+  const rows = [
+    ...parity.onlyOnStaging.map((option) => [
+      formName,
+      "staging",
+      "option missing on prod",
+      `${option.label} (${option.value})`,
+    ]),
+    ...parity.onlyOnProd.map((option) => [
+      formName,
+      "prod",
+      "option missing on staging",
+      `${option.label} (${option.value})`,
+    ]),
+    ...parity.relabeled.map(({ value, staging, prod }) => [
+      formName,
+      "both",
+      "option relabeled",
+      `${value}: "${staging}" on staging, "${prod}" on prod`,
+    ]),
+  ];
+  Object.entries(catalog).forEach(([environment, result]) => {
+    result.pagesWithoutOption.forEach((page) =>
+      rows.push([
+        formName,
+        environment,
+        "program page has no option",
+        `${page.pagePath}${page.name ? ` (${page.name})` : ""}`,
+      ])
+    );
+    result.optionsWithoutPage.forEach((option) =>
+      rows.push([
+        formName,
+        environment,
+        "option has no program page",
+        `${option.label} (${option.value})`,
+      ])
+    );
+  });
+  return rows;
+}
+
+// Plain-text table of program problems, for test failures
+function formatProgramTable(rows) {
+  return formatTable(["Form", "Environment", "Problem", "Detail"], rows);
+}
+
+module.exports = {
+  getProgramCatalogSettings,
+  getProgramRoutes,
+  readProgramOptions,
+  readProgramName,
+  diffOptions,
+  nameSimilarity,
+  matchCatalog,
+  describeProgramProblems,
+  formatProgramTable,
+};
@@ -0,0 +1,756 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("../config.js");
+const {
+  pathToFileName,
+  getScreenshotDir,
+  describeRun,
+  getDeviceReportPath,
+} = require("./results.js");
+const { buildJUnitXml } = require("./junitReport.js");
+const { evaluateRun } = require("./passCriteria.js");
+const { describeContentFlags } = require("./pageContent.js");
+const { summarizeAccessibility } = require("./accessibility.js");
+const {
+  VIEWER_STYLES,
+  VIEWER_MARKUP,
+  VIEWER_SCRIPT,
+  renderToolbar,
+  escapeHtml,
+} = require("./reportViewer.js");
+
+const REPORT_DATA_PATH = "visual_comparison_report.json";
+const JUNIT_REPORT_PATH = "visual_comparison_report.junit.xml";
+const HISTORY_PAGE_PATH = `${
+  (config.history && config.history.dir) || "visual-history"
+}/index.html`;
+
+let chalk;
+
+// Dynamically load `chalk`
+const chalkReady = (async () => {
+  chalk = (await import("chalk")).default;
+})();
+
+// Similarity a result needs to pass: its route's threshold or the default
+function getPassThreshold(result) {
+  return typeof result.threshold === "number"
+    ? result.threshold
+    : config.comparison.passThreshold;
+}
+
+// Classify a result as "pass", "fail" or "error"
+function getStatus(result) {
+  if (typeof result.similarityPercentage !== "number") {
+    return "error";
+  }
+  return result.similarityPercentage >= getPassThreshold(result)
+    ? "pass"
+    : "fail";
+}
+
+// Count passed, failed and errored pages in a result set
+function summarizeResults(results) {
+  return {
+    total: results.length,
+    passed: results.filter((r) => getStatus(r) === "pass").length,
+    failed: results.filter((r) => getStatus(r) === "fail").length,
+    errors: results.filter((r) => getStatus(r) === "error").length,
+  };
+}
+
+// Screenshot paths for a result, falling back to the naming convention for
+// results recorded before artifact paths were stored
+function getArtifacts(result, project, deviceName) {
+  if (result.artifacts) {
+    return result.artifacts;
+  }
+  const fileName = `${pathToFileName(result.pagePath)}.png`;
+  const baseDir = project
+    ? getScreenshotDir(project, deviceName).split(path.sep).join("/")
+    : `screenshots/${deviceName}`;
+  return {
+    staging: `${baseDir}/staging/${fileName}`,
+    prod: `${baseDir}/prod/${fileName}`,
+    diff: `${baseDir}/diff/${fileName}`,
+    annotated: `${baseDir}/annotated/${fileName}`,
+  };
+}
+
+// Every strategy's score for a result, the one that decides pass/fail first.
+// Strategy details (shifted rows, anti-aliased pixels, ...) go in the tooltip.
+function renderScores(result) {
+  if (!result.scores) {
+    return "";
+  }
+  const names = [
+    result.strategy,
+    ...Object.keys(result.scores).filter((name) => name !== result.strategy),
+  ];
+  const scores = names.map((name) => {
+    const { score, ...details } = result.scores[name];
+    const title = Object.entries(details)
+      .map(([key, value]) => `${key}: ${value}`)
+      .join(", ");
+    const label = `${name} ${score.toFixed(2)}%`;
+    return `<span title="${escapeHtml(title)}">${
+      name === result.strategy ? `<strong>${label}</strong>` : label
+    }</span>`;
+  });
+  return `<div class="scores">${scores.join("<br />")}</div>`;
+}
+
+// Numbered list of the changed regions and the elements under them
+function renderDiffRegions(result) {
+  if (!result.diffRegions) {
+    return "";
+  }
+  if (result.diffRegions.length === 0) {
+    return "<div>No visual changes</div>";
+  }
+  return `<div><strong>Visual</strong></div><ol>${result.diffRegions
+    .map(
+      (region) =>
+        `<li value="${region.id}" title="${region.width}x${
+          region.height
+        }px at ${region.x},${region.y}; ${
+          region.changedPixels
+        } changed pixels">${escapeHtml(region.summary)}</li>`
+    )
+    .join("")}</ol>`;
+}
+
+// Content flags, then the word-level text diff and the outline items found on
+// only one side, collapsed
+function renderContentDiff(result) {
+  const diff = result.contentDiff;
+  if (!diff) {
+    return "";
+  }
+  if (!diff.changed) {
+    return "<div>No content changes</div>";
+  }
+
+  const flags = describeContentFlags(diff);
+
+  const text = diff.text.tooManyChanges
+    ? "Text rewritten (too many changes to diff)"
+    : diff.text.runs
+        .map(({ type, text: words }) =>
+          type === "added"
+            ? `<ins>${escapeHtml(words)}</ins>`
+            : type === "removed"
+            ? `<del>${escapeHtml(words)}</del>`
+            : escapeHtml(words)
+        )
+        .join(" ");
+  const outlineItems = [
+    ...diff.outline.onlyOnStaging.map(
+      (item) => `<li><del>${escapeHtml(item)}</del></li>`
+    ),
+    ...diff.outline.onlyOnProd.map(
+      (item) => `<li><ins>${escapeHtml(item)}</ins></li>`
+    ),
+  ];
+
+  return `<div><strong>Content</strong></div>${flags
+    .map((flag) => `<div class="warn">${escapeHtml(flag)}</div>`)
+    .join("")}
+          <details><summary>Text: +${diff.text.added} / -${
+    diff.text.removed
+  } words</summary><p class="text-diff">${text}</p></details>${
+    outlineItems.length > 0
+      ? `
+          <details><summary>Outline: ${
+            diff.outline.onlyOnStaging.length
+          } only on staging, ${
+          diff.outline.onlyOnProd.length
+        } only on prod</summary><ul>${outlineItems.join("")}</ul></details>`
+      : ""
+  }`;
+}
+
+// Accessibility issues per rule on staging and prod, then the issues the
+// release introduces and fixes, collapsed
+function renderAccessibility(result) {
+  const audit = result.accessibility;
+  if (!audit) {
+    return "N/A";
+  }
+  const rules = Object.keys(audit.staging.counts).filter(
+    (rule) => audit.staging.counts[rule] > 0 || audit.prod.counts[rule] > 0
+  );
+  if (rules.length === 0) {
+    return "No issues";
+  }
+  const findingItems = (findings, tag) =>
+    findings
+      .map(
+        ({ rule, target, detail }) =>
+          `<li title="${escapeHtml(target)}"><${tag}>${escapeHtml(
+            `${rule}: ${detail}`
+          )}</${tag}></li>`
+      )
+      .join("");
+
+  return `<ul>${rules
+    .map((rule) => {
+      const staging = audit.staging.counts[rule];
+      const prod = audit.prod.counts[rule];
+      return `<li${staging > prod ? ' class="warn"' : ""}>${escapeHtml(
+        rule
+      )}: ${staging} staging / ${prod} prod</li>`;
+    })
+    .join("")}</ul>${
+    audit.introduced.length > 0
+      ? `
+          <details><summary class="warn">${
+            audit.introduced.length
+          } introduced</summary><ul>${findingItems(
+          audit.introduced,
+          "ins"
+        )}</ul></details>`
+      : ""
+  }${
+    audit.fixed.length > 0
+      ? `
+          <details><summary>${
+            audit.fixed.length
+          } fixed</summary><ul>${findingItems(
+          audit.fixed,
+          "del"
+        )}</ul></details>`
+      : ""
+  }`;
+}
+
+// Table of accessibility issues grouped by rule across the device's pages,
+// with the pages where the release introduces issues
+function renderAccessibilitySummary(results) {
+  const rules = summarizeAccessibility(results);
+  if (rules.length === 0) {
+    return "";
+  }
+  return `
+      <h2>Accessibility</h2>
+      <table class="accessibility">
+        <thead>
+          <tr>
+            <th>Rule</th>
+            <th>Staging Issues</th>
+            <th>Prod Issues</th>
+            <th>Introduced</th>
+            <th>Fixed</th>
+            <th>Pages With New Issues</th>
+          </tr>
+        </thead>
+        <tbody>${rules
+          .map(
+            (rule) => `
+          <tr>
+            <td title="${escapeHtml(rule.description)}">${escapeHtml(
+              rule.rule
+            )}</td>
+            <td>${rule.staging}</td>
+            <td>${rule.prod}</td>
+            <td class="${rule.introduced > 0 ? "fail" : "pass"}">${
+              rule.introduced
+            }</td>
+            <td>${rule.fixed}</td>
+            <td class="changes">${escapeHtml(rule.pages.join(", "))}</td>
+          </tr>`
+          )
+          .join("")}
+        </tbody>
+      </table>`;
+}
+
+// The two images a result compares and how the report labels them
+function getComparedImages(result, artifacts) {
+  if (result.mode === "baseline") {
+    const environment = result.environment === "prod" ? "Prod" : "Staging";
+    return {
+      before: { path: artifacts.baseline, label: "Approved" },
+      after: { path: artifacts.current, label: environment },
+      environments: [result.environment],
+    };
+  }
+  return {
+    before: { path: artifacts.staging, label: "Staging" },
+    after: { path: artifacts.prod, label: "Prod" },
+    environments: ["staging", "prod"],
+  };
+}
+
+// Generate HTML report
+function generateHtmlReport(
+  results,
+  project,
+  deviceName,
+  contextOptions = {},
+  generatedAt = new Date()
+) {
+  const reportPath = getDeviceReportPath({ project, deviceName });
+  const runLabel = describeRun({ project, deviceName });
+  const now = new Date(generatedAt).toLocaleString();
+  const summary = summarizeResults(results);
+  const viewport = contextOptions.viewport
+    ? `${contextOptions.viewport.width}x${contextOptions.viewport.height}`
+    : "default";
+  const tags = [...new Set(results.flatMap((result) => result.tags || []))];
+  const environments = `
+    <a href="${config.staging.baseUrl}" target="_blank" style="color: rgb(255, 165, 0); font-weight: bold;">Staging</a>,
+    <a href="${config.prod.baseUrl}" target="_blank" style="color: rgb(0, 0, 255); font-weight: bold;">Prod</a>
+  `;
+
+  let htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Visual Comparison Report - ${escapeHtml(runLabel)}</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.5; margin: 20px; }
+        h1, h2 { text-align: center; }
+        .summary { text-align: center; margin: 20px 0; }
+        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: center; }
+        th { background-color: #f2f2f2; }
+        .pass { color: green; font-weight: bold; }
+        .fail { color: red; font-weight: bold; }
+        .error { color: orange; font-weight: bold; }
+        .warn { color: darkorange; }
+        .masked {
+          padding: 2px 6px;
+          background: repeating-linear-gradient(45deg, #a0a0a0 0 6px, #e6e6e6 6px 12px);
+        }
+        img { max-width: 150px; cursor: pointer; margin: 5px; }
+        .staging { color: rgb(255, 165, 0); font-weight: bold; }
+        .prod { color: rgb(0, 0, 255); font-weight: bold; }
+        .thumbnail-wrapper { display: inline-block; text-align: center; margin: 5px; }
+        .thumbnail-label { font-size: 12px; font-weight: bold; margin-top: 5px; }
+        .changes { text-align: left; font-size: 13px; }
+        .changes ol, .changes ul { margin: 0; padding-left: 20px; }
+        .changes details { margin-top: 5px; }
+        .text-diff { max-width: 500px; max-height: 300px; overflow: auto; }
+        ins { background: #d4f8d4; text-decoration: none; }
+        del { background: #fbd3d3; }
+        .scores { font-size: 11px; color: #555; margin-top: 5px; white-space: nowrap; }${VIEWER_STYLES}      </style>
+    </head>
+    <body>
+      <h1>Visual Comparison Report</h1>
+      <h2>Device: ${escapeHtml(runLabel)}</h2>
+      <div class="summary">
+        <p>Viewport: ${viewport}${contextOptions.isMobile ? " (mobile)" : ""}${
+    contextOptions.hasTouch ? " (touch)" : ""
+  }</p>
+        <p>Total Pages Tested: ${summary.total}</p>
+        <p>Passed: ${summary.passed}</p>
+        <p>Failed: ${summary.failed}</p>
+        <p>Errors: ${summary.errors}</p>
+        <p>Last Run: ${now}</p>
+        <p>Environments Tested: ${environments}</p>
+      </div>${renderAccessibilitySummary(results)}${renderToolbar(tags)}
+      <table id="results" data-device="${escapeHtml(
+        deviceName
+      )}" data-project="${escapeHtml(project || "")}">
+        <thead>
+          <tr>
+            <th>Page</th>
+            <th id="similarity-header" class="sortable" title="Sort by similarity">Similarity</th>
+            <th>Height</th>
+            <th>Masked</th>
+            <th>Stabilization</th>
+            <th>Changes</th>
+            <th>Accessibility</th>
+            <th>Status</th>
+            <th>Thumbnails</th>
+          </tr>
+        </thead>
+        <tbody>
+  `;
+
+  results.forEach((result, index) => {
+    const artifacts = getArtifacts(result, project, deviceName);
+    const { before, after, environments } = getComparedImages(
+      result,
+      artifacts
+    );
+    const thumbnails = [
+      before,
+      after,
+      { path: artifacts.diff, label: "Diff" },
+      { path: artifacts.annotated, label: "Regions" },
+    ];
+    const reviewDiff =
+      artifacts.annotated && fs.existsSync(artifacts.annotated)
+        ? artifacts.annotated
+        : artifacts.diff;
+
+    const stagingUrl = `${config.staging.baseUrl}${result.pagePath}`;
+    const prodUrl = `${config.prod.baseUrl}${
+      result.prodPath || result.pagePath
+    }`;
+
+    // Interactive states have no baselines to approve
+    const approvable = !result.state;
+    const status = getStatus(result);
+    const statusClass = status === "pass" ? "pass" : "fail";
+    const similarityLabel =
+      typeof result.similarityPercentage === "number"
+        ? result.similarityPercentage.toFixed(2) + "%"
+        : result.similarityPercentage;
+    const resultTags = result.tags || [];
+
+    let heightCell = "N/A";
+    if (result.dimensions) {
+      const { baseline, current } = result.dimensions;
+      heightCell =
+        result.heightDifference === 0
+          ? `${baseline.height}px`
+          : `<span class="warn">${before.label} ${baseline.height}px / ${
+              after.label
+            } ${current.height}px (${result.heightDifference > 0 ? "+" : ""}${
+              result.heightDifference
+            }px)</span>`;
+    }
+
+    let maskedCell = "None";
+    if (result.ignoreRegions && result.ignoreRegions.length > 0) {
+      const sources = [
+        ...new Set(result.ignoreRegions.map((region) => region.source)),
+      ];
+      const maskedShare =
+        (result.maskedPixels / (result.comparedPixels + result.maskedPixels)) *
+        100;
+      maskedCell = `<span class="masked" title="${escapeHtml(
+        sources.join(", ")
+      )}">${result.ignoreRegions.length} regions (${maskedShare.toFixed(
+        1
+      )}%)</span>`;
+    }
+
+    let stabilizationCell = "N/A";
+    if (result.stabilization) {
+      const issues = Object.keys(result.stabilization)
+        .map((env) => {
+          const { timedOut, failed } = result.stabilization[env];
+          const steps = [
+            ...timedOut.map((step) => `${step} timed out`),
+            ...failed.map((step) => `${step} failed`),
+          ];
+          return steps.length > 0 ? `${env}: ${steps.join(", ")}` : null;
+        })
+        .filter(Boolean);
+      stabilizationCell =
+        issues.length > 0
+          ? `<span class="warn">${issues.join("<br />")}</span>`
+          : "OK";
+    }
+
+    htmlContent += `
+      <tr data-index="${index}" data-path="${escapeHtml(
+      result.pagePath
+    )}" data-status="${status}" data-similarity="${
+      typeof result.similarityPercentage === "number"
+        ? result.similarityPercentage
+        : ""
+    }" data-similarity-label="${escapeHtml(
+      similarityLabel
+    )}" data-tags="${escapeHtml(
+      resultTags.join(",")
+    )}" data-before="${escapeHtml(
+      before.path || ""
+    )}" data-before-label="${escapeHtml(
+      before.label
+    )}" data-after="${escapeHtml(after.path)}" data-after-label="${escapeHtml(
+      after.label
+    )}" data-diff="${escapeHtml(
+      reviewDiff
+    )}" data-environments="${environments.join(
+      ","
+    )}" data-staging-url="${escapeHtml(
+      stagingUrl
+    )}" data-prod-url="${escapeHtml(prodUrl)}" data-approvable="${approvable}">
+        <td>
+          <div class="page-path">${escapeHtml(result.pagePath)}</div>${
+      resultTags.length > 0
+        ? `<div class="tags">${escapeHtml(resultTags.join(", "))}</div>`
+        : ""
+    }
+          ${
+            result.mode === "baseline"
+              ? `<div class="thumbnail-label">vs approved baseline</div>`
+              : ""
+          }
+          ${environments
+            .map((env) =>
+              env === "staging"
+                ? `<a href="${escapeHtml(
+                    stagingUrl
+                  )}" target="_blank" class="staging">Staging</a>`
+                : `<a href="${escapeHtml(
+                    prodUrl
+                  )}" target="_blank" class="prod">Prod</a>`
+            )
+            .join(" | ")}
+          <div>
+            <button type="button" class="review-button">Review</button>${
+              approvable
+                ? `
+            <button type="button" class="decision-button" data-decision="approve" title="Approve as baseline">Approve</button>
+            <button type="button" class="decision-button" data-decision="reject" title="Reject">Reject</button>`
+                : ""
+            }
+          </div>
+        </td>
+        <td>${escapeHtml(
+          similarityLabel
+        )}<div class="thumbnail-label">min ${getPassThreshold(
+      result
+    )}%</div>${renderScores(result)}</td>
+        <td>${heightCell}</td>
+        <td>${maskedCell}</td>
+        <td>${stabilizationCell}</td>
+        <td class="changes">${
+          renderDiffRegions(result) + renderContentDiff(result) || "N/A"
+        }</td>
+        <td class="changes">${renderAccessibility(result)}</td>
+        <td class="${statusClass}">${
+      status === "error" ? "Error" : status === "pass" ? "Pass" : "Fail"
+    }${
+      result.error
+        ? `<div class="thumbnail-label error">${escapeHtml(result.error)}</div>`
+        : ""
+    }</td>
+        <td>${thumbnails
+          .map(
+            (thumbnail) => `
+          <div class="thumbnail-wrapper">
+            ${
+              thumbnail.path && fs.existsSync(thumbnail.path)
+                ? `<a href="${escapeHtml(
+                    thumbnail.path
+                  )}" target="_blank"><img src="${escapeHtml(
+                    thumbnail.path
+                  )}" alt="${escapeHtml(thumbnail.label)} Thumbnail" /></a>
+                   <div class="thumbnail-label">${escapeHtml(
+                     thumbnail.label
+                   )}</div>`
+                : "N/A"
+            }
+          </div>`
+          )
+          .join("")}
+        </td>
+      </tr>
+    `;
+  });
+
+  htmlContent += `
+        </tbody>
+      </table>${VIEWER_MARKUP}
+      <script>${VIEWER_SCRIPT}</script>
+    </body>
+    </html>
+  `;
+
+  fs.writeFileSync(reportPath, htmlContent);
+  console.log(chalk.green(`HTML report generated: ${reportPath}`));
+}
+
+// Generate combined HTML report linking each device report
+function generateCombinedReport(
+  deviceRuns,
+  generatedAt = new Date(),
+  verdict = null,
+  runId = null
+) {
+  const reportPath = "visual_comparison_report.html";
+  const now = new Date(generatedAt).toLocaleString();
+
+  const rows = deviceRuns
+    .map(({ project, deviceName, contextOptions, results }) => {
+      const summary = summarizeResults(results);
+      const viewport = contextOptions.viewport
+        ? `${contextOptions.viewport.width}x${contextOptions.viewport.height}`
+        : "default";
+      return `
+      <tr>
+        <td><a href="${getDeviceReportPath({
+          project,
+          deviceName,
+        })}">${escapeHtml(deviceName)}</a></td>
+        <td>${escapeHtml(project || "")}</td>
+        <td>${viewport}</td>
+        <td>${contextOptions.isMobile ? "Yes" : "No"}</td>
+        <td>${contextOptions.hasTouch ? "Yes" : "No"}</td>
+        <td>${summary.total}</td>
+        <td class="pass">${summary.passed}</td>
+        <td class="fail">${summary.failed}</td>
+        <td class="error">${summary.errors}</td>
+      </tr>`;
+    })
+    .join("");
+
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Visual Comparison Report - All Devices</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.5; margin: 20px; }
+        h1 { text-align: center; }
+        .summary { text-align: center; margin: 20px 0; }
+        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: center; }
+        th { background-color: #f2f2f2; }
+        .pass { color: green; font-weight: bold; }
+        .fail { color: red; font-weight: bold; }
+        .error { color: orange; font-weight: bold; }
+      </style>
+    </head>
+    <body>
+      <h1>Visual Comparison Report</h1>
+      <div class="summary">
+        <p>Devices Tested: ${deviceRuns.length}</p>${
+    verdict
+      ? `
+        <p class="${verdict.passed ? "pass" : "fail"}">Verdict: ${
+          verdict.passed ? "Pass" : "Fail"
+        } (${verdict.failingPages.length} failing pages, ${
+          verdict.criteria.maxFailures
+        } allowed)</p>`
+      : ""
+  }
+        <p>Last Run: ${now}${runId ? ` (${escapeHtml(runId)})` : ""}</p>${
+    config.history
+      ? `
+        <p><a href="${HISTORY_PAGE_PATH}">Run history and trends</a></p>`
+      : ""
+  }
+      </div>
+      <table>
+        <thead>
+          <tr>
+            <th>Device</th>
+            <th>Browser</th>
+            <th>Viewport</th>
+            <th>Mobile</th>
+            <th>Touch</th>
+            <th>Pages</th>
+            <th>Passed</th>
+            <th>Failed</th>
+            <th>Errors</th>
+          </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+    </body>
+    </html>
+  `;
+
+  fs.writeFileSync(reportPath, htmlContent);
+  console.log(chalk.green(`Combined HTML report generated: ${reportPath}`));
+}
+
+// Identify a run in the history: VISUAL_RUN_ID (e.g. a CI build number) or
+// the time the results were generated, to the millisecond so merges in the
+// same second don't replace each other's archive
+function getRunId(generatedAt) {
+  return process.env.VISUAL_RUN_ID || generatedAt.replace(/:/g, "-");
+}
+
+// Assemble the machine-readable results document the reports are rendered from
+function buildReportData(deviceRuns) {
+  const generatedAt = new Date().toISOString();
+  return {
+    runId: getRunId(generatedAt),
+    generatedAt,
+    environments: {
+      staging: config.staging.baseUrl,
+      prod: config.prod.baseUrl,
+    },
+    summary: summarizeResults(deviceRuns.flatMap((run) => run.results)),
+    verdict: evaluateRun(
+      deviceRuns.map(({ project, deviceName, results }) => ({
+        project,
+        deviceName,
+        results: results.map((result) => ({
+          ...result,
+          threshold: getPassThreshold(result),
+        })),
+      }))
+    ),
+    devices: deviceRuns.map(
+      ({ project, deviceName, contextOptions, results }) => ({
+        project,
+        deviceName,
+        contextOptions,
+        summary: summarizeResults(results),
+        results: results.map((result) => ({
+          ...result,
+          status: getStatus(result),
+          threshold: getPassThreshold(result),
+          artifacts: getArtifacts(result, project, deviceName),
+        })),
+      })
+    ),
+  };
+}
+
+// Render the per-device and combined HTML reports from a results document
+async function renderHtmlReports(data) {
+  await chalkReady;
+  for (const { project, deviceName, contextOptions, results } of data.devices) {
+    generateHtmlReport(
+      results,
+      project,
+      deviceName,
+      contextOptions,
+      data.generatedAt
+    );
+  }
+  generateCombinedReport(
+    data.devices,
+    data.generatedAt,
+    data.verdict,
+    data.runId
+  );
+}
+
+// Write the JSON and JUnit results, then render the HTML reports from them
+async function generateReports(deviceRuns) {
+  await chalkReady;
+  const data = buildReportData(deviceRuns);
+
+  fs.writeFileSync(REPORT_DATA_PATH, JSON.stringify(data, null, 2));
+  console.log(chalk.green(`JSON results written: ${REPORT_DATA_PATH}`));
+  fs.writeFileSync(JUNIT_REPORT_PATH, buildJUnitXml(data));
+  console.log(chalk.green(`JUnit results written: ${JUNIT_REPORT_PATH}`));
+
+  await renderHtmlReports(data);
+  return data;
+}
+
+// Re-render the HTML reports from a saved results document
+async function regenerateReports(dataPath = REPORT_DATA_PATH) {
+  const data = JSON.parse(fs.readFileSync(dataPath, "utf8"));
+  await renderHtmlReports(data);
+  return data;
+}
+
+module.exports = {
+  REPORT_DATA_PATH,
+  JUNIT_REPORT_PATH,
+  HISTORY_PAGE_PATH,
+  escapeHtml,
+  getPassThreshold,
+  getStatus,
+  summarizeResults,
+  generateHtmlReport,
+  generateCombinedReport,
+  buildReportData,
+  generateReports,
+  regenerateReports,
+};
@@ -0,0 +1,419 @@
+// Client-side review UI embedded in each device report. Everything is inlined
+// so the report works when opened straight from disk; screenshots are loaded
+// from their relative paths next to the report.
+
+const VIEWER_STYLES = `
+        .toolbar { display: flex; flex-wrap: wrap; gap: 10px; align-items: center; justify-content: center; margin: 10px 0; }
+        .toolbar input[type="search"] { min-width: 260px; padding: 4px 8px; }
+        .toolbar .hint { font-size: 12px; color: #666; }
+        th.sortable { cursor: pointer; text-decoration: underline dotted; }
+        tr.selected td { background-color: #fff7d6; }
+        .page-path { font-family: monospace; font-size: 13px; }
+        .tags { font-size: 11px; color: #555; }
+        .review-button { cursor: pointer; margin-top: 5px; }
+        .viewer { position: fixed; inset: 0; background: rgba(0, 0, 0, 0.85); z-index: 10; display: flex; flex-direction: column; color: #fff; }
+        .viewer[hidden] { display: none; }
+        .viewer-header { display: flex; flex-wrap: wrap; gap: 10px; align-items: center; padding: 10px 20px; background: #222; }
+        .viewer-header .title { font-family: monospace; flex: 1; }
+        .viewer-header button.active { background: #ffd24d; }
+        .viewer-header a { color: #9cf; }
+        .viewer-body { flex: 1; overflow: auto; padding: 20px; }
+        .viewer img { max-width: none; cursor: default; margin: 0; }
+        .viewer .side-by-side { display: flex; gap: 10px; align-items: flex-start; }
+        .viewer .side-by-side figure { flex: 1; margin: 0; }
+        .viewer .side-by-side img, .viewer .stack img { width: 100%; display: block; }
+        .viewer figcaption { text-align: center; font-weight: bold; }
+        .viewer .stack { position: relative; max-width: 1280px; margin: 0 auto; }
+        .viewer .stack img.top { position: absolute; top: 0; left: 0; }
+        .viewer .zoom img { display: block; margin: 0 auto; }
+        tr.decided-approve td:first-child { box-shadow: inset 4px 0 0 green; }
+        tr.decided-reject td:first-child { box-shadow: inset 4px 0 0 red; }
+        .decision-button.active { font-weight: bold; }
+`;
+
+const VIEWER_MARKUP = `
+      <div class="viewer" id="viewer" hidden>
+        <div class="viewer-header">
+          <span class="title" id="viewer-title"></span>
+          <button type="button" data-mode="side">1 Side by side</button>
+          <button type="button" data-mode="swipe">2 Swipe</button>
+          <button type="button" data-mode="onion">3 Onion skin</button>
+          <button type="button" data-mode="diff">4 Diff</button>
+          <input type="range" id="viewer-slider" min="0" max="100" value="50" title="Swipe position / opacity" />
+          <button type="button" id="zoom-out" title="Zoom out (-)">-</button>
+          <span id="zoom-level">100%</span>
+          <button type="button" id="zoom-in" title="Zoom in (+)">+</button>
+          <button type="button" id="viewer-prev" title="Previous failure (k)">&larr;</button>
+          <button type="button" id="viewer-next" title="Next failure (j)">&rarr;</button>
+          <button type="button" id="viewer-approve" title="Approve as baseline (a)">Approve</button>
+          <button type="button" id="viewer-reject" title="Reject (r)">Reject</button>
+          <button type="button" id="viewer-close" title="Close (Esc)">Close</button>
+        </div>
+        <div class="viewer-body" id="viewer-body"></div>
+      </div>
+`;
+
+// Runs in the browser. Rows carry their data in data-* attributes.
+const VIEWER_SCRIPT = `
+      (function () {
+        var table = document.getElementById("results");
+        var tbody = table.querySelector("tbody");
+        var rows = Array.prototype.slice.call(tbody.querySelectorAll("tr"));
+        var search = document.getElementById("search");
+        var statusFilter = document.getElementById("status-filter");
+        var tagFilter = document.getElementById("tag-filter");
+        var sortSelect = document.getElementById("sort");
+        var counter = document.getElementById("visible-count");
+        var viewer = document.getElementById("viewer");
+        var viewerBody = document.getElementById("viewer-body");
+        var slider = document.getElementById("viewer-slider");
+        var zoomLabel = document.getElementById("zoom-level");
+        var selected = null;
+        var mode = "side";
+        var zoom = 1;
+        var runKey = table.dataset.project + "-" + table.dataset.device;
+        var storageKey = "visual-decisions:" + runKey;
+        var decisions = {};
+        try {
+          decisions = JSON.parse(localStorage.getItem(storageKey)) || {};
+        } catch (error) {
+          decisions = {};
+        }
+
+        function orderedRows() {
+          return Array.prototype.slice.call(tbody.children);
+        }
+
+        function applyFilters() {
+          var query = search.value.trim().toLowerCase();
+          var status = statusFilter.value;
+          var tag = tagFilter.value;
+          rows.forEach(function (row) {
+            var tags = row.dataset.tags ? row.dataset.tags.split(",") : [];
+            row.hidden =
+              (query && row.dataset.path.toLowerCase().indexOf(query) === -1) ||
+              (status && row.dataset.status !== status) ||
+              (tag && tags.indexOf(tag) === -1);
+          });
+          var visible = rows.filter(function (row) { return !row.hidden; });
+          counter.textContent = visible.length + " of " + rows.length + " pages";
+        }
+
+        function sortValue(row, key) {
+          if (key === "similarity") {
+            var similarity = parseFloat(row.dataset.similarity);
+            return isNaN(similarity) ? -1 : similarity;
+          }
+          return Number(row.dataset.index);
+        }
+
+        function applySort() {
+          var parts = sortSelect.value.split("-");
+          var factor = parts[1] === "desc" ? -1 : 1;
+          rows
+            .slice()
+            .sort(function (a, b) {
+              return factor * (sortValue(a, parts[0]) - sortValue(b, parts[0]));
+            })
+            .forEach(function (row) { tbody.appendChild(row); });
+        }
+
+        function select(row) {
+          if (selected) {
+            selected.classList.remove("selected");
+          }
+          selected = row;
+          row.classList.add("selected");
+          row.scrollIntoView({ block: "nearest" });
+        }
+
+        function moveToFailure(step) {
+          var failures = orderedRows().filter(function (row) {
+            return !row.hidden && row.dataset.status !== "pass";
+          });
+          if (failures.length === 0) {
+            return;
+          }
+          var index = failures.indexOf(selected);
+          var next =
+            index === -1
+              ? step > 0 ? 0 : failures.length - 1
+              : (index + step + failures.length) % failures.length;
+          select(failures[next]);
+          if (!viewer.hidden) {
+            openViewer(failures[next]);
+          }
+        }
+
+        function image(src, className) {
+          var img = document.createElement("img");
+          img.src = src;
+          img.alt = src;
+          if (className) {
+            img.className = className;
+          }
+          return img;
+        }
+
+        function figure(src, caption) {
+          var element = document.createElement("figure");
+          var label = document.createElement("figcaption");
+          label.textContent = caption;
+          element.appendChild(label);
+          element.appendChild(image(src));
+          return element;
+        }
+
+        function updateOverlay() {
+          var top = viewerBody.querySelector("img.top");
+          if (!top) {
+            return;
+          }
+          if (mode === "swipe") {
+            top.style.clipPath = "inset(0 " + (100 - slider.value) + "% 0 0)";
+          } else {
+            top.style.opacity = slider.value / 100;
+          }
+        }
+
+        function render() {
+          var row = selected;
+          viewerBody.innerHTML = "";
+          var container = document.createElement("div");
+          if (mode === "side") {
+            container.className = "side-by-side";
+            container.appendChild(figure(row.dataset.before, row.dataset.beforeLabel));
+            container.appendChild(figure(row.dataset.after, row.dataset.afterLabel));
+          } else if (mode === "swipe" || mode === "onion") {
+            container.className = "stack";
+            container.appendChild(image(row.dataset.after));
+            container.appendChild(image(row.dataset.before, "top"));
+          } else {
+            container.className = "zoom";
+            container.appendChild(image(row.dataset.diff));
+          }
+          container.style.width = zoom * 100 + "%";
+          viewerBody.appendChild(container);
+          slider.hidden = mode === "side" || mode === "diff";
+          zoomLabel.textContent = Math.round(zoom * 100) + "%";
+          Array.prototype.forEach.call(
+            viewer.querySelectorAll("[data-mode]"),
+            function (button) {
+              button.classList.toggle("active", button.dataset.mode === mode);
+            }
+          );
+          updateOverlay();
+        }
+
+        function link(href, label) {
+          var element = document.createElement("a");
+          element.href = href;
+          element.target = "_blank";
+          element.textContent = label;
+          return element;
+        }
+
+        // Built from nodes rather than markup, as the row's values are text
+        function openViewer(row) {
+          select(row);
+          var title = document.getElementById("viewer-title");
+          title.textContent =
+            row.dataset.path + " \\u2014 " + row.dataset.similarityLabel + " \\u2014 ";
+          title.appendChild(link(row.dataset.stagingUrl, "staging"));
+          title.appendChild(document.createTextNode(" | "));
+          title.appendChild(link(row.dataset.prodUrl, "prod"));
+          viewer.hidden = false;
+          render();
+        }
+
+        // Approve/reject decisions are kept in localStorage and exported as a
+        // file for scripts/baselines.js apply
+        function showDecision(row) {
+          var decision = decisions[row.dataset.path];
+          row.classList.toggle("decided-approve", decision === "approve");
+          row.classList.toggle("decided-reject", decision === "reject");
+          Array.prototype.forEach.call(
+            row.querySelectorAll(".decision-button"),
+            function (button) {
+              button.classList.toggle("active", button.dataset.decision === decision);
+            }
+          );
+          document.getElementById("export-decisions").textContent =
+            "Export decisions (" + Object.keys(decisions).length + ")";
+        }
+
+        function decide(row, decision) {
+          if (row.dataset.approvable === "false") {
+            return;
+          }
+          if (decisions[row.dataset.path] === decision) {
+            delete decisions[row.dataset.path];
+          } else {
+            decisions[row.dataset.path] = decision;
+          }
+          try {
+            localStorage.setItem(storageKey, JSON.stringify(decisions));
+          } catch (error) {
+            // Some browsers disable storage for files opened from disk
+          }
+          showDecision(row);
+        }
+
+        function exportDecisions() {
+          var exported = rows
+            .filter(function (row) { return decisions[row.dataset.path]; })
+            .map(function (row) {
+              return {
+                project: table.dataset.project,
+                deviceName: table.dataset.device,
+                pagePath: row.dataset.path,
+                environments: row.dataset.environments.split(","),
+                decision: decisions[row.dataset.path],
+              };
+            });
+          var blob = new Blob(
+            [JSON.stringify({ exportedAt: new Date().toISOString(), decisions: exported }, null, 2)],
+            { type: "application/json" }
+          );
+          var link = document.createElement("a");
+          link.href = URL.createObjectURL(blob);
+          link.download = "baseline-decisions-" + runKey + ".json";
+          link.click();
+          URL.revokeObjectURL(link.href);
+        }
+
+        function setZoom(value) {
+          zoom = Math.min(8, Math.max(0.25, value));
+          render();
+        }
+
+        search.addEventListener("input", applyFilters);
+        statusFilter.addEventListener("change", applyFilters);
+        tagFilter.addEventListener("change", applyFilters);
+        sortSelect.addEventListener("change", applySort);
+        document.getElementById("similarity-header").addEventListener("click", function () {
+          sortSelect.value =
+            sortSelect.value === "similarity-asc" ? "similarity-desc" : "similarity-asc";
+          applySort();
+        });
+        rows.forEach(function (row) {
+          row.querySelector(".review-button").addEventListener("click", function () {
+            openViewer(row);
+          });
+          Array.prototype.forEach.call(row.querySelectorAll(".decision-button"), function (button) {
+            button.addEventListener("click", function () {
+              decide(row, button.dataset.decision);
+            });
+          });
+          showDecision(row);
+        });
+        document.getElementById("export-decisions").addEventListener("click", exportDecisions);
+        document.getElementById("viewer-approve").addEventListener("click", function () { decide(selected, "approve"); });
+        document.getElementById("viewer-reject").addEventListener("click", function () { decide(selected, "reject"); });
+        Array.prototype.forEach.call(viewer.querySelectorAll("[data-mode]"), function (button) {
+          button.addEventListener("click", function () {
+            mode = button.dataset.mode;
+            render();
+          });
+        });
+        slider.addEventListener("input", updateOverlay);
+        document.getElementById("zoom-in").addEventListener("click", function () { setZoom(zoom * 1.5); });
+        document.getElementById("zoom-out").addEventListener("click", function () { setZoom(zoom / 1.5); });
+        document.getElementById("viewer-prev").addEventListener("click", function () { moveToFailure(-1); });
+        document.getElementById("viewer-next").addEventListener("click", function () { moveToFailure(1); });
+        document.getElementById("viewer-close").addEventListener("click", function () { viewer.hidden = true; });
+        viewerBody.addEventListener("wheel", function (event) {
+          if (mode === "diff" && event.ctrlKey) {
+            event.preventDefault();
+            setZoom(event.deltaY < 0 ? zoom * 1.25 : zoom / 1.25);
+          }
+        }, { passive: false });
+
+        document.addEventListener("keydown", function (event) {
+          var target = event.target.tagName;
+          if (target === "INPUT" && event.target.type !== "range" || target === "SELECT") {
+            if (event.key === "Escape") {
+              event.target.blur();
+            }
+            return;
+          }
+          var modes = { "1": "side", "2": "swipe", "3": "onion", "4": "diff" };
+          if (event.key === "j" || event.key === "ArrowDown" && viewer.hidden) {
+            moveToFailure(1);
+          } else if (event.key === "k" || event.key === "ArrowUp" && viewer.hidden) {
+            moveToFailure(-1);
+          } else if (event.key === "Enter" && selected && viewer.hidden) {
+            openViewer(selected);
+          } else if (event.key === "Escape") {
+            viewer.hidden = true;
+          } else if (selected && (event.key === "a" || event.key === "r")) {
+            decide(selected, event.key === "a" ? "approve" : "reject");
+          } else if (event.key === "/") {
+            event.preventDefault();
+            search.focus();
+          } else if (!viewer.hidden && modes[event.key]) {
+            mode = modes[event.key];
+            render();
+          } else if (!viewer.hidden && (event.key === "+" || event.key === "=")) {
+            setZoom(zoom * 1.5);
+          } else if (!viewer.hidden && event.key === "-") {
+            setZoom(zoom / 1.5);
+          } else if (!viewer.hidden && event.key === "0") {
+            setZoom(1);
+          } else {
+            return;
+          }
+          event.preventDefault();
+        });
+
+        applyFilters();
+      })();
+`;
+
+// Escape text for inclusion in report HTML
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Toolbar with search, filters and sorting; `tags` fills the tag filter
+function renderToolbar(tags) {
+  const tagOptions = tags
+    .map(
+      (tag) => `<option value="${escapeHtml(tag)}">${escapeHtml(tag)}</option>`
+    )
+    .join("");
+  return `
+      <div class="toolbar">
+        <input type="search" id="search" placeholder="Search paths ( / )" />
+        <select id="status-filter">
+          <option value="">All statuses</option>
+          <option value="pass">Pass</option>
+          <option value="fail">Fail</option>
+          <option value="error">Error</option>
+        </select>
+        <select id="tag-filter">
+          <option value="">All tags</option>${tagOptions}
+        </select>
+        <select id="sort">
+          <option value="index-asc">Route order</option>
+          <option value="similarity-asc">Similarity (lowest first)</option>
+          <option value="similarity-desc">Similarity (highest first)</option>
+        </select>
+        <span id="visible-count"></span>
+        <button type="button" id="export-decisions">Export decisions (0)</button>
+        <span class="hint">j / k: next / previous failure &middot; Enter: review &middot; a / r: approve / reject &middot; Esc: close</span>
+      </div>
+  `;
+}
+
+module.exports = {
+  VIEWER_STYLES,
+  VIEWER_MARKUP,
+  VIEWER_SCRIPT,
+  renderToolbar,
+  escapeHtml,
+};
@@ -0,0 +1,137 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("../config.js");
+const { getRoutes } = require("./routeManifest.js");
+
+const RESULTS_DIR = "visual-results";
+const PARTIALS_DIR = path.join(RESULTS_DIR, "partials");
+
+// File-safe name for a page path, matching the screenshot naming
+function pathToFileName(pagePath) {
+  return pagePath.replace(/\//g, "_");
+}
+
+// Where a device's screenshots are written on a Playwright project, so the
+// browsers running the same page never share files
+function getScreenshotDir(project, deviceName) {
+  return path.join("screenshots", project, deviceName);
+}
+
+// How reports name a device run: the device, plus the Playwright project it
+// ran on (results recorded before projects were tracked have none)
+function describeRun({ project, deviceName }) {
+  return project ? `${deviceName} (${project})` : deviceName;
+}
+
+// The HTML report for one device run
+function getDeviceReportPath({ project, deviceName }) {
+  return project
+    ? `visual_comparison_report_${project}_${deviceName}.html`
+    : `visual_comparison_report_${deviceName}.html`;
+}
+
+// Keep only the context options that describe the device in reports
+function describeDevice(project, deviceName, contextOptions) {
+  const { viewport, deviceScaleFactor, isMobile, hasTouch } = contextOptions;
+  return {
+    project,
+    deviceName,
+    viewport,
+    deviceScaleFactor,
+    isMobile,
+    hasTouch,
+  };
+}
+
+// Write one page's result so any worker or shard can contribute to the report
+function writePartialResult(project, deviceName, contextOptions, result) {
+  const partialPath = path.join(
+    PARTIALS_DIR,
+    project,
+    deviceName,
+    `${pathToFileName(result.pagePath)}.json`
+  );
+  fs.mkdirSync(path.dirname(partialPath), { recursive: true });
+  fs.writeFileSync(
+    partialPath,
+    JSON.stringify(
+      { device: describeDevice(project, deviceName, contextOptions), result },
+      null,
+      2
+    )
+  );
+}
+
+// The subdirectories of a directory
+function listDirectories(dir) {
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name);
+}
+
+// Read every partial result and group it by project and device, in routes.js
+// page order
+function readPartialResults(partialsDir = PARTIALS_DIR) {
+  if (!fs.existsSync(partialsDir)) {
+    return [];
+  }
+
+  const pageOrder = new Map(
+    getRoutes().map((route, index) => [route.path, index])
+  );
+  const order = (pagePath) =>
+    pageOrder.has(pagePath) ? pageOrder.get(pagePath) : Infinity;
+
+  return listDirectories(partialsDir)
+    .flatMap((project) =>
+      listDirectories(path.join(partialsDir, project)).map((deviceName) =>
+        path.join(partialsDir, project, deviceName)
+      )
+    )
+    .map((deviceDir) => {
+      const partials = fs
+        .readdirSync(deviceDir)
+        .filter((file) => file.endsWith(".json"))
+        .map((file) =>
+          JSON.parse(fs.readFileSync(path.join(deviceDir, file), "utf8"))
+        );
+      if (partials.length === 0) {
+        return null;
+      }
+
+      const { project, deviceName, ...contextOptions } = partials[0].device;
+      return {
+        project,
+        deviceName,
+        contextOptions,
+        results: partials
+          .map((partial) => partial.result)
+          .sort((a, b) => order(a.pagePath) - order(b.pagePath)),
+      };
+    })
+    .filter(Boolean)
+    .sort(
+      (a, b) =>
+        a.project.localeCompare(b.project) ||
+        config.devices.findIndex((device) => device.name === a.deviceName) -
+          config.devices.findIndex((device) => device.name === b.deviceName)
+    );
+}
+
+// Remove partial results left over from a previous run
+function clearPartialResults() {
+  fs.rmSync(PARTIALS_DIR, { recursive: true, force: true });
+}
+
+module.exports = {
+  RESULTS_DIR,
+  PARTIALS_DIR,
+  pathToFileName,
+  getScreenshotDir,
+  describeRun,
+  getDeviceReportPath,
+  writePartialResult,
+  readPartialResults,
+  clearPartialResults,
+};
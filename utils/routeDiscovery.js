@@ -0,0 +1,175 @@
+const axios = require("axios");
+const config = require("../config.js");
+
+const DEFAULT_SETTINGS = {
+  sitemapPaths: ["/sitemap_index.xml", "/sitemap.xml"],
+  exclude: [],
+  maxCrawlPages: 500,
+  requestTimeout: 30000,
+};
+
+// Merge the configured discovery settings with the defaults
+function getDiscoverySettings() {
+  return { ...DEFAULT_SETTINGS, ...(config.discovery || {}) };
+}
+
+// Reduce an absolute or relative URL to a comparable path ("/degrees/")
+function normalizePath(url, baseUrl) {
+  const { pathname } = new URL(url, baseUrl);
+  const decoded = decodeURI(pathname);
+  // WordPress serves pages with a trailing slash; files keep their extension
+  return /\.[a-z0-9]+$/i.test(decoded) || decoded.endsWith("/")
+    ? decoded
+    : `${decoded}/`;
+}
+
+// Whether a path should be left out of the route list
+function isExcluded(pagePath, exclude) {
+  return exclude.some((pattern) => new RegExp(pattern).test(pagePath));
+}
+
+// Pull every <loc> entry out of a sitemap or sitemap index
+function extractLocations(xml) {
+  return [...xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?(.*?)(?:\]\]>)?\s*<\/loc>/g)]
+    .map((match) => match[1].replace(/&amp;/g, "&"))
+    .filter(Boolean);
+}
+
+// Read the first sitemap that exists, following sitemap indexes
+async function readSitemap(baseUrl, settings = getDiscoverySettings()) {
+  const fetchXml = async (url) => {
+    const response = await axios.get(url, {
+      timeout: settings.requestTimeout,
+      responseType: "text",
+      validateStatus: () => true,
+    });
+    return response.status === 200 ? String(response.data) : null;
+  };
+
+  for (const sitemapPath of settings.sitemapPaths) {
+    const rootUrl = new URL(sitemapPath, baseUrl).toString();
+    const rootXml = await fetchXml(rootUrl);
+    if (!rootXml) {
+      continue;
+    }
+
+    const pageUrls = [];
+    const pending = [rootXml];
+    const seen = new Set([rootUrl]);
+    while (pending.length > 0) {
+      const xml = pending.shift();
+      const isIndex = /<sitemapindex/i.test(xml);
+      for (const location of extractLocations(xml)) {
+        if (!isIndex) {
+          pageUrls.push(location);
+        } else if (!seen.has(location)) {
+          seen.add(location);
+          const childXml = await fetchXml(location);
+          if (childXml) {
+            pending.push(childXml);
+          }
+        }
+      }
+    }
+    return { sitemapUrl: rootUrl, pageUrls };
+  }
+
+  throw new Error(
+    `No sitemap found on ${baseUrl} (tried ${settings.sitemapPaths.join(", ")})`
+  );
+}
+
+// Breadth-first crawl of same-host links starting at the home page
+async function crawlInternalLinks(baseUrl, settings = getDiscoverySettings()) {
+  const { host } = new URL(baseUrl);
+  const found = new Set(["/"]);
+  const queue = ["/"];
+
+  while (queue.length > 0 && found.size < settings.maxCrawlPages) {
+    const pagePath = queue.shift();
+    let html;
+    try {
+      const response = await axios.get(new URL(pagePath, baseUrl).toString(), {
+        timeout: settings.requestTimeout,
+        responseType: "text",
+      });
+      html = String(response.data);
+    } catch (error) {
+      continue;
+    }
+
+    for (const match of html.matchAll(/<a\s[^>]*href=["']([^"'#]+)["']/gi)) {
+      let url;
+      try {
+        url = new URL(match[1], new URL(pagePath, baseUrl));
+      } catch (error) {
+        continue;
+      }
+      if (url.host !== host || !/^https?:$/.test(url.protocol)) {
+        continue;
+      }
+      const linkedPath = normalizePath(url.toString(), baseUrl);
+      if (
+        found.has(linkedPath) ||
+        /\.[a-z0-9]+$/i.test(linkedPath) ||
+        linkedPath.startsWith("/wp-")
+      ) {
+        continue;
+      }
+      found.add(linkedPath);
+      queue.push(linkedPath);
+    }
+  }
+
+  return [...found];
+}
+
+// Collect the page paths one environment exposes
+async function discoverPaths(baseUrl, { crawl = false } = {}) {
+  const settings = getDiscoverySettings();
+  const { sitemapUrl, pageUrls } = await readSitemap(baseUrl, settings);
+  const paths = new Set(pageUrls.map((url) => normalizePath(url, baseUrl)));
+
+  if (crawl) {
+    for (const pagePath of await crawlInternalLinks(baseUrl, settings)) {
+      paths.add(pagePath);
+    }
+  }
+
+  return {
+    sitemapUrl,
+    paths: [...paths]
+      .filter((pagePath) => !isExcluded(pagePath, settings.exclude))
+      .sort(),
+  };
+}
+
+// Compare the paths found on each environment with the routes.js manifest
+function reconcileRoutes(stagingPaths, prodPaths, routes) {
+  const staging = new Set(stagingPaths);
+  const prod = new Set(prodPaths);
+  const configured = new Set(routes.map((route) => route.path));
+  const common = stagingPaths.filter((pagePath) => prod.has(pagePath));
+
+  return {
+    common,
+    stagingOnly: stagingPaths.filter((pagePath) => !prod.has(pagePath)),
+    prodOnly: prodPaths.filter((pagePath) => !staging.has(pagePath)),
+    missingFromConfig: common.filter((pagePath) => !configured.has(pagePath)),
+    staleInConfig: routes
+      .filter(
+        (route) =>
+          !staging.has(route.path) || !prod.has(route.prodPath || route.path)
+      )
+      .map((route) => route.path),
+  };
+}
+
+module.exports = {
+  normalizePath,
+  extractLocations,
+  readSitemap,
+  crawlInternalLinks,
+  discoverPaths,
+  reconcileRoutes,
+};
@@ -0,0 +1,289 @@
+const config = require("../config.js");
+const { STRATEGIES } = require("./comparisonStrategies.js");
+
+const ROUTE_KEYS = [
+  "path",
+  "prodPath",
+  "tags",
+  "threshold",
+  "strategy",
+  "masks",
+  "wait",
+  "skip",
+  "skipDevices",
+];
+const MASK_KEYS = ["selectors", "regions"];
+const REGION_KEYS = ["x", "y", "width", "height"];
+const WAIT_KEYS = ["selectors", "delay", "timeout"];
+
+// Thrown when routes.js fails validation; `problems` lists every issue found
+class RouteManifestError extends Error {
+  constructor(problems) {
+    super(
+      `Invalid route manifest (routes.js):\n${problems
+        .map((problem) => `  - ${problem}`)
+        .join("\n")}`
+    );
+    this.name = "RouteManifestError";
+    this.problems = problems;
+  }
+}
+
+// Describe problems with a page path; an empty list means it is valid
+function checkPath(value) {
+  if (typeof value !== "string") {
+    return ["must be a string"];
+  }
+  const problems = [];
+  if (!value.startsWith("/")) {
+    problems.push(`"${value}" must start with "/"`);
+  }
+  if (!value.endsWith("/")) {
+    problems.push(`"${value}" must end with "/"`);
+  }
+  if (value.includes("//")) {
+    problems.push(`"${value}" contains "//"`);
+  }
+  if (/[\s?#]/.test(value)) {
+    problems.push(`"${value}" must not contain whitespace, "?" or "#"`);
+  }
+  return problems;
+}
+
+// Describe problems with an object's keys against the allowed list
+function checkKeys(value, allowed, label) {
+  return Object.keys(value)
+    .filter((key) => !allowed.includes(key))
+    .map((key) => `${label}unknown key "${key}"`);
+}
+
+const isPlainObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+const isStringArray = (value) =>
+  Array.isArray(value) &&
+  value.every((item) => typeof item === "string" && item.trim() !== "");
+
+// Validate one route entry and return its problems
+function checkRoute(route, deviceNames) {
+  if (!isPlainObject(route)) {
+    return ["must be a path string or an object"];
+  }
+
+  const problems = checkKeys(route, ROUTE_KEYS, "");
+  if (route.path === undefined) {
+    problems.push('missing "path"');
+  } else {
+    problems.push(...checkPath(route.path).map((p) => `path ${p}`));
+  }
+  if (route.prodPath !== undefined) {
+    problems.push(...checkPath(route.prodPath).map((p) => `prodPath ${p}`));
+  }
+  if (route.tags !== undefined && !isStringArray(route.tags)) {
+    problems.push('"tags" must be an array of non-empty strings');
+  }
+  if (
+    route.threshold !== undefined &&
+    (typeof route.threshold !== "number" ||
+      route.threshold < 0 ||
+      route.threshold > 100)
+  ) {
+    problems.push('"threshold" must be a number from 0 to 100');
+  }
+  if (route.strategy !== undefined && !STRATEGIES[route.strategy]) {
+    problems.push(
+      `"strategy" must be one of: ${Object.keys(STRATEGIES).join(", ")}`
+    );
+  }
+
+  if (route.masks !== undefined) {
+    if (!isPlainObject(route.masks)) {
+      problems.push('"masks" must be an object');
+    } else {
+      problems.push(...checkKeys(route.masks, MASK_KEYS, "masks: "));
+      if (
+        route.masks.selectors !== undefined &&
+        !isStringArray(route.masks.selectors)
+      ) {
+        problems.push('"masks.selectors" must be an array of CSS selectors');
+      }
+      if (route.masks.regions !== undefined) {
+        const regionsValid =
+          Array.isArray(route.masks.regions) &&
+          route.masks.regions.every(
+            (region) =>
+              isPlainObject(region) &&
+              checkKeys(region, REGION_KEYS, "").length === 0 &&
+              REGION_KEYS.every((key) => typeof region[key] === "number")
+          );
+        if (!regionsValid) {
+          problems.push(
+            '"masks.regions" must be an array of { x, y, width, height } numbers'
+          );
+        }
+      }
+    }
+  }
+
+  if (route.wait !== undefined) {
+    if (!isPlainObject(route.wait)) {
+      problems.push('"wait" must be an object');
+    } else {
+      problems.push(...checkKeys(route.wait, WAIT_KEYS, "wait: "));
+      if (
+        route.wait.selectors !== undefined &&
+        !isStringArray(route.wait.selectors)
+      ) {
+        problems.push('"wait.selectors" must be an array of CSS selectors');
+      }
+      ["delay", "timeout"].forEach((key) => {
+        if (
+          route.wait[key] !== undefined &&
+          (typeof route.wait[key] !== "number" || route.wait[key] < 0)
+        ) {
+          problems.push(`"wait.${key}" must be a number of milliseconds`);
+        }
+      });
+    }
+  }
+
+  if (
+    route.skip !== undefined &&
+    typeof route.skip !== "boolean" &&
+    typeof route.skip !== "string"
+  ) {
+    problems.push('"skip" must be true/false or a reason string');
+  }
+  if (route.skipDevices !== undefined) {
+    if (!isStringArray(route.skipDevices)) {
+      problems.push('"skipDevices" must be an array of device names');
+    } else {
+      route.skipDevices
+        .filter((name) => !deviceNames.includes(name))
+        .forEach((name) =>
+          problems.push(`"skipDevices" names unknown device "${name}"`)
+        );
+    }
+  }
+
+  return problems;
+}
+
+// Fill in defaults so consumers never have to check for missing keys
+function normalizeRoute(route) {
+  return {
+    path: route.path,
+    prodPath: route.prodPath || route.path,
+    tags: route.tags || [],
+    threshold:
+      route.threshold !== undefined
+        ? route.threshold
+        : config.comparison.passThreshold,
+    strategy: route.strategy || config.comparison.strategy || "pixelmatch",
+    masks: {
+      selectors: (route.masks && route.masks.selectors) || [],
+      regions: (route.masks && route.masks.regions) || [],
+    },
+    wait: {
+      selectors: (route.wait && route.wait.selectors) || [],
+      delay: (route.wait && route.wait.delay) || 0,
+      timeout: (route.wait && route.wait.timeout) || 10000,
+    },
+    skip: route.skip || false,
+    skipDevices: route.skipDevices || [],
+  };
+}
+
+// Validate a list of manifest entries and return them normalized.
+// Plain strings are shorthand for { path }.
+function validateRoutes(entries) {
+  if (!Array.isArray(entries)) {
+    throw new RouteManifestError(["routes.js must export an array"]);
+  }
+
+  const deviceNames = config.devices.map((device) => device.name);
+  const problems = [];
+  const seen = new Map();
+  const seenProd = new Map();
+  const routes = entries.map((entry) =>
+    typeof entry === "string" ? { path: entry } : entry
+  );
+
+  routes.forEach((route, index) => {
+    const label =
+      isPlainObject(route) && typeof route.path === "string"
+        ? `routes[${index}] (${route.path})`
+        : `routes[${index}]`;
+    checkRoute(route, deviceNames).forEach((problem) =>
+      problems.push(`${label}: ${problem}`)
+    );
+
+    if (isPlainObject(route) && typeof route.path === "string") {
+      // The prod page the route is compared with; two routes may not share one
+      const prodPath =
+        typeof route.prodPath === "string" ? route.prodPath : route.path;
+      if (seen.has(route.path)) {
+        problems.push(`${label}: duplicate of routes[${seen.get(route.path)}]`);
+      } else if (seenProd.has(prodPath)) {
+        problems.push(
+          `${label}: prodPath ${prodPath} is also compared by routes[${seenProd.get(
+            prodPath
+          )}]`
+        );
+      } else {
+        seen.set(route.path, index);
+        seenProd.set(prodPath, index);
+      }
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new RouteManifestError(problems);
+  }
+  return routes.map(normalizeRoute);
+}
+
+let cachedRoutes;
+
+// Load and validate routes.js once per process
+function getRoutes() {
+  if (!cachedRoutes) {
+    cachedRoutes = validateRoutes(require("../routes.js"));
+  }
+  return cachedRoutes;
+}
+
+// Look up a route by its (staging) path
+function getRoute(pagePath) {
+  return getRoutes().find((route) => route.path === pagePath);
+}
+
+// Serialize a value as a JavaScript literal with unquoted keys
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatValue).join(", ")}]`;
+  }
+  if (isPlainObject(value)) {
+    const fields = Object.keys(value).map(
+      (key) => `${key}: ${formatValue(value[key])}`
+    );
+    return `{ ${fields.join(", ")} }`;
+  }
+  return JSON.stringify(value);
+}
+
+// Serialize a manifest entry the way routes.js is written: a bare string when
+// only the path is set, otherwise an object literal
+function formatRoute(route) {
+  const keys = Object.keys(route);
+  return keys.length === 1 && keys[0] === "path"
+    ? formatValue(route.path)
+    : formatValue(route);
+}
+
+module.exports = {
+  RouteManifestError,
+  validateRoutes,
+  getRoutes,
+  getRoute,
+  formatRoute,
+};
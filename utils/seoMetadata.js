@@ -0,0 +1,295 @@
+const config = require("../config.js");
+const { ENVIRONMENTS } = require("./environments.js");
+const { formatTable } = require("./siteChecks.js");
+
+const DEFAULT_SETTINGS = {
+  requiredFields: ["title", "description", "canonical"],
+  noindexAllowed: [],
+  ignoreFields: [],
+};
+
+// Merge the configured SEO settings with the defaults
+function getSeoSettings() {
+  return { ...DEFAULT_SETTINGS, ...(config.seo || {}) };
+}
+
+// Read the page's search and sharing metadata from <head>: title,
+// description, canonical, robots directives, Open Graph (with its article:
+// properties) and Twitter tags, hreflang alternates and JSON-LD blocks
+// (unparseable ones keep their error)
+async function collectPageMetadata(page) {
+  const metadata = await page.evaluate(() => {
+    const clean = (value) => (value || "").replace(/\s+/g, " ").trim();
+    const meta = (selector) => {
+      const element = document.querySelector(selector);
+      return element ? clean(element.getAttribute("content")) : null;
+    };
+    const tags = (prefix) => {
+      const values = {};
+      document
+        .querySelectorAll(
+          `meta[property^="${prefix}:"], meta[name^="${prefix}:"]`
+        )
+        .forEach((element) => {
+          const key =
+            element.getAttribute("property") || element.getAttribute("name");
+          values[key] = values[key]
+            ? `${values[key]}, ${clean(element.getAttribute("content"))}`
+            : clean(element.getAttribute("content"));
+        });
+      return values;
+    };
+    const canonical = document.querySelector("link[rel=canonical]");
+
+    return {
+      title: clean(document.title) || null,
+      description: meta("meta[name=description]"),
+      canonical: canonical ? canonical.href : null,
+      robots: [
+        ...document.querySelectorAll("meta[name=robots], meta[name=googlebot]"),
+      ]
+        .map((element) => clean(element.getAttribute("content")))
+        .join(", "),
+      openGraph: { ...tags("og"), ...tags("article") },
+      twitter: tags("twitter"),
+      hreflang: [
+        ...document.querySelectorAll("link[rel=alternate][hreflang]"),
+      ].map((link) => ({
+        lang: link.getAttribute("hreflang"),
+        href: link.href,
+      })),
+      jsonLd: [
+        ...document.querySelectorAll('script[type="application/ld+json"]'),
+      ].map((script) => {
+        try {
+          return { data: JSON.parse(script.textContent) };
+        } catch (error) {
+          return { error: error.message };
+        }
+      }),
+    };
+  });
+  return { metadata };
+}
+
+// Rewrite every URL on the environment's own host as a path, so the same
+// metadata compares equal on staging and prod
+function relativizeUrls(value, baseUrl) {
+  const origin = new URL(baseUrl).origin;
+  return typeof value === "string" ? value.split(origin).join("") : value;
+}
+
+// Flatten JSON-LD data into { "json-ld.<type>.<key path>": value } fields.
+// Blocks and @graph nodes are keyed by @type so reordering is not a change.
+function flattenJsonLd(blocks, baseUrl) {
+  const fields = {};
+  const visit = (value, key) => {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => visit(item, `${key}[${index}]`));
+    } else if (value && typeof value === "object") {
+      Object.entries(value).forEach(([name, item]) =>
+        visit(item, `${key}.${name}`)
+      );
+    } else {
+      fields[key] = relativizeUrls(String(value), baseUrl);
+    }
+  };
+  const seen = {};
+  // One key per node: its @type, numbered when a type repeats
+  const nodeKey = (node) => {
+    const type = [].concat(node["@type"] || "Thing").join(",");
+    seen[type] = (seen[type] || 0) + 1;
+    return seen[type] > 1 ? `json-ld.${type}#${seen[type]}` : `json-ld.${type}`;
+  };
+
+  blocks.forEach((block, index) => {
+    if (block.error) {
+      fields[`json-ld[${index}]`] = `invalid JSON: ${block.error}`;
+      return;
+    }
+    const nodes = []
+      .concat(block.data)
+      .flatMap((node) =>
+        node && node["@graph"] ? [].concat(node["@graph"]) : [node]
+      );
+    nodes
+      .filter((node) => node && typeof node === "object")
+      .forEach((node) => {
+        const key = nodeKey(node);
+        Object.entries(node)
+          .filter(([name]) => name !== "@type" && name !== "@context")
+          .forEach(([name, value]) => visit(value, `${key}.${name}`));
+      });
+  });
+  return fields;
+}
+
+// A page's metadata as flat { field: value } pairs, URLs on its own host
+// written as paths and `ignoreFields` patterns left out
+function flattenMetadata(metadata, baseUrl, settings = getSeoSettings()) {
+  const fields = {
+    title: metadata.title,
+    description: metadata.description,
+    canonical: relativizeUrls(metadata.canonical, baseUrl),
+    robots: metadata.robots || null,
+    ...Object.fromEntries(
+      Object.entries({ ...metadata.openGraph, ...metadata.twitter }).map(
+        ([key, value]) => [key, relativizeUrls(value, baseUrl)]
+      )
+    ),
+    ...Object.fromEntries(
+      metadata.hreflang.map(({ lang, href }) => [
+        `hreflang.${lang}`,
+        relativizeUrls(href, baseUrl),
+      ])
+    ),
+    ...flattenJsonLd(metadata.jsonLd, baseUrl),
+  };
+  const ignored = settings.ignoreFields.map((pattern) => new RegExp(pattern));
+  return Object.fromEntries(
+    Object.entries(fields).filter(
+      ([field, value]) =>
+        value !== null &&
+        value !== undefined &&
+        value !== "" &&
+        !ignored.some((pattern) => pattern.test(field))
+    )
+  );
+}
+
+// Fields whose values differ between staging and prod, in staging's field
+// order then prod's; a field missing on one side has null there
+function diffMetadata(stagingFields, prodFields) {
+  const fields = [
+    ...new Set([...Object.keys(stagingFields), ...Object.keys(prodFields)]),
+  ];
+  return fields
+    .filter((field) => stagingFields[field] !== prodFields[field])
+    .map((field) => ({
+      field,
+      staging: field in stagingFields ? stagingFields[field] : null,
+      prod: field in prodFields ? prodFields[field] : null,
+    }));
+}
+
+// Rule violations on one environment's page: required fields missing, a
+// canonical or og:url on another host, hreflang alternates on another
+// environment, unparseable JSON-LD and, on prod, noindex
+function checkMetadataRules(
+  metadata,
+  environment,
+  pagePath,
+  settings = getSeoSettings()
+) {
+  const ownHost = new URL(config[environment].baseUrl).host;
+  const otherHosts = ENVIRONMENTS.filter((name) => name !== environment).map(
+    (name) => new URL(config[name].baseUrl).host
+  );
+  const hostOf = (url) => {
+    try {
+      return new URL(url).host;
+    } catch (error) {
+      return null;
+    }
+  };
+  const problems = [];
+
+  settings.requiredFields.forEach((field) => {
+    if (!metadata[field]) {
+      problems.push(`no ${field}`);
+    }
+  });
+  if (metadata.canonical && hostOf(metadata.canonical) !== ownHost) {
+    problems.push(
+      `canonical points at ${hostOf(metadata.canonical) || metadata.canonical}`
+    );
+  }
+  const ogUrl = metadata.openGraph["og:url"];
+  if (ogUrl && hostOf(ogUrl) !== ownHost) {
+    problems.push(`og:url points at ${hostOf(ogUrl) || ogUrl}`);
+  }
+  metadata.hreflang
+    .filter(({ href }) => otherHosts.includes(hostOf(href)))
+    .forEach(({ lang, href }) =>
+      problems.push(`hreflang ${lang} points at ${hostOf(href)}`)
+    );
+  metadata.jsonLd.forEach((block, index) => {
+    if (block.error) {
+      problems.push(`JSON-LD block ${index + 1} is invalid: ${block.error}`);
+    }
+  });
+  const noindexAllowed = settings.noindexAllowed.some((pattern) =>
+    new RegExp(pattern).test(pagePath)
+  );
+  if (
+    environment === "prod" &&
+    /\bnoindex\b/i.test(metadata.robots) &&
+    !noindexAllowed
+  ) {
+    problems.push(`noindex on prod (robots: ${metadata.robots})`);
+  }
+  return problems;
+}
+
+// Compare one route's metadata: rule violations on each environment, fields
+// present on prod but dropped on staging (failures; a dropped robots tag only
+// loosens indexing and required fields are already reported) and every
+// field diff.
+// `staging` and `prod` are collected pages ({ url, metadata, error }).
+function compareMetadata(pagePath, staging, prod, settings = getSeoSettings()) {
+  const loadErrors = Object.entries({ staging, prod })
+    .filter(([, page]) => page.error)
+    .map(([environment, page]) => `${environment}: ${page.error}`);
+  if (loadErrors.length > 0) {
+    return { pagePath, error: loadErrors.join("; "), problems: [], diffs: [] };
+  }
+
+  const diffs = diffMetadata(
+    flattenMetadata(staging.metadata, config.staging.baseUrl, settings),
+    flattenMetadata(prod.metadata, config.prod.baseUrl, settings)
+  );
+  const problems = [
+    ...checkMetadataRules(staging.metadata, "staging", pagePath, settings).map(
+      (problem) => ({ environment: "staging", problem })
+    ),
+    ...checkMetadataRules(prod.metadata, "prod", pagePath, settings).map(
+      (problem) => ({ environment: "prod", problem })
+    ),
+    ...diffs
+      .filter(
+        (diff) =>
+          diff.staging === null &&
+          diff.field !== "robots" &&
+          !settings.requiredFields.includes(diff.field)
+      )
+      .map((diff) => ({
+        environment: "staging",
+        problem: `${diff.field} dropped (prod: ${diff.prod})`,
+      })),
+  ];
+  return { pagePath, problems, diffs };
+}
+
+// Plain-text table of the failing pages' problems, for test failures
+function formatMetadataTable(results) {
+  const rows = results.flatMap((result) =>
+    result.error
+      ? [[result.pagePath, "", result.error]]
+      : result.problems.map(({ environment, problem }) => [
+          result.pagePath,
+          environment,
+          problem,
+        ])
+  );
+  return formatTable(["Page", "Environment", "Problem"], rows);
+}
+
+module.exports = {
+  getSeoSettings,
+  collectPageMetadata,
+  flattenMetadata,
+  diffMetadata,
+  checkMetadataRules,
+  compareMetadata,
+  formatMetadataTable,
+};
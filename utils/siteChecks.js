@@ -0,0 +1,82 @@
+const axios = require("axios");
+
+// Statuses at or above this count as broken
+const BROKEN_STATUS = 400;
+
+// Run `task` over `items` with at most `limit` in flight, keeping input order
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker)
+  );
+  return results;
+}
+
+// Request a URL without downloading its body, returning { status, location }
+// or { error } instead of throwing. Redirects are not followed when
+// `followRedirects` is false, so the caller can record them.
+async function requestStatus(
+  url,
+  method,
+  { timeout = 15000, followRedirects = true } = {}
+) {
+  try {
+    const response = await axios.request({
+      url,
+      method,
+      timeout,
+      maxRedirects: followRedirects ? 5 : 0,
+      responseType: method === "GET" ? "stream" : undefined,
+      validateStatus: () => true,
+    });
+    if (response.data && typeof response.data.destroy === "function") {
+      response.data.destroy();
+    }
+    return { status: response.status, location: response.headers.location };
+  } catch (error) {
+    return { error: error.code || error.message };
+  }
+}
+
+// Request with HEAD, falling back to GET when HEAD fails, since some servers
+// and CDNs reject HEAD requests
+async function requestWithFallback(url, options) {
+  const head = await requestStatus(url, "HEAD", options);
+  if (!head.error && head.status < BROKEN_STATUS) {
+    return { ...head, method: "HEAD" };
+  }
+  return { ...(await requestStatus(url, "GET", options)), method: "GET" };
+}
+
+// Plain-text table with padded columns, for test failure messages
+function formatTable(header, rows) {
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...rows.map((row) => String(row[column]).length))
+  );
+  const formatRow = (row) =>
+    row
+      .map((cell, column) => String(cell).padEnd(widths[column]))
+      .join(" | ")
+      .trimEnd();
+
+  return [
+    formatRow(header),
+    widths.map((width) => "-".repeat(width)).join("-|-"),
+    ...rows.map(formatRow),
+  ].join("\n");
+}
+
+module.exports = {
+  BROKEN_STATUS,
+  mapWithConcurrency,
+  requestStatus,
+  requestWithFallback,
+  formatTable,
+};
@@ -0,0 +1,214 @@
+const config = require("../config.js");
+
+const DEFAULT_SETTINGS = {
+  navigationTimeout: 60000,
+  networkIdleTimeout: 10000,
+  fontsTimeout: 5000,
+  lazyLoadTimeout: 15000,
+  imagesTimeout: 10000,
+  widgetsTimeout: 3000,
+  scrollStep: 0.75, // Fraction of the viewport height scrolled per step
+  scrollDelay: 100,
+  dismissSelectors: [],
+  hideSelectors: [],
+};
+
+const DISABLE_ANIMATIONS_CSS = `
+  *, *::before, *::after {
+    animation-duration: 0s !important;
+    animation-delay: 0s !important;
+    animation-iteration-count: 1 !important;
+    transition-duration: 0s !important;
+    transition-delay: 0s !important;
+    scroll-behavior: auto !important;
+    caret-color: transparent !important;
+  }
+`;
+
+// Merge the configured stabilization settings with any route overrides
+function getStabilizationSettings(overrides = {}) {
+  return { ...DEFAULT_SETTINGS, ...(config.stabilization || {}), ...overrides };
+}
+
+// Run one stabilization step, resolving with its outcome instead of throwing.
+// `action` is called with a function returning the milliseconds left in the
+// step's budget, to pass on as the timeout of its Playwright calls. A step
+// that outlives its timeout (or hits a Playwright timeout) is recorded as
+// "timeout" and the capture goes ahead regardless; a late failure of the
+// abandoned action is ignored.
+async function runStep(name, timeout, action) {
+  const startedAt = Date.now();
+  // Never 0, which Playwright reads as "no timeout"
+  const remaining = () => Math.max(1, timeout - (Date.now() - startedAt));
+  const running = Promise.resolve()
+    .then(() => action(remaining))
+    .then(
+      () => ({ status: "ok" }),
+      (error) => ({
+        status: error.name === "TimeoutError" ? "timeout" : "error",
+        error: error.message,
+      })
+    );
+  let timer;
+  const timeoutPromise = new Promise((resolve) => {
+    timer = setTimeout(() => resolve({ status: "timeout" }), timeout);
+  });
+
+  try {
+    const outcome = await Promise.race([running, timeoutPromise]);
+    return { name, ...outcome, durationMs: Date.now() - startedAt };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Scroll to the bottom in viewport-sized steps so lazy content loads, then
+// return to the top. Scrolling stops early once `timeout` ms have passed.
+async function scrollThroughPage(page, { scrollStep, scrollDelay }, timeout) {
+  await page.evaluate(
+    async ({ scrollStep, scrollDelay, timeout }) => {
+      const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+      const step = Math.max(1, Math.floor(window.innerHeight * scrollStep));
+      const deadline = Date.now() + timeout;
+      for (
+        let y = 0;
+        y < document.documentElement.scrollHeight && Date.now() < deadline;
+        y += step
+      ) {
+        window.scrollTo(0, y);
+        await delay(scrollDelay);
+      }
+      window.scrollTo(0, 0);
+    },
+    { scrollStep, scrollDelay, timeout }
+  );
+}
+
+// Force lazy images to load and wait until every image has decoded
+async function waitForImages(page) {
+  await page.evaluate(async () => {
+    const images = Array.from(document.images);
+    for (const image of images) {
+      if (image.loading === "lazy") {
+        image.loading = "eager";
+      }
+    }
+    await Promise.all(
+      images.map((image) =>
+        image.decode().catch(() => {
+          // Broken images reject decode(); the asset checker reports those
+        })
+      )
+    );
+  });
+}
+
+// Click consent buttons and hide overlay widgets that cover page content.
+// `remaining()` gives the time left for each click.
+async function dismissWidgets(
+  page,
+  { dismissSelectors, hideSelectors },
+  remaining
+) {
+  for (const selector of dismissSelectors) {
+    const button = page.locator(selector).first();
+    if (await button.isVisible()) {
+      await button.click({ timeout: remaining() });
+    }
+  }
+  if (hideSelectors.length > 0) {
+    await page.addStyleTag({
+      content: `${hideSelectors.join(", ")} { display: none !important; }`,
+    });
+  }
+}
+
+// Wait for a route's own readiness conditions from routes.js, each selector
+// for up to its `timeout` within the step's `remaining()` time
+async function waitForRouteConditions(
+  page,
+  { selectors, delay, timeout },
+  remaining
+) {
+  for (const selector of selectors) {
+    await page
+      .locator(selector)
+      .first()
+      .waitFor({ state: "visible", timeout: Math.min(timeout, remaining()) });
+  }
+  if (delay > 0) {
+    await page.waitForTimeout(Math.min(delay, remaining()));
+  }
+}
+
+// Navigate to a URL and bring the page to a settled state before capture.
+// `wait` holds the route's extra wait conditions from routes.js.
+// Returns every step's outcome plus the names of steps that timed out.
+async function stabilizePage(page, url, wait = null, overrides = {}) {
+  const settings = getStabilizationSettings(overrides);
+  const steps = [];
+
+  const navigation = await runStep(
+    "navigation",
+    settings.navigationTimeout,
+    (remaining) =>
+      page.goto(url, {
+        waitUntil: "domcontentloaded",
+        timeout: remaining(),
+      })
+  );
+  steps.push(navigation);
+  if (navigation.status === "error") {
+    throw new Error(`Navigation to ${url} failed: ${navigation.error}`);
+  }
+
+  steps.push(
+    await runStep("networkIdle", settings.networkIdleTimeout, (remaining) =>
+      page.waitForLoadState("networkidle", { timeout: remaining() })
+    )
+  );
+  steps.push(
+    await runStep("disableAnimations", settings.widgetsTimeout, () =>
+      page.addStyleTag({ content: DISABLE_ANIMATIONS_CSS })
+    )
+  );
+  steps.push(
+    await runStep("dismissWidgets", settings.widgetsTimeout, (remaining) =>
+      dismissWidgets(page, settings, remaining)
+    )
+  );
+  steps.push(
+    await runStep("fonts", settings.fontsTimeout, () =>
+      page.evaluate(() => document.fonts.ready.then(() => undefined))
+    )
+  );
+  steps.push(
+    await runStep("lazyLoad", settings.lazyLoadTimeout, (remaining) =>
+      scrollThroughPage(page, settings, remaining())
+    )
+  );
+  steps.push(
+    await runStep("images", settings.imagesTimeout, () => waitForImages(page))
+  );
+  if (wait && (wait.selectors.length > 0 || wait.delay > 0)) {
+    steps.push(
+      await runStep(
+        "routeWait",
+        wait.timeout * Math.max(1, wait.selectors.length) + wait.delay,
+        (remaining) => waitForRouteConditions(page, wait, remaining)
+      )
+    );
+  }
+
+  return {
+    steps,
+    timedOut: steps
+      .filter((step) => step.status === "timeout")
+      .map((step) => step.name),
+    failed: steps
+      .filter((step) => step.status === "error")
+      .map((step) => step.name),
+  };
+}
+
+module.exports = { stabilizePage, getStabilizationSettings };